@@ -1,24 +1,76 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import Solitaire from './components/Solitaire'
 import SpiderSolitaire from './components/SpiderSolitaire'
+import { getItem, setItem } from './storage/db'
+import { parseDealLink } from './engine/dealLinks'
+import { loadProfiles, activeProfileId, switchProfile } from './storage/profiles'
+import ProfilePicker from './components/ProfilePicker'
 import './App.css'
 
 function App() {
+  // Each player profile gets fresh game components. When several players share the
+  // device, nothing is dealt until one of them says who's playing.
+  const [profile, setProfile] = useState(activeProfileId);
+  const [choosingProfile, setChoosingProfile] = useState(() => loadProfiles().length > 1);
+
+  // A deal link opens its game with the shared deal instead of the saved one
+  const [sharedDeal, setSharedDeal] = useState(() => parseDealLink(window.location.search));
   const [gameType, setGameType] = useState(() => {
-    return localStorage.getItem('solitaire_gameType') || 'klondike'
+    return sharedDeal?.variant || getItem('solitaire_gameType', 'klondike')
   });
 
+  useEffect(() => {
+    if (!sharedDeal || choosingProfile) return;
+    setItem('solitaire_gameType', sharedDeal.variant);
+    // Clean up URL without reloading, so a reload doesn't deal it again
+    window.history.replaceState({}, '', window.location.pathname);
+  }, [sharedDeal, choosingProfile]);
+
+  // A deal link opened before picking a player is dealt for whoever is picked
+  const handlePickProfile = (id) => {
+    switchProfile(id);
+    setProfile(id);
+    setGameType(sharedDeal?.variant || getItem('solitaire_gameType', 'klondike'));
+    setChoosingProfile(false);
+  };
+
+  const handleSwitchProfile = (id) => {
+    setSharedDeal(null);
+    switchProfile(id);
+    setProfile(id);
+    setGameType(getItem('solitaire_gameType', 'klondike'));
+  };
+
   const handleGameTypeChange = (type) => {
+    setSharedDeal(null);
     setGameType(type);
-    localStorage.setItem('solitaire_gameType', type);
+    setItem('solitaire_gameType', type);
   };
 
+  if (choosingProfile) {
+    return (
+      <div className="app">
+        <ProfilePicker onPick={handlePickProfile} />
+      </div>
+    )
+  }
+
   return (
     <div className="app">
       {gameType === 'klondike' ? (
-        <Solitaire onSwitchGame={handleGameTypeChange} />
+        <Solitaire
+          key={profile}
+          onSwitchGame={handleGameTypeChange}
+          onSwitchProfile={handleSwitchProfile}
+          sharedDeal={sharedDeal}
+        />
       ) : (
-        <SpiderSolitaire onSwitchGame={handleGameTypeChange} />
+        <SpiderSolitaire
+          key={profile}
+          onSwitchGame={handleGameTypeChange}
+          onSwitchProfile={handleSwitchProfile}
+          sharedDeal={sharedDeal}
+        />
       )}
     </div>
   )
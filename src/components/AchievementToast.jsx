@@ -0,0 +1,18 @@
+import './AchievementToast.css';
+
+// Toast for a newly unlocked achievement (see hooks/useAchievements.js)
+const AchievementToast = ({ achievement }) => {
+  if (!achievement) return null;
+
+  return (
+    <div className="achievement-popup" role="status">
+      <span className="achievement-icon">{achievement.icon}</span>
+      <div className="achievement-text">
+        <span className="achievement-label">Achievement Unlocked!</span>
+        <span className="achievement-name">{achievement.name}</span>
+      </div>
+    </div>
+  );
+};
+
+export default AchievementToast;
@@ -0,0 +1,80 @@
+import { ACHIEVEMENTS, achievementTarget } from '../data/achievements';
+import { isUnlocked } from '../hooks/useAchievements';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+import './AchievementsGallery.css';
+
+const GAMES = [
+  { id: 'klondike', name: 'Klondike' },
+  { id: 'spider', name: 'Spider' }
+];
+
+// Every achievement for both games: when it was unlocked, or how close it is
+const AchievementsGallery = ({ achievements, onClose }) => {
+  const dialogRef = useFocusTrap(true, onClose);
+  const unlockedCount = ACHIEVEMENTS.filter(a => isUnlocked(achievements, a.id)).length;
+
+  const renderStatus = (a) => {
+    if (isUnlocked(achievements, a.id)) {
+      const at = achievements.unlocked[a.id];
+      return <span className="gallery-unlocked">✓ Unlocked{at ? ` ${new Date(at).toLocaleDateString()}` : ''}</span>;
+    }
+    if (!a.target) return <span className="gallery-locked">Locked</span>;
+
+    const value = Math.min(achievements.progress[a.id] || 0, achievementTarget(a));
+    return (
+      <div className="gallery-progress">
+        <div
+          className="gallery-progress-bar"
+          role="progressbar"
+          aria-valuemin={0}
+          aria-valuemax={a.target}
+          aria-valuenow={value}
+          aria-label={`${a.name} progress`}
+        >
+          <div className="gallery-progress-fill" style={{ width: `${(value / a.target) * 100}%` }} />
+        </div>
+        <span>{value}/{a.target}</span>
+      </div>
+    );
+  };
+
+  return (
+    <div className="gallery-overlay" onClick={onClose}>
+      <div
+        className="gallery"
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="gallery-title"
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="gallery-header">
+          <h3 id="gallery-title">🏅 Achievements</h3>
+          <button className="gallery-close" onClick={onClose} aria-label="Close achievements">✕</button>
+        </div>
+        <p className="gallery-summary">{unlockedCount} of {ACHIEVEMENTS.length} unlocked</p>
+
+        {GAMES.map(game => (
+          <section key={game.id}>
+            <h4 className="gallery-game">{game.name}</h4>
+            <ul className="gallery-list">
+              {ACHIEVEMENTS.filter(a => a.game === game.id).map(a => (
+                <li key={a.id} className={`gallery-item ${isUnlocked(achievements, a.id) ? 'unlocked' : 'locked'}`}>
+                  <span className="gallery-icon" aria-hidden="true">{a.icon}</span>
+                  <div className="gallery-info">
+                    <strong>{a.name}</strong>
+                    <span className="gallery-description">{a.description}</span>
+                    {renderStatus(a)}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AchievementsGallery;
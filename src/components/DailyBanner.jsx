@@ -0,0 +1,24 @@
+import { dayFromKey } from '../storage/dailyChallenges';
+import './DailyBanner.css';
+
+// Shown as a daily challenge is dealt. The explanation is only there until the player
+// has seen it once.
+const DailyBanner = ({ day, archive, explain, onClose }) => (
+  <div className="daily-banner" onClick={onClose}>
+    <div className="daily-banner-icon">📅</div>
+    <div className="daily-banner-content">
+      <div className="daily-banner-title">Daily Challenge</div>
+      <div className="daily-banner-date">
+        {dayFromKey(day).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}
+        {archive && ' (archive)'}
+      </div>
+      {explain && (
+        <div className="daily-banner-desc">
+          Same card shuffle for everyone worldwide today! Compare your score with friends and family.
+        </div>
+      )}
+    </div>
+  </div>
+);
+
+export default DailyBanner;
@@ -0,0 +1,120 @@
+import { useState } from 'react';
+import { loadDailyHistory, dayKey, dayFromKey, dayStatus, dailyStreak } from '../storage/dailyChallenges';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+import './DailyCalendar.css';
+
+const WEEKDAYS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+const STATUS_LABELS = {
+  won: 'Won',
+  lost: 'Not won',
+  archive: 'Won from the archive',
+  unplayed: 'Not played'
+};
+
+const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+
+const describeResult = (result) => {
+  if (!result) return null;
+  if (!result.won) return 'played, not won';
+  return `won in ${formatTime(result.bestTime)} · ${result.bestMoves} moves`;
+};
+
+// Past daily challenges by month: how each day went, the current daily streak, and
+// any day's deal to play again (past days count as archive results)
+const DailyCalendar = ({ challenge, title = 'Daily Challenges', onPlay, onClose }) => {
+  const [history] = useState(() => loadDailyHistory(challenge));
+  const [today] = useState(() => dayKey());
+  const [month, setMonth] = useState(() => {
+    const date = dayFromKey(today);
+    return { year: date.getFullYear(), month: date.getMonth() };
+  });
+  const [selected, setSelected] = useState(today);
+  const dialogRef = useFocusTrap(true, onClose);
+
+  const streak = dailyStreak(history, today);
+  const firstWeekday = new Date(month.year, month.month, 1).getDay();
+  const daysInMonth = new Date(month.year, month.month + 1, 0).getDate();
+  const days = Array.from({ length: daysInMonth }, (_, i) => month.year * 10000 + (month.month + 1) * 100 + i + 1);
+  const isCurrentMonth = month.year * 100 + month.month + 1 === Math.floor(today / 100);
+  const wonThisMonth = days.filter(day => dayStatus(history[day]) === 'won').length;
+
+  const changeMonth = (delta) => {
+    const date = new Date(month.year, month.month + delta, 1);
+    setMonth({ year: date.getFullYear(), month: date.getMonth() });
+  };
+
+  const selectedEntry = history[selected];
+  const monthName = new Date(month.year, month.month, 1).toLocaleDateString([], { month: 'long', year: 'numeric' });
+
+  return (
+    <div className="calendar-overlay" onClick={onClose}>
+      <div
+        className="calendar"
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="calendar-title"
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="calendar-header">
+          <h3 id="calendar-title">📆 {title}</h3>
+          <button className="calendar-close" onClick={onClose} aria-label="Close calendar">✕</button>
+        </div>
+        <p className="calendar-streak">
+          🔥 {streak} day streak · {wonThisMonth} won this month
+        </p>
+
+        <div className="calendar-nav">
+          <button onClick={() => changeMonth(-1)} aria-label="Previous month">‹</button>
+          <span aria-live="polite">{monthName}</span>
+          <button onClick={() => changeMonth(1)} disabled={isCurrentMonth} aria-label="Next month">›</button>
+        </div>
+
+        <div className="calendar-grid">
+          {WEEKDAYS.map((d, i) => <span key={i} className="calendar-weekday" aria-hidden="true">{d}</span>)}
+          {Array.from({ length: firstWeekday }, (_, i) => <span key={`blank-${i}`} />)}
+          {days.map(day => {
+            const status = dayStatus(history[day]);
+            const best = history[day]?.live?.bestTime ?? history[day]?.archive?.bestTime;
+            return (
+              <button
+                key={day}
+                className={`calendar-day ${status} ${day === today ? 'today' : ''} ${day === selected ? 'selected' : ''}`}
+                disabled={day > today}
+                onClick={() => setSelected(day)}
+                aria-pressed={day === selected}
+                aria-label={`${dayFromKey(day).toLocaleDateString([], { month: 'long', day: 'numeric' })}: ${STATUS_LABELS[status]}`}
+              >
+                <span>{day % 100}</span>
+                {best !== null && best !== undefined && <small>{formatTime(best)}</small>}
+              </button>
+            );
+          })}
+        </div>
+
+        <div className="calendar-legend" aria-hidden="true">
+          <span className="won">Won</span>
+          <span className="lost">Not won</span>
+          <span className="archive">Archive win</span>
+        </div>
+
+        <div className="calendar-details">
+          <strong>
+            {dayFromKey(selected).toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' })}
+            {selected === today ? ' (today)' : ''}
+          </strong>
+          {!selectedEntry && <span>Not played yet</span>}
+          {selectedEntry?.live && <span>On the day: {describeResult(selectedEntry.live)}</span>}
+          {selectedEntry?.archive && <span>Archive: {describeResult(selectedEntry.archive)}</span>}
+          <button className="calendar-play" onClick={() => onPlay(selected)}>
+            {selected === today ? "▶ Play Today's Challenge" : '▶ Play This Day (archive)'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DailyCalendar;
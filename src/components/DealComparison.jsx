@@ -0,0 +1,63 @@
+import './DealComparison.css';
+
+const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+
+// Quicker wins, then fewer moves
+const verdict = (mine, theirs, name) => {
+  if (mine.time !== theirs.time) {
+    const gap = formatTime(Math.abs(mine.time - theirs.time));
+    return mine.time < theirs.time ? `⚡ You beat ${name}'s time by ${gap}!` : `${name} was ${gap} quicker - rematch?`;
+  }
+  if (mine.moves !== theirs.moves) {
+    const gap = Math.abs(mine.moves - theirs.moves);
+    return mine.moves < theirs.moves ? `Same time, and ${gap} fewer moves than ${name}!` : `Same time, but ${name} used ${gap} fewer moves`;
+  }
+  return `A dead heat with ${name}!`;
+};
+
+// A game from a deal link, finished: the result next to the sender's
+const DealComparison = ({ shared, result }) => {
+  const name = shared.from || 'Your friend';
+  const theirs = shared.result;
+
+  if (!theirs) {
+    return (
+      <div className="deal-comparison">
+        <p className="deal-comparison-title">🤝 Same deal as {name}</p>
+        <p className="deal-comparison-verdict">{name} hadn't won this deal when they shared it - you got there first!</p>
+      </div>
+    );
+  }
+
+  const rows = [
+    { label: 'Moves', mine: result.moves, theirs: theirs.moves, format: String },
+    { label: 'Time', mine: result.time, theirs: theirs.time, format: formatTime }
+  ];
+
+  return (
+    <div className="deal-comparison">
+      <p className="deal-comparison-title">🤝 Same deal as {name}</p>
+      <table>
+        <thead>
+          <tr>
+            <th scope="col"></th>
+            <th scope="col">You</th>
+            <th scope="col">{name}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.label}>
+              <th scope="row">{row.label}</th>
+              <td className={row.mine < row.theirs ? 'better' : ''}>{row.format(row.mine)}</td>
+              <td className={row.theirs < row.mine ? 'better' : ''}>{row.format(row.theirs)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="deal-comparison-verdict">{verdict(result, theirs, name)}</p>
+    </div>
+  );
+};
+
+export default DealComparison;
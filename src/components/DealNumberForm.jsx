@@ -0,0 +1,44 @@
+import { useState } from 'react';
+import { MAX_DEAL_NUMBER, parseDealNumber } from '../engine/random';
+import './DealNumberForm.css';
+
+// The current game's deal number, and a box to deal any other by its number
+const DealNumberForm = ({ current, onPlay }) => {
+  const [value, setValue] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const number = parseDealNumber(value);
+    if (number === null) {
+      setError(`Deal numbers go from 1 to ${MAX_DEAL_NUMBER.toLocaleString()}`);
+      return;
+    }
+    setError(null);
+    setValue('');
+    onPlay(number);
+  };
+
+  return (
+    <form className="deal-number-form" onSubmit={handleSubmit}>
+      <p className="deal-number-current">
+        {current ? <>This game is deal <strong>#{current}</strong></> : 'This game has no deal number'}
+      </p>
+      <div className="deal-number-row">
+        <input
+          type="text"
+          inputMode="numeric"
+          placeholder="Deal #"
+          aria-label="Deal number to play"
+          aria-invalid={!!error}
+          value={value}
+          onChange={(e) => { setValue(e.target.value); setError(null); }}
+        />
+        <button type="submit" disabled={!value.trim()}>▶ Play Deal</button>
+      </div>
+      {error && <p className="deal-number-error" role="alert">{error}</p>}
+    </form>
+  );
+};
+
+export default DealNumberForm;
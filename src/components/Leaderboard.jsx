@@ -0,0 +1,88 @@
+import { useState, useEffect } from 'react';
+import { loadLeaderboard, parseBoard, leaderboardBackendName } from '../storage/leaderboard';
+import { dayFromKey } from '../storage/dailyChallenges';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+import './Leaderboard.css';
+
+const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+
+const describeBoard = (board) => {
+  const { variant, drawCount, suitCount, daily, number } = parseBoard(board);
+  const rules = variant === 'spider'
+    ? `Spider · ${suitCount} suit${suitCount === 1 ? '' : 's'}`
+    : `Klondike · Draw ${drawCount}`;
+  const which = daily
+    ? `Daily Challenge ${dayFromKey(number).toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' })}`
+    : `Deal #${number}`;
+  return `${which} · ${rules}`;
+};
+
+// Best result of every player for one deal or daily challenge
+const Leaderboard = ({ board, player, onClose }) => {
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(false);
+  const dialogRef = useFocusTrap(true, onClose);
+  const showScore = parseBoard(board).variant === 'klondike';
+
+  useEffect(() => {
+    let cancelled = false;
+    loadLeaderboard(board)
+      .then(ranked => { if (!cancelled) setResults(ranked); })
+      .catch(() => { if (!cancelled) setError(true); });
+    return () => { cancelled = true; };
+  }, [board]);
+
+  return (
+    <div className="leaderboard-overlay" onClick={onClose}>
+      <div
+        className="leaderboard"
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="leaderboard-title"
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="leaderboard-header">
+          <h3 id="leaderboard-title">🏆 Leaderboard</h3>
+          <button className="leaderboard-close" onClick={onClose} aria-label="Close leaderboard">✕</button>
+        </div>
+        <p className="leaderboard-board">{describeBoard(board)}</p>
+
+        {error && <p className="leaderboard-empty">Couldn't load the leaderboard. Try again later.</p>}
+        {!error && !results && <p className="leaderboard-empty">Loading…</p>}
+        {results?.length === 0 && <p className="leaderboard-empty">No wins on this deal yet - be the first!</p>}
+        {results?.length > 0 && (
+          <table className="leaderboard-table">
+            <thead>
+              <tr>
+                <th scope="col">#</th>
+                <th scope="col">Player</th>
+                <th scope="col">Time</th>
+                <th scope="col">Moves</th>
+                {showScore && <th scope="col">Score</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {results.map((result, i) => (
+                <tr key={result.player} className={result.player === player ? 'current' : ''}>
+                  <td>{i + 1}</td>
+                  <td className="leaderboard-player">{result.player}</td>
+                  <td>{formatTime(result.time)}</td>
+                  <td>{result.moves}</td>
+                  {showScore && <td>{result.score ?? '-'}</td>}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <p className="leaderboard-source">
+          {leaderboardBackendName() === 'local' ? 'Players on this device' : 'Players everywhere'}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default Leaderboard;
@@ -0,0 +1,176 @@
+import { useState } from 'react';
+import {
+  loadProfiles, activeProfileId, profileName, createProfile, renameProfile, deleteProfile,
+  exportProfile, importProfile, MAX_PROFILES
+} from '../storage/profiles';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+import './PlayersDialog.css';
+
+const downloadProfile = (profile, profiles) => {
+  const blob = new Blob([JSON.stringify(exportProfile(profile.id), null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `solitaire-player-${profileName(profile, profiles).replace(/[^\w-]+/g, '_')}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+// Everyone who plays on this device: switch player, add, rename or delete players, and
+// move a player to another device with export and import
+const PlayersDialog = ({ onSwitch, onClose }) => {
+  const [profiles, setProfiles] = useState(loadProfiles);
+  const [renaming, setRenaming] = useState(null); // { id, name } while a name is being edited
+  const [deleting, setDeleting] = useState(null); // Id of the profile waiting for delete confirmation
+  const [newName, setNewName] = useState('');
+  const [error, setError] = useState(null);
+  const dialogRef = useFocusTrap(true, onClose);
+  const active = activeProfileId();
+
+  const attempt = (action) => {
+    try {
+      action();
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+    setProfiles(loadProfiles());
+  };
+
+  const finishRename = () => {
+    const name = renaming.name.trim();
+    if (name) renameProfile(renaming.id, name);
+    setRenaming(null);
+    setProfiles(loadProfiles());
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    attempt(() => createProfile(newName));
+    setNewName('');
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    e.target.value = '';
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      attempt(() => {
+        let data;
+        try {
+          data = JSON.parse(event.target?.result);
+        } catch {
+          throw new Error('Not a player profile file');
+        }
+        importProfile(data);
+      });
+    };
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="players-overlay" onClick={onClose}>
+      <div
+        className="players"
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="players-title"
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="players-header">
+          <h3 id="players-title">👥 Players</h3>
+          <button className="players-close" onClick={onClose} aria-label="Close players">✕</button>
+        </div>
+        <p className="players-intro">
+          Each player has their own stats, achievements, settings and saved games on this device.
+        </p>
+
+        <ul className="players-list">
+          {profiles.map(profile => {
+            const name = profileName(profile, profiles);
+            const isActive = profile.id === active;
+            return (
+              <li key={profile.id} className={`player ${isActive ? 'current' : ''}`}>
+                <div className="player-info">
+                  {renaming?.id === profile.id ? (
+                    <input
+                      type="text"
+                      value={renaming.name}
+                      maxLength={20}
+                      autoFocus
+                      aria-label="Player name"
+                      onChange={(e) => setRenaming({ id: profile.id, name: e.target.value })}
+                      onBlur={finishRename}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') finishRename();
+                        else if (e.key === 'Escape') {
+                          // Cancel the rename without closing the dialog
+                          e.stopPropagation();
+                          setRenaming(null);
+                        }
+                      }}
+                    />
+                  ) : (
+                    <strong>{name}</strong>
+                  )}
+                  {deleting === profile.id ? (
+                    <span className="player-warning">Delete {name} with all their stats and games?</span>
+                  ) : (
+                    <span>{profile.created ? `Since ${new Date(profile.created).toLocaleDateString()}` : 'First player'}</span>
+                  )}
+                </div>
+                <div className="player-actions">
+                  {deleting === profile.id ? (
+                    <>
+                      <button className="player-delete" onClick={() => { attempt(() => deleteProfile(profile.id)); setDeleting(null); }}>
+                        Delete
+                      </button>
+                      <button onClick={() => setDeleting(null)}>Keep</button>
+                    </>
+                  ) : (
+                    <>
+                      {isActive ? (
+                        <span className="player-playing">Playing</span>
+                      ) : (
+                        <button className="player-switch" onClick={() => onSwitch(profile.id)}>▶ Play</button>
+                      )}
+                      <button onClick={() => setRenaming({ id: profile.id, name: profile.name })} aria-label={`Rename ${name}`}>✏️</button>
+                      <button onClick={() => downloadProfile(profile, profiles)} aria-label={`Export ${name}`}>⬇</button>
+                      {!isActive && (
+                        <button onClick={() => setDeleting(profile.id)} aria-label={`Delete ${name}`}>🗑️</button>
+                      )}
+                    </>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+
+        {profiles.length < MAX_PROFILES && (
+          <form className="players-add" onSubmit={handleAdd}>
+            <input
+              type="text"
+              placeholder="New player's name"
+              aria-label="New player's name"
+              value={newName}
+              maxLength={20}
+              onChange={(e) => setNewName(e.target.value)}
+            />
+            <button type="submit">＋ Add Player</button>
+          </form>
+        )}
+        <label className="players-import">
+          📥 Import Player
+          <input type="file" accept=".json,application/json" onChange={handleImport} style={{ display: 'none' }} />
+        </label>
+        {error && <p className="players-error" role="alert">{error}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default PlayersDialog;
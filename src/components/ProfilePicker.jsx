@@ -0,0 +1,33 @@
+import { loadProfiles, activeProfileId, profileName } from '../storage/profiles';
+import './ProfilePicker.css';
+
+// "Who's playing?" before either game starts, when more than one player uses this device
+const ProfilePicker = ({ onPick }) => {
+  const profiles = loadProfiles();
+  const active = activeProfileId();
+
+  return (
+    <div className="profile-picker" role="group" aria-labelledby="profile-picker-title">
+      <h1 className="profile-picker-title">Solitaire Plus</h1>
+      <p id="profile-picker-title">Who's playing?</p>
+      <div className="profile-picker-list">
+        {profiles.map(profile => {
+          const name = profileName(profile, profiles);
+          return (
+            <button
+              key={profile.id}
+              className={profile.id === active ? 'last-played' : ''}
+              autoFocus={profile.id === active}
+              onClick={() => onPick(profile.id)}
+            >
+              <span className="profile-picker-initial" aria-hidden="true">{name[0].toUpperCase()}</span>
+              {name}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ProfilePicker;
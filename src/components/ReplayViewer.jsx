@@ -0,0 +1,168 @@
+import { useState, useEffect, useMemo } from 'react';
+import { recordingStates } from '../engine/replay';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+import './ReplayViewer.css';
+
+const STEP_MS = 600;
+const SPEEDS = [0.5, 1, 2, 4];
+
+// Board positions in card units: x is the column, y the card height from the top.
+// Every card gets a spot, keyed by id, so moving cards glide between piles.
+const TABLEAU_TOP = 1.25;
+
+const stackPile = (spots, pile, x, faceDownGap, faceUpGap) => {
+  let y = TABLEAU_TOP;
+  pile.forEach((card, i) => {
+    spots.push({ card, x, y, z: i });
+    y += card.faceUp ? faceUpGap : faceDownGap;
+  });
+};
+
+const klondikeLayout = ({ stock, waste, foundations, tableau }) => {
+  const spots = [];
+  stock.forEach((card, i) => spots.push({ card, x: 0, y: 0, z: i }));
+  // The last three waste cards fan out a little, like on the real board
+  const fanStart = waste.length - Math.min(3, waste.length);
+  waste.forEach((card, i) => spots.push({ card, x: 1 + Math.max(0, i - fanStart) * 0.18, y: 0, z: i }));
+  foundations.forEach((pile, f) => pile.forEach((card, i) => spots.push({ card, x: 3 + f, y: 0, z: i })));
+  tableau.forEach((pile, col) => stackPile(spots, pile, col, 0.12, 0.3));
+  return spots;
+};
+
+const spiderLayout = ({ stock, completed, tableau }) => {
+  const spots = [];
+  stock.forEach((card, i) => spots.push({ card, x: 0, y: 0, z: i }));
+  completed.forEach((run, k) => run.forEach((card, i) => spots.push({ card, x: 2 + k, y: 0, z: i })));
+  tableau.forEach((pile, col) => stackPile(spots, pile, col, 0.1, 0.24));
+  return spots;
+};
+
+const LAYOUTS = {
+  klondike: { columns: 7, layout: klondikeLayout },
+  spider: { columns: 10, layout: spiderLayout }
+};
+
+const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+
+const describeRecording = ({ variant, options }) => (
+  variant === 'spider'
+    ? `Spider · ${options.suitCount} suit${options.suitCount === 1 ? '' : 's'}`
+    : `Klondike · Draw ${options.drawCount}`
+);
+
+// Plays a recording back with play/pause, step and scrub controls
+const ReplayViewer = ({ recording, onClose }) => {
+  const states = useMemo(() => recordingStates(recording), [recording]);
+  const last = states.length - 1;
+  const [step, setStep] = useState(0);
+  const [playing, setPlaying] = useState(true);
+  const [speed, setSpeed] = useState(1);
+  const dialogRef = useFocusTrap(true, onClose);
+
+  const isPlaying = playing && step < last;
+
+  useEffect(() => {
+    if (!isPlaying) return;
+    const timeout = setTimeout(() => setStep(s => Math.min(s + 1, last)), STEP_MS / speed);
+    return () => clearTimeout(timeout);
+  }, [isPlaying, step, last, speed]);
+
+  const goTo = (target) => {
+    setPlaying(false);
+    setStep(Math.max(0, Math.min(last, target)));
+  };
+
+  const togglePlay = () => {
+    if (isPlaying) {
+      setPlaying(false);
+      return;
+    }
+    if (step >= last) setStep(0);
+    setPlaying(true);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+    if (e.key === 'ArrowLeft') goTo(step - 1);
+    else if (e.key === 'ArrowRight') goTo(step + 1);
+    else if (e.key === 'Home') goTo(0);
+    else if (e.key === 'End') goTo(last);
+    else return;
+    e.preventDefault();
+  };
+
+  const { columns, layout } = LAYOUTS[recording.variant];
+  const spots = layout(states[step]);
+  const rows = Math.max(TABLEAU_TOP + 1, ...spots.map(spot => spot.y + 1));
+  const { result } = recording;
+
+  return (
+    <div className="replay-viewer-overlay" onClick={onClose}>
+      <div
+        className="replay-viewer"
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="replay-viewer-title"
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+      >
+        <div className="replay-viewer-header">
+          <div>
+            <h3 id="replay-viewer-title">🎬 {describeRecording(recording)}</h3>
+            {result && (
+              <p className="replay-viewer-result">
+                {result.won ? 'Won' : 'Played'} in {result.moves} moves · {formatTime(result.time)}
+                {recording.date ? ` · ${new Date(recording.date).toLocaleDateString()}` : ''}
+              </p>
+            )}
+          </div>
+          <button className="replay-viewer-close" onClick={onClose} aria-label="Close replay">✕</button>
+        </div>
+
+        <div className="replay-stage">
+          <div className="replay-board" style={{ '--cols': columns, '--rows': rows }} aria-hidden="true">
+            {spots.map(({ card, x, y, z }) => (
+              <div
+                key={card.id}
+                className={`replay-card ${card.faceUp ? `face-up ${card.color}` : 'face-down'}`}
+                style={{ '--x': x, '--y': y, zIndex: z }}
+              >
+                {card.faceUp && <span className="replay-card-corner">{card.rank}{card.suit}</span>}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="replay-controls">
+          <button onClick={() => goTo(0)} disabled={step === 0} aria-label="Back to the deal">⏮</button>
+          <button onClick={() => goTo(step - 1)} disabled={step === 0} aria-label="Step back">⏪</button>
+          <button className="replay-play" onClick={togglePlay} aria-label={isPlaying ? 'Pause' : 'Play'}>
+            {isPlaying ? '⏸' : '▶'}
+          </button>
+          <button onClick={() => goTo(step + 1)} disabled={step === last} aria-label="Step forward">⏩</button>
+          <button onClick={() => goTo(last)} disabled={step === last} aria-label="Jump to the end">⏭</button>
+          <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} aria-label="Playback speed">
+            {SPEEDS.map(s => <option key={s} value={s}>{s}×</option>)}
+          </select>
+        </div>
+
+        <div className="replay-scrub">
+          <input
+            type="range"
+            min={0}
+            max={last}
+            value={step}
+            onChange={(e) => goTo(Number(e.target.value))}
+            aria-label="Move"
+            aria-valuetext={`Move ${step} of ${last}`}
+          />
+          <span className="replay-step">{step} / {last}</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayViewer;
@@ -0,0 +1,114 @@
+import { useState } from 'react';
+import { loadAllSlots, renameSlot, abandonSlot } from '../storage/savedGames';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+import './SavedGamesBrowser.css';
+
+const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+
+const describeVariant = ({ variant, options, daily }) => {
+  if (variant === 'spider') return `Spider · ${options.suitCount} suit${options.suitCount === 1 ? '' : 's'}`;
+  return `Klondike · Draw ${options.drawCount}${daily ? ' · Daily' : ''}`;
+};
+
+const describeProgress = ({ variant, progress }) => {
+  if (!progress) return null;
+  return variant === 'spider'
+    ? `${progress.done}/${progress.total} suits`
+    : `${progress.done}/${progress.total} cards up`;
+};
+
+// Games in progress for both variants: continue, rename or delete them
+const SavedGamesBrowser = ({ current, onContinue, onClose }) => {
+  const [slots, setSlots] = useState(loadAllSlots);
+  const [renaming, setRenaming] = useState(null); // { slot, name } while a name is being edited
+  const dialogRef = useFocusTrap(true, onClose);
+
+  const isCurrent = (slot) => slot.variant === current.variant && slot.id === current.id;
+
+  const finishRename = () => {
+    const name = renaming.name.trim();
+    if (name) renameSlot(renaming.slot.variant, renaming.slot.id, name);
+    setRenaming(null);
+    setSlots(loadAllSlots());
+  };
+
+  const handleDelete = (slot) => {
+    abandonSlot(slot.variant, slot.id);
+    setSlots(loadAllSlots());
+  };
+
+  return (
+    <div className="saved-games-overlay" onClick={onClose}>
+      <div
+        className="saved-games"
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="saved-games-title"
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="saved-games-header">
+          <h3 id="saved-games-title">📂 Saved Games</h3>
+          <button className="saved-games-close" onClick={onClose} aria-label="Close saved games">✕</button>
+        </div>
+
+        {slots.length === 0 ? (
+          <p className="saved-games-empty">Games you leave unfinished show up here, so you can come back to them.</p>
+        ) : (
+          <ul className="saved-games-list">
+            {slots.map(slot => (
+              <li key={`${slot.variant}-${slot.id}`} className={`saved-game ${isCurrent(slot) ? 'current' : ''}`}>
+                <div className="saved-game-info">
+                  {renaming?.slot === slot ? (
+                    <input
+                      type="text"
+                      value={renaming.name}
+                      maxLength={30}
+                      autoFocus
+                      aria-label="Game name"
+                      onChange={(e) => setRenaming({ slot, name: e.target.value })}
+                      onBlur={finishRename}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') finishRename();
+                        else if (e.key === 'Escape') {
+                          // Cancel the rename without closing the dialog
+                          e.stopPropagation();
+                          setRenaming(null);
+                        }
+                      }}
+                    />
+                  ) : (
+                    <strong>{slot.name}</strong>
+                  )}
+                  <span>
+                    {[
+                      describeVariant(slot),
+                      describeProgress(slot),
+                      `${slot.moves} moves`,
+                      formatTime(slot.time),
+                      new Date(slot.date).toLocaleDateString()
+                    ].filter(Boolean).join(' · ')}
+                  </span>
+                </div>
+                <div className="saved-game-actions">
+                  {isCurrent(slot) ? (
+                    <span className="saved-game-playing">Playing</span>
+                  ) : (
+                    <button className="saved-game-continue" onClick={() => onContinue(slot)}>▶ Continue</button>
+                  )}
+                  <button onClick={() => setRenaming({ slot, name: slot.name })} aria-label={`Rename ${slot.name}`}>✏️</button>
+                  {!isCurrent(slot) && (
+                    <button onClick={() => handleDelete(slot)} aria-label={`Delete ${slot.name}`}>🗑️</button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SavedGamesBrowser;
@@ -0,0 +1,37 @@
+import { useState } from 'react';
+import { dealLink } from '../engine/dealLinks';
+import './ShareDealButton.css';
+
+const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+
+// Shares a link that deals this exact game (see engine/dealLinks.js), with the result
+// if it was won - through the share sheet where there is one, the clipboard otherwise
+const ShareDealButton = ({ className, link, children = '🔗 Share This Deal' }) => {
+  const [copied, setCopied] = useState(false);
+
+  const handleShare = async () => {
+    const url = dealLink(`${window.location.origin}${window.location.pathname}`, link);
+    const text = link.result?.won
+      ? `I won this deal in ${link.result.moves} moves and ${formatTime(link.result.time)}. Can you beat that?`
+      : 'Can you win this deal?';
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: 'Solitaire Plus Deal', text, url });
+      } else {
+        await navigator.clipboard.writeText(`${text}\n\n${url}`);
+        setCopied(true);
+        setTimeout(() => setCopied(false), 2000);
+      }
+    } catch {
+      // Share sheet dismissed
+    }
+  };
+
+  return (
+    <button className={className} onClick={handleShare} disabled={!link.deal}>
+      {copied ? '✓ Link Copied' : children}
+    </button>
+  );
+};
+
+export default ShareDealButton;
@@ -1,12 +1,44 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useRef, useEffectEvent } from 'react';
 import { CARD_BACK_DESIGNS, getDesignById } from '../data/cardBackDesigns';
 import { submitRating, getAllRatings, trackUser, updateUserStats, getUserStats, isAdminDevice, getCurrentDeviceId } from '../firebase';
+import { SUITS, SUIT_COLORS, RANKS, cardName } from '../engine/cards';
+import { randomDealNumber } from '../engine/random';
+import {
+  DEAL_ORDER, createEmptyGame, createGame, applyMove, executeMove, undoMove, recordToMove,
+  isLegalMove, isWon, getMovingCards, countFoundationCards,
+  findHint as findEngineHint, findAutoMove, findSafeFoundationMove
+} from '../engine/klondike';
+import { cancelSolves, findKlondikeHint, findWinnableKlondikeDeal, solveKlondikeGame } from '../workers/solverClient';
+import { deckForDeal, recordingStates } from '../engine/replay';
+import { toNotation, parseNotation } from '../engine/notation';
+import { getItem, setItem, removeItem } from '../storage/db';
+import { loadReplays, saveReplay } from '../storage/replays';
+import { loadCurrentSlot, saveSlot, deleteSlot, setCurrentSlotId } from '../storage/savedGames';
+import { logGame } from '../storage/gameLog';
+import { rulesetKey, rulesetLabel, rulesetDrawCount, legacyStats, loadRulesetStats, saveRulesetStats, statsFor, updateRuleset, totalStats } from '../storage/klondikeStats';
+import { useCardDrag } from '../hooks/useCardDrag';
+import { useKeyboardControls } from '../hooks/useKeyboardControls';
+import { useAnnouncer } from '../hooks/useAnnouncer';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+import { useAchievements, isUnlocked } from '../hooks/useAchievements';
+import { ACHIEVEMENTS } from '../data/achievements';
+import { dayKey, dayFromKey, loadDailyHistory, markDailyPlayed, recordDailyWin, dailyStreak } from '../storage/dailyChallenges';
+import { boardFor, submitResult } from '../storage/leaderboard';
+import { activeProfileId, activeProfileName, renameProfile } from '../storage/profiles';
+import ReplayViewer from './ReplayViewer';
+import SavedGamesBrowser from './SavedGamesBrowser';
+import StatsDashboard from './StatsDashboard';
+import AchievementToast from './AchievementToast';
+import AchievementsGallery from './AchievementsGallery';
+import DailyCalendar from './DailyCalendar';
+import DailyBanner from './DailyBanner';
+import DealNumberForm from './DealNumberForm';
+import ShareDealButton from './ShareDealButton';
+import DealComparison from './DealComparison';
+import Leaderboard from './Leaderboard';
+import PlayersDialog from './PlayersDialog';
 import './Solitaire.css';
 
-const SUITS = ['♠', '♥', '♦', '♣'];
-const SUIT_COLORS = { '♠': 'black', '♣': 'black', '♥': 'red', '♦': 'red' };
-const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
-
 // Sound effects using Web Audio API
 const createAudioContext = () => {
   if (typeof window !== 'undefined') {
@@ -17,6 +49,17 @@ const createAudioContext = () => {
 
 let audioContext = null;
 
+// Save a recording as a notation text file (see engine/notation.js)
+const downloadNotation = (recording) => {
+  const blob = new Blob([toNotation(recording)], { type: 'text/plain' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `klondike-${new Date(recording.date || Date.now()).toISOString().split('T')[0]}.txt`;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
 const getAudioContext = () => {
   if (!audioContext) {
     audioContext = createAudioContext();
@@ -125,38 +168,6 @@ const playWinSound = () => {
   });
 };
 
-const createDeck = () => {
-  const deck = [];
-  for (const suit of SUITS) {
-    for (let i = 0; i < RANKS.length; i++) {
-      deck.push({
-        suit,
-        rank: RANKS[i],
-        value: i + 1,
-        color: SUIT_COLORS[suit],
-        id: `${suit}-${RANKS[i]}`
-      });
-    }
-  }
-  return deck;
-};
-
-const shuffleDeck = (deck) => {
-  const shuffled = [...deck];
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-  }
-  return shuffled;
-};
-
-const cloneGameState = (state) => ({
-  tableau: state.tableau.map(pile => pile.map(card => ({ ...card }))),
-  foundations: state.foundations.map(pile => pile.map(card => ({ ...card }))),
-  stock: state.stock.map(card => ({ ...card })),
-  waste: state.waste.map(card => ({ ...card })),
-});
-
 // Firework particle class
 class Particle {
   constructor(x, y, color) {
@@ -191,47 +202,121 @@ class Particle {
   }
 }
 
+// Keyboard cursor: { area: 'top', index } for the top row (0 stock, 1 waste, 2-5
+// foundations) or { area: 'tableau', index, cardIndex } for a column. cardIndex is
+// kept within the face-up cards when used, so Infinity means the top card.
+const TOP_ROW_SLOTS = 6;
+const topSlotForColumn = (column) => (column < 2 ? column : Math.max(1, column - 1));
+const columnForTopSlot = (slot) => (slot < 2 ? slot : slot + 1);
+
+const clampToFaceUp = (pile, cardIndex) => {
+  const first = pile.findIndex(card => card.faceUp);
+  if (first === -1) return pile.length - 1;
+  return Math.min(Math.max(cardIndex, first), pile.length - 1);
+};
+
+const moveCursor = (cursor, direction, tableau) => {
+  if (cursor.area === 'top') {
+    switch (direction) {
+      case 'left': return { ...cursor, index: Math.max(0, cursor.index - 1) };
+      case 'right': return { ...cursor, index: Math.min(TOP_ROW_SLOTS - 1, cursor.index + 1) };
+      case 'down': return { area: 'tableau', index: columnForTopSlot(cursor.index), cardIndex: Infinity };
+      default: return cursor;
+    }
+  }
+  const pile = tableau[cursor.index];
+  const cardIndex = clampToFaceUp(pile, cursor.cardIndex);
+  switch (direction) {
+    case 'left': return { ...cursor, index: Math.max(0, cursor.index - 1), cardIndex: Infinity };
+    case 'right': return { ...cursor, index: Math.min(tableau.length - 1, cursor.index + 1), cardIndex: Infinity };
+    case 'down': return { ...cursor, cardIndex: Math.min(cardIndex + 1, pile.length - 1) };
+    default:
+      // Up past the first face-up card leaves the column for the top row
+      if (cardIndex > 0 && pile[cardIndex - 1].faceUp) return { ...cursor, cardIndex: cardIndex - 1 };
+      return { area: 'top', index: topSlotForColumn(cursor.index) };
+  }
+};
+
+// Screen reader labels and announcements
+const cardLabel = (card, where) => (
+  card.faceUp ? `${cardName(card)}, face up, ${where}` : `Face-down card, ${where}`
+);
+
+const topCard = (pile) => pile[pile.length - 1];
+
+const describeCursor = (cursor, { stock, waste, foundations, tableau }) => {
+  if (cursor.area === 'top') {
+    if (cursor.index === 0) return `Stock, ${stock.length} cards`;
+    if (cursor.index === 1) return waste.length > 0 ? `${cardName(topCard(waste))}, waste` : 'Waste, empty';
+    const foundation = foundations[cursor.index - 2];
+    return `Foundation ${cursor.index - 1}, ${foundation.length > 0 ? cardName(topCard(foundation)) : 'empty'}`;
+  }
+  const pile = tableau[cursor.index];
+  if (pile.length === 0) return `Column ${cursor.index + 1}, empty`;
+  return cardLabel(pile[clampToFaceUp(pile, cursor.cardIndex)], `column ${cursor.index + 1}`);
+};
+
+const describeMove = (before, after, move) => {
+  if (move.type === 'draw') {
+    return before.stock.length === 0 ? 'Waste turned back into the stock' : `Drew ${cardName(topCard(after.waste))}`;
+  }
+  const [card] = getMovingCards(before, move);
+  const where = move.target === 'foundation' ? 'foundation' : `column ${move.targetIndex + 1}`;
+  let text = `${cardName(card)} to ${where}`;
+  if (move.source === 'tableau' && move.cardIndex > 0 && !before.tableau[move.pileIndex][move.cardIndex - 1].faceUp) {
+    text += `, ${cardName(topCard(after.tableau[move.pileIndex]))} turned over`;
+  }
+  return text;
+};
+
+const describeHint = ({ move, card, lost }) => {
+  if (!move) return 'No productive moves left';
+  const where = move.target === 'foundation' ? 'the foundation' : `column ${move.targetIndex + 1}`;
+  const text = move.type === 'draw' ? 'Hint: draw from the stock' : `Hint: move ${cardName(card)} to ${where}`;
+  return lost ? `${text}. No winning line from here` : text;
+};
+
 // Data version for migrations (outside component for stability)
 const DATA_VERSION = 2;
 
-const Solitaire = ({ onSwitchGame }) => {
-  const [tableau, setTableau] = useState([[], [], [], [], [], [], []]);
-  const [foundations, setFoundations] = useState([[], [], [], []]);
-  const [stock, setStock] = useState([]);
-  const [waste, setWaste] = useState([]);
+const Solitaire = ({ onSwitchGame, onSwitchProfile, sharedDeal }) => {
+  // Board state lives in the rules engine; the component only renders it
+  const [game, setGame] = useState(() => createEmptyGame());
+  const { tableau, foundations, stock, waste } = game;
   const [selectedCard, setSelectedCard] = useState(null);
+  const [cursor, setCursor] = useState({ area: 'tableau', index: 0, cardIndex: Infinity });
+  const [announcement, announce] = useAnnouncer();
   const [moves, setMoves] = useState(0);
   const [gameWon, setGameWon] = useState(false);
-  const [history, setHistory] = useState([]);
+  const [history, setHistory] = useState([]); // Move records (see engine/klondike), oldest first
+  const [future, setFuture] = useState([]); // Redo stack: records of undone moves, most recent last
   const [timer, setTimer] = useState(0);
   const [isPlaying, setIsPlaying] = useState(false);
-  const [stats, setStats] = useState(() => {
-    const saved = localStorage.getItem('solitaire_stats');
-    return saved ? JSON.parse(saved) : { gamesPlayed: 0, gamesWon: 0, bestMoves: null, bestTime: null };
-  });
+  const [rulesetStats, setRulesetStats] = useState(loadRulesetStats);
+  const [gameRuleset, setGameRuleset] = useState(null); // Ruleset the current game counts towards
+  const stats = totalStats(rulesetStats);
+  const gameStats = statsFor(rulesetStats, gameRuleset);
+  const winStreak = gameStats.streak;
   const [drawCount, setDrawCount] = useState(() => {
-    const saved = localStorage.getItem('solitaire_drawCount');
-    return saved ? parseInt(saved, 10) : 1;
+    return getItem('solitaire_drawCount', 1);
   });
   const [cardBackDesign, setCardBackDesign] = useState(() => {
-    const saved = localStorage.getItem('solitaire_cardBack');
-    return saved || 'classic-navy';
+    return getItem('solitaire_cardBack', 'classic-navy');
   });
   const [soundEnabled, setSoundEnabled] = useState(() => {
-    const saved = localStorage.getItem('solitaire_sound');
-    return saved !== 'false';
+    return getItem('solitaire_sound', true);
   });
   const [customBackImage, setCustomBackImage] = useState(() => {
-    return localStorage.getItem('solitaire_customBack') || null;
+    return getItem('solitaire_customBack');
   });
   const [customFaceImage, setCustomFaceImage] = useState(() => {
-    return localStorage.getItem('solitaire_customFace') || null;
+    return getItem('solitaire_customFace');
   });
   const [useCustomBack, setUseCustomBack] = useState(() => {
-    return localStorage.getItem('solitaire_useCustomBack') === 'true';
+    return getItem('solitaire_useCustomBack', false);
   });
   const [useCustomFace, setUseCustomFace] = useState(() => {
-    return localStorage.getItem('solitaire_useCustomFace') === 'true';
+    return getItem('solitaire_useCustomFace', false);
   });
   const [showSettings, setShowSettings] = useState(false);
   const [dealingCards, setDealingCards] = useState(false);
@@ -239,51 +324,58 @@ const Solitaire = ({ onSwitchGame }) => {
 
   // New feature states
   const [autoFoundation, setAutoFoundation] = useState(() => {
-    return localStorage.getItem('solitaire_autoFoundation') === 'true';
+    return getItem('solitaire_autoFoundation', false);
   });
   const [largePrintMode, setLargePrintMode] = useState(() => {
-    const saved = localStorage.getItem('solitaire_largePrint');
-    return saved === null ? true : saved === 'true'; // Default to true
+    return getItem('solitaire_largePrint', true); // Default to true
   });
   const [vegasMode, setVegasMode] = useState(() => {
-    return localStorage.getItem('solitaire_vegasMode') === 'true';
+    return getItem('solitaire_vegasMode', false);
+  });
+  // Vegas mode: -$52 to start, $5 per card on the foundations. Worked out from the
+  // board, so undo and redo take the score with them.
+  const score = -52 + 5 * countFoundationCards(game);
+  const [winnableOnly, setWinnableOnly] = useState(() => {
+    return getItem('solitaire_winnableOnly', false);
   });
-  const [score, setScore] = useState(-52); // Vegas mode: -$52 to start
+  const [findingDeal, setFindingDeal] = useState(false);
+  const [unverifiedDeal, setUnverifiedDeal] = useState(false); // Winnable deals were asked for but the search was stopped
+  const [dealStart, setDealStart] = useState(null); // Board as dealt, for solution replays
+  const [dealSolution, setDealSolution] = useState(null); // Known winning moves for this deal
+  const [showGiveUp, setShowGiveUp] = useState(false);
+  const [giveUpResult, setGiveUpResult] = useState(null); // null | 'solving' | solver result
+  const [gaveUp, setGaveUp] = useState(false);
+  const [replay, setReplay] = useState(null); // { moves, step } while a solution plays back
+  const [deal, setDeal] = useState(null); // { number } or { deck } - how this game was dealt, for recordings
+  const [pastWins, setPastWins] = useState(() => loadReplays('klondike'));
+  const [viewingReplay, setViewingReplay] = useState(null); // Recording open in the replay viewer
+  const [showSavedGames, setShowSavedGames] = useState(false);
+  const [showAchievements, setShowAchievements] = useState(false);
+  const [showCalendar, setShowCalendar] = useState(false);
+  const [leaderboard, setLeaderboard] = useState(null); // Board key while a leaderboard is open
+  const [showPlayers, setShowPlayers] = useState(false);
   const [nostalgiaMode, setNostalgiaMode] = useState(() => {
-    return localStorage.getItem('solitaire_nostalgia') === 'true';
+    return getItem('solitaire_nostalgia', false);
   });
   const [zenMode, setZenMode] = useState(() => {
-    return localStorage.getItem('solitaire_zenMode') === 'true';
+    return getItem('solitaire_zenMode', false);
   });
   const [timeBasedBacks, setTimeBasedBacks] = useState(() => {
-    return localStorage.getItem('solitaire_timeBacks') === 'true';
-  });
-  const [winStreak, setWinStreak] = useState(() => {
-    const saved = localStorage.getItem('solitaire_winStreak');
-    return saved ? parseInt(saved, 10) : 0;
+    return getItem('solitaire_timeBacks', false);
   });
   const [lastMoveInfo, setLastMoveInfo] = useState(null); // For undo visualization
   const [showHint, setShowHint] = useState(false);
   const [hintCard, setHintCard] = useState(null);
-  const [achievements, setAchievements] = useState(() => {
-    const saved = localStorage.getItem('solitaire_achievements');
-    return saved ? JSON.parse(saved) : {
-      firstWin: false,
-      speedDemon: false,      // Win under 3 minutes
-      perfectGame: false,     // Win with < 100 moves
-      centurion: false,       // Play 100 games
-      streakMaster: false,    // 5 win streak
-      veteran: false,         // Play 500 games
-      marathoner: false,      // Win 50 games
-      grandmaster: false,     // Win 100 games
-    };
-  });
-  const [showAchievement, setShowAchievement] = useState(null);
+  const [hintPending, setHintPending] = useState(false);
+  const { achievements, record: recordAchievements, restore: restoreAchievements, toast: achievementToast } = useAchievements();
   const [isDailyChallenge, setIsDailyChallenge] = useState(false);
-  const [dailySeed, setDailySeed] = useState(null);
-  const [showDailyBanner, setShowDailyBanner] = useState(false);
+  const [dailySeed, setDailySeed] = useState(null); // The day (YYYYMMDD) being played
+  const [dailyArchive, setDailyArchive] = useState(false); // A past day replayed from the calendar
+  const [dailyStreakCount, setDailyStreakCount] = useState(() => dailyStreak(loadDailyHistory('klondike')));
+  const [linkSender, setLinkSender] = useState(null); // { from, result } of the deal link this game came from
+  const [dailyBanner, setDailyBanner] = useState(null); // { explain } while the daily banner shows
   const [hasSeenDailyExplanation, setHasSeenDailyExplanation] = useState(() => {
-    return localStorage.getItem('solitaire_seenDailyExplanation') === 'true';
+    return getItem('solitaire_seenDailyExplanation', false);
   });
 
   // Optimization & Stability states
@@ -299,7 +391,7 @@ const Solitaire = ({ onSwitchGame }) => {
   const [allRatings, setAllRatings] = useState([]);
   const [allUserStats, setAllUserStats] = useState(null);
   const [hasRated, setHasRated] = useState(() => {
-    return localStorage.getItem('solitaire_hasRated') === 'true';
+    return getItem('solitaire_hasRated', false);
   });
   const [reducedMotion, setReducedMotion] = useState(() => {
     if (typeof window !== 'undefined') {
@@ -321,14 +413,15 @@ const Solitaire = ({ onSwitchGame }) => {
   const [showChallengeCard, setShowChallengeCard] = useState(false);
   const [challengeStats, setChallengeStats] = useState(null);
   const [playerName, setPlayerName] = useState(() => {
-    return localStorage.getItem('solitaire_playerName') || '';
+    return getItem('solitaire_playerName', '');
   });
 
-  // Tooltip content for buttons, options, and achievements
+  // Tooltip content for buttons and options
   const TOOLTIPS = {
     // Buttons
-    undo: "Undo your last move. No limit on undos!",
-    hint: "Highlights a valid move. Prioritizes foundation moves over tableau moves.",
+    undo: "Undo your last move. No limit on undos; the move comes off your move count too.",
+    redo: "Redo a move you just undid. Making a new move clears the redo list.",
+    hint: "Looks ahead to find the most useful move (or a draw), and tells you when no productive moves are left.",
     daily: "Daily Challenge: Same card shuffle for everyone worldwide today! Compare scores with friends.",
     newGame: "Start a fresh game with a new random shuffle. Your current progress will be lost.",
     // Game Options
@@ -338,15 +431,8 @@ const Solitaire = ({ onSwitchGame }) => {
     timeBacks: "Time-of-Day Backs: Card backs change color based on the time of day.",
     nostalgia: "Nostalgia Mode: Adds a subtle vintage texture to cards for a classic feel.",
     zen: "Zen Mode: Pure relaxation! No timer, no move counter, no stats tracking. Just you and the cards.",
-    // Achievements
-    firstWin: "First Victory: Win your very first game of Solitaire Plus!",
-    speedDemon: "Speed Demon: Win a game in under 3 minutes. Fast fingers!",
-    perfectGame: "Perfect Game: Win with fewer than 100 moves. Pure efficiency!",
-    centurion: "Centurion: Play 100 games. You're dedicated!",
-    streakMaster: "Streak Master: Win 5 games in a row. On fire!",
-    veteran: "Veteran: Play 500 games. A true solitaire fan!",
-    marathoner: "Marathoner: Win 50 games total. Persistent winner!",
-    grandmaster: "Grandmaster: Win 100 games. The ultimate achievement!"
+    winnable: "Winnable Deals Only: Every new game is checked by the solver first, so a win is always possible.",
+    giveUp: "Give up this game and see whether (and how) the deal could have been won."
   };
 
   const canvasRef = useRef(null);
@@ -356,6 +442,7 @@ const Solitaire = ({ onSwitchGame }) => {
   const faceImageInputRef = useRef(null);
   const gameContainerRef = useRef(null);
   const lastGameWonRef = useRef(true); // Track if last game was won (default true to not reset on first load)
+  const dealRequestRef = useRef(0); // Bumped on every new game so stale deals are dropped
 
   const currentDesign = getDesignById(cardBackDesign);
   const adminTapRef = useRef({ count: 0, lastTap: 0 });
@@ -365,19 +452,19 @@ const Solitaire = ({ onSwitchGame }) => {
     const params = new URLSearchParams(window.location.search);
     if (params.get('admin') === 'solitaireplus') {
       setIsAdmin(true);
-      localStorage.setItem('solitaire_admin', 'true');
-    } else if (localStorage.getItem('solitaire_admin') === 'true') {
+      setItem('solitaire_admin', true);
+    } else if (getItem('solitaire_admin', false)) {
       setIsAdmin(true);
     } else if (isAdminDevice()) {
       setIsAdmin(true);
-      localStorage.setItem('solitaire_admin', 'true');
+      setItem('solitaire_admin', true);
     }
   }, []);
 
   // Check if mobile user should see install prompt
   useEffect(() => {
     // Skip if already seen or already in PWA mode
-    const hasSeenPrompt = localStorage.getItem('solitaire_seenInstallPrompt') === 'true';
+    const hasSeenPrompt = getItem('solitaire_seenInstallPrompt', false);
     const isPWA = window.matchMedia('(display-mode: standalone)').matches ||
                   window.navigator.standalone === true;
 
@@ -453,10 +540,10 @@ const Solitaire = ({ onSwitchGame }) => {
     }
   };
 
-  // Save player name
-  const handleSavePlayerName = (name) => {
-    setPlayerName(name);
-    localStorage.setItem('solitaire_playerName', name);
+  // Save player name once it's been typed, as this profile's name. Names are unique on the
+  // device, so it may come back with a number added.
+  const handleSavePlayerName = () => {
+    setPlayerName(renameProfile(activeProfileId(), playerName));
   };
 
   // Handle admin tap (tap version 7 times to toggle admin)
@@ -467,7 +554,7 @@ const Solitaire = ({ onSwitchGame }) => {
       if (adminTapRef.current.count >= 7) {
         const newAdmin = !isAdmin;
         setIsAdmin(newAdmin);
-        localStorage.setItem('solitaire_admin', newAdmin.toString());
+        setItem('solitaire_admin', newAdmin);
         adminTapRef.current.count = 0;
         // Show confirmation
         alert(newAdmin ? '🔓 Admin mode enabled!' : '🔒 Admin mode disabled');
@@ -507,7 +594,7 @@ const Solitaire = ({ onSwitchGame }) => {
 
     await submitRating(ratingValue, ratingMessage, playerName);
     setHasRated(true);
-    localStorage.setItem('solitaire_hasRated', 'true');
+    setItem('solitaire_hasRated', true);
     setShowRateModal(false);
     setRatingValue(0);
     setRatingMessage('');
@@ -528,73 +615,69 @@ const Solitaire = ({ onSwitchGame }) => {
 
   // Save preferences
   useEffect(() => {
-    localStorage.setItem('solitaire_drawCount', drawCount.toString());
+    setItem('solitaire_drawCount', drawCount);
   }, [drawCount]);
 
   useEffect(() => {
-    localStorage.setItem('solitaire_cardBack', cardBackDesign);
+    setItem('solitaire_cardBack', cardBackDesign);
   }, [cardBackDesign]);
 
   useEffect(() => {
-    localStorage.setItem('solitaire_sound', soundEnabled.toString());
+    setItem('solitaire_sound', soundEnabled);
   }, [soundEnabled]);
 
   useEffect(() => {
     if (customBackImage) {
-      localStorage.setItem('solitaire_customBack', customBackImage);
+      setItem('solitaire_customBack', customBackImage);
     } else {
-      localStorage.removeItem('solitaire_customBack');
+      removeItem('solitaire_customBack');
     }
   }, [customBackImage]);
 
   useEffect(() => {
     if (customFaceImage) {
-      localStorage.setItem('solitaire_customFace', customFaceImage);
+      setItem('solitaire_customFace', customFaceImage);
     } else {
-      localStorage.removeItem('solitaire_customFace');
+      removeItem('solitaire_customFace');
     }
   }, [customFaceImage]);
 
   useEffect(() => {
-    localStorage.setItem('solitaire_useCustomBack', useCustomBack.toString());
+    setItem('solitaire_useCustomBack', useCustomBack);
   }, [useCustomBack]);
 
   useEffect(() => {
-    localStorage.setItem('solitaire_useCustomFace', useCustomFace.toString());
+    setItem('solitaire_useCustomFace', useCustomFace);
   }, [useCustomFace]);
 
   useEffect(() => {
-    localStorage.setItem('solitaire_autoFoundation', autoFoundation.toString());
+    setItem('solitaire_autoFoundation', autoFoundation);
   }, [autoFoundation]);
 
   useEffect(() => {
-    localStorage.setItem('solitaire_largePrint', largePrintMode.toString());
+    setItem('solitaire_largePrint', largePrintMode);
   }, [largePrintMode]);
 
   useEffect(() => {
-    localStorage.setItem('solitaire_vegasMode', vegasMode.toString());
+    setItem('solitaire_vegasMode', vegasMode);
   }, [vegasMode]);
 
   useEffect(() => {
-    localStorage.setItem('solitaire_nostalgia', nostalgiaMode.toString());
+    setItem('solitaire_winnableOnly', winnableOnly);
+  }, [winnableOnly]);
+
+  useEffect(() => {
+    setItem('solitaire_nostalgia', nostalgiaMode);
   }, [nostalgiaMode]);
 
   useEffect(() => {
-    localStorage.setItem('solitaire_zenMode', zenMode.toString());
+    setItem('solitaire_zenMode', zenMode);
   }, [zenMode]);
 
   useEffect(() => {
-    localStorage.setItem('solitaire_timeBacks', timeBasedBacks.toString());
+    setItem('solitaire_timeBacks', timeBasedBacks);
   }, [timeBasedBacks]);
 
-  useEffect(() => {
-    localStorage.setItem('solitaire_winStreak', winStreak.toString());
-  }, [winStreak]);
-
-  useEffect(() => {
-    localStorage.setItem('solitaire_achievements', JSON.stringify(achievements));
-  }, [achievements]);
-
   // Detect reduced motion preference
   useEffect(() => {
     const mq = window.matchMedia('(prefers-reduced-motion: reduce)');
@@ -629,183 +712,54 @@ const Solitaire = ({ onSwitchGame }) => {
     return 'midnight-black';                                 // Late night
   };
 
-  // Seeded random for daily challenge
-  const seededRandom = (seed) => {
-    const x = Math.sin(seed) * 10000;
-    return x - Math.floor(x);
-  };
-
-  const shuffleDeckWithSeed = (deck, seed) => {
-    const shuffled = [...deck];
-    let currentSeed = seed;
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      currentSeed = (currentSeed * 9301 + 49297) % 233280;
-      const j = Math.floor((currentSeed / 233280) * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  // Earlier positions of this game, most recent first, rebuilt from the move records
+  const getEarlierStates = useCallback((limit = history.length) => {
+    const states = [];
+    let state = game;
+    for (let i = history.length - 1; i >= Math.max(0, history.length - limit); i--) {
+      state = undoMove(state, history[i]);
+      states.push(state);
     }
-    return shuffled;
-  };
+    return states;
+  }, [game, history]);
 
-  // Get today's seed for daily challenge
-  const getTodaySeed = () => {
-    const today = new Date();
-    return today.getFullYear() * 10000 + (today.getMonth() + 1) * 100 + today.getDate();
-  };
-
-  // Find a hint (valid move)
-  const findHint = useCallback(() => {
-    // Check waste pile first
-    if (waste.length > 0) {
-      const card = waste[waste.length - 1];
-      // Check foundations
-      for (let i = 0; i < 4; i++) {
-        if (canPlaceOnFoundation(card, foundations[i])) {
-          return { source: 'waste', card, target: 'foundation', targetIndex: i };
-        }
-      }
-      // Check tableau
-      for (let i = 0; i < 7; i++) {
-        if (canPlaceOnTableau(card, tableau[i])) {
-          return { source: 'waste', card, target: 'tableau', targetIndex: i };
-        }
-      }
-    }
-
-    // Check tableau piles
-    for (let pileIdx = 0; pileIdx < 7; pileIdx++) {
-      const pile = tableau[pileIdx];
-      if (pile.length === 0) continue;
-
-      // Check top card for foundation
-      const topCard = pile[pile.length - 1];
-      if (topCard.faceUp) {
-        for (let i = 0; i < 4; i++) {
-          if (canPlaceOnFoundation(topCard, foundations[i])) {
-            return { source: 'tableau', pileIndex: pileIdx, cardIndex: pile.length - 1, card: topCard, target: 'foundation', targetIndex: i };
-          }
-        }
-      }
-
-      // Check face-up cards for tableau moves
-      for (let cardIdx = 0; cardIdx < pile.length; cardIdx++) {
-        const card = pile[cardIdx];
-        if (!card.faceUp) continue;
-
-        for (let targetPile = 0; targetPile < 7; targetPile++) {
-          if (targetPile === pileIdx) continue;
-          if (canPlaceOnTableau(card, tableau[targetPile])) {
-            // Don't suggest moving a King to an empty pile from another pile unless it reveals a card
-            if (card.rank === 'K' && tableau[targetPile].length === 0 && cardIdx === 0) continue;
-            return { source: 'tableau', pileIndex: pileIdx, cardIndex: cardIdx, card, target: 'tableau', targetIndex: targetPile };
-          }
-        }
-      }
+  // Ask the solver for the most useful move, with the card to highlight.
+  // Falls back to the quick engine hint if the worker isn't available.
+  const findHint = useCallback(async () => {
+    let hint;
+    try {
+      hint = await findKlondikeHint(game, getEarlierStates(50));
+    } catch {
+      hint = { move: findEngineHint(game), lost: false };
     }
-
-    return null;
-  }, [waste, tableau, foundations]);
+    const card = hint.move?.type === 'move' ? getMovingCards(game, hint.move)[0] : null;
+    return { ...hint, card, state: game };
+  }, [game, getEarlierStates]);
 
   // Auto-foundation: move obvious cards up
   const autoMoveToFoundation = useCallback(() => {
-    if (!autoFoundation) return false;
-
-    // Find the minimum value in foundations (to avoid moving cards that might be needed)
-    const minFoundationValue = Math.min(...foundations.map(f => f.length > 0 ? f[f.length - 1].value : 0));
-
-    // Only auto-move if card value is at most minFoundationValue + 2
-    const canAutoMove = (card) => {
-      return card.value <= minFoundationValue + 2;
-    };
-
-    // Check waste
-    if (waste.length > 0) {
-      const card = waste[waste.length - 1];
-      if (canAutoMove(card) || card.rank === 'A') {
-        for (let i = 0; i < 4; i++) {
-          if (canPlaceOnFoundation(card, foundations[i])) {
-            return { source: 'waste', foundationIndex: i, card };
-          }
-        }
-      }
-    }
-
-    // Check tableau
-    for (let pileIdx = 0; pileIdx < 7; pileIdx++) {
-      const pile = tableau[pileIdx];
-      if (pile.length === 0) continue;
-      const card = pile[pile.length - 1];
-      if (!card.faceUp) continue;
-
-      if (canAutoMove(card) || card.rank === 'A') {
-        for (let i = 0; i < 4; i++) {
-          if (canPlaceOnFoundation(card, foundations[i])) {
-            return { source: 'tableau', pileIndex: pileIdx, foundationIndex: i, card };
-          }
-        }
-      }
-    }
-
-    return null;
-  }, [autoFoundation, waste, tableau, foundations]);
-
-  // Check and unlock achievements
-  // isWin: true when player just won, false when just tracking games played
-  const checkAchievements = useCallback((newStats, newStreak, gameTime, gameMoves, isWin = false) => {
-    const newAchievements = { ...achievements };
-    let unlocked = null;
-
-    // Win-based achievements (only check when player actually won a real game)
-    // Require minimum thresholds to prevent false triggers
-    const isRealGame = gameTime >= 30 && gameMoves >= 20; // Must have played at least 30 seconds and 20 moves
-
-    if (isWin && isRealGame) {
-      if (!achievements.firstWin && newStats.gamesWon >= 1) {
-        newAchievements.firstWin = true;
-        unlocked = { id: 'firstWin', name: 'First Victory', icon: '🏆' };
-      }
-      // Speed Demon: Win in under 3 minutes (180 seconds) but at least 30 seconds (real game)
-      if (!achievements.speedDemon && gameTime >= 30 && gameTime < 180) {
-        newAchievements.speedDemon = true;
-        unlocked = { id: 'speedDemon', name: 'Speed Demon', icon: '⚡' };
-      }
-      // Perfect Game: Win with fewer than 100 moves but at least 20 (real game)
-      if (!achievements.perfectGame && gameMoves >= 20 && gameMoves < 100) {
-        newAchievements.perfectGame = true;
-        unlocked = { id: 'perfectGame', name: 'Perfect Game', icon: '💎' };
-      }
-      // Streak Master: 5 wins in a row
-      if (!achievements.streakMaster && newStreak >= 5) {
-        newAchievements.streakMaster = true;
-        unlocked = { id: 'streakMaster', name: 'Streak Master', icon: '🔥' };
-      }
-      // Marathoner: Win 50 games total
-      if (!achievements.marathoner && newStats.gamesWon >= 50) {
-        newAchievements.marathoner = true;
-        unlocked = { id: 'marathoner', name: 'Marathoner', icon: '🏃' };
-      }
-      // Grandmaster: Win 100 games total
-      if (!achievements.grandmaster && newStats.gamesWon >= 100) {
-        newAchievements.grandmaster = true;
-        unlocked = { id: 'grandmaster', name: 'Grandmaster', icon: '👑' };
-      }
-    }
-
-    // Games played achievements (check anytime)
-    if (!achievements.centurion && newStats.gamesPlayed >= 100) {
-      newAchievements.centurion = true;
-      unlocked = { id: 'centurion', name: 'Centurion', icon: '💯' };
-    }
-    if (!achievements.veteran && newStats.gamesPlayed >= 500) {
-      newAchievements.veteran = true;
-      unlocked = { id: 'veteran', name: 'Veteran', icon: '⭐' };
-    }
-
-    if (JSON.stringify(newAchievements) !== JSON.stringify(achievements)) {
-      setAchievements(newAchievements);
-    }
-
-    return unlocked;
-  }, [achievements]);
+    if (!autoFoundation) return null;
+    return findSafeFoundationMove(game);
+  }, [autoFoundation, game]);
+
+  // Count a new game towards its ruleset's stats (skipped in Zen mode). The streak of
+  // the game being left ends if it wasn't won.
+  const countNewGame = useCallback((ruleset) => {
+    setGameRuleset(ruleset);
+    const lastGameWon = lastGameWonRef.current;
+    lastGameWonRef.current = false;
+    if (zenMode) return;
+
+    // From storage rather than state, which is stale if stats were just reset or imported
+    let next = loadRulesetStats();
+    if (!lastGameWon && next[gameRuleset]) next = updateRuleset(next, gameRuleset, s => ({ ...s, streak: 0 }));
+    next = updateRuleset(next, ruleset, s => ({ ...s, gamesPlayed: s.gamesPlayed + 1 }));
+    setRulesetStats(saveRulesetStats(next));
+    recordAchievements({
+      variant: 'klondike', type: 'start', moves: 0, time: 0,
+      streak: next[ruleset].streak, stats: totalStats(next)
+    });
+  }, [zenMode, gameRuleset, recordAchievements]);
 
   // Victory screenshot
   const takeScreenshot = useCallback(async () => {
@@ -876,9 +830,23 @@ const Solitaire = ({ onSwitchGame }) => {
     URL.revokeObjectURL(url);
   };
 
-  // Auto-save game state (compressed format)
+  // This game as a game-log entry, minus its result (see storage/gameLog.js)
+  const gameLogEntry = useCallback(() => ({
+    variant: 'klondike',
+    drawCount: game.drawCount,
+    vegas: vegasMode,
+    zen: zenMode,
+    daily: isDailyChallenge,
+    dealNumber: deal?.number ?? null,
+    moves,
+    time: timer,
+    score
+  }), [game.drawCount, vegasMode, zenMode, isDailyChallenge, deal, moves, timer, score]);
+
+  // Auto-save game state (compressed format) into this game's save slot. Games only
+  // get a slot once a move has been made.
   const saveGameState = useCallback(() => {
-    if (gameWon || !isPlaying) return;
+    if (gameWon || !isPlaying || moves === 0) return;
 
     const gameState = {
       v: DATA_VERSION,
@@ -889,12 +857,27 @@ const Solitaire = ({ onSwitchGame }) => {
       w: waste.map(c => ({ s: c.suit, r: c.rank })),
       m: moves,
       tm: timer,
-      sc: score,
-      dc: drawCount,
-      daily: isDailyChallenge ? dailySeed : null
+      dc: game.drawCount,
+      daily: isDailyChallenge ? dailySeed : null,
+      dl: deal,
+      rs: gameRuleset,
+      ls: linkSender,
+      h: history
     };
-    localStorage.setItem('solitaire_savedGame', JSON.stringify(gameState));
-  }, [gameWon, isPlaying, gameId, tableau, foundations, stock, waste, moves, timer, score, drawCount, isDailyChallenge, dailySeed, DATA_VERSION]);
+    const started = new Date(gameId).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    saveSlot({
+      id: gameId,
+      variant: 'klondike',
+      name: isDailyChallenge ? `Daily Challenge ${new Date(gameId).toLocaleDateString()}` : `Game of ${started}`,
+      options: { drawCount: game.drawCount },
+      daily: isDailyChallenge,
+      progress: { done: foundations.reduce((sum, pile) => sum + pile.length, 0), total: 52 },
+      moves,
+      time: timer,
+      log: gameLogEntry(),
+      save: gameState
+    });
+  }, [gameWon, isPlaying, gameId, tableau, foundations, stock, waste, moves, timer, game.drawCount, isDailyChallenge, dailySeed, deal, history, gameLogEntry, gameRuleset, linkSender]);
 
   // Restore card from compressed format
   const restoreCard = (c, faceUp = true) => ({
@@ -906,43 +889,76 @@ const Solitaire = ({ onSwitchGame }) => {
     faceUp: c.f !== undefined ? c.f === 1 : faceUp
   });
 
-  // Resume saved game
-  const resumeSavedGame = useCallback(() => {
-    const saved = localStorage.getItem('solitaire_savedGame');
-    if (!saved) return false;
-
+  // Pick a saved game back up, on load or from the Saved Games list
+  const resumeSlot = useCallback((slot) => {
     try {
-      const gs = JSON.parse(saved);
+      const gs = slot.save;
       if (gs.v !== DATA_VERSION) {
-        localStorage.removeItem('solitaire_savedGame');
+        deleteSlot('klondike', slot.id);
         return false;
       }
 
-      setTableau(gs.t.map(p => p.map(c => restoreCard(c, c.f === 1))));
-      setFoundations(gs.f.map(p => p.map(c => restoreCard(c, true))));
-      setStock(gs.st.map(c => restoreCard(c, false)));
-      setWaste(gs.w.map(c => restoreCard(c, true)));
+      dealRequestRef.current++;
+      cancelSolves();
+      setGame({
+        tableau: gs.t.map(p => p.map(c => restoreCard(c, c.f === 1))),
+        foundations: gs.f.map(p => p.map(c => restoreCard(c, true))),
+        stock: gs.st.map(c => restoreCard(c, false)),
+        waste: gs.w.map(c => restoreCard(c, true)),
+        drawCount: gs.dc
+      });
+      setHistory(gs.h || []);
+      setFuture([]);
       setMoves(gs.m);
       setTimer(gs.tm);
-      setScore(gs.sc || -52);
       setDrawCount(gs.dc);
-      setGameId(gs.id);
+      setGameId(slot.id);
       setIsDailyChallenge(!!gs.daily);
+      setDeal(gs.dl || null);
       setDailySeed(gs.daily);
+      setDailyArchive(!!gs.daily && gs.daily !== dayKey());
+      setLinkSender(gs.ls || null);
+      // Saves from before per-ruleset stats don't say whether they were Vegas games
+      setGameRuleset(gs.rs || rulesetKey({ drawCount: gs.dc, vegas: false, daily: !!gs.daily }));
+      setDealStart(null);
+      setDealSolution(null);
+      setDealingCards(false);
+      setGaveUp(false);
+      setGiveUpResult(null);
+      setUnverifiedDeal(false);
+      setReplay(null);
+      setSelectedCard(null);
+      setShowHint(false);
+      setHintCard(null);
+      setLastMoveInfo(null);
+      setLastWinningCard(null);
       setIsPlaying(true);
       setGameWon(false);
+      setCurrentSlotId('klondike', slot.id);
 
       return true;
     } catch (e) {
       console.error('Failed to resume game:', e);
-      localStorage.removeItem('solitaire_savedGame');
+      deleteSlot('klondike', slot.id);
       return false;
     }
-  }, [DATA_VERSION]);
+  }, []);
 
-  // Clear saved game
+  // A finished game (won or given up) leaves its save slot
   const clearSavedGame = () => {
-    localStorage.removeItem('solitaire_savedGame');
+    deleteSlot('klondike', gameId);
+  };
+
+  // Continue a game from the Saved Games list. The game being left keeps its slot.
+  const continueSlot = (slot) => {
+    setShowSavedGames(false);
+    saveGameState();
+    if (slot.variant === 'klondike') {
+      resumeSlot(slot);
+    } else {
+      setCurrentSlotId(slot.variant, slot.id);
+      onSwitchGame(slot.variant);
+    }
   };
 
   // Long-press handler for tooltips (buttons)
@@ -985,9 +1001,8 @@ const Solitaire = ({ onSwitchGame }) => {
     const data = {
       version: DATA_VERSION,
       exportDate: new Date().toISOString(),
-      stats: stats,
+      rulesetStats,
       achievements: achievements,
-      winStreak: winStreak,
       preferences: {
         drawCount,
         cardBackDesign,
@@ -1018,16 +1033,14 @@ const Solitaire = ({ onSwitchGame }) => {
     reader.onload = (event) => {
       try {
         const data = JSON.parse(event.target?.result);
-        if (data.stats) {
-          setStats(data.stats);
-          localStorage.setItem('solitaire_stats', JSON.stringify(data.stats));
+        if (data.rulesetStats) {
+          setRulesetStats(saveRulesetStats(data.rulesetStats));
+        } else if (data.stats) {
+          // Exports from before per-ruleset stats
+          setRulesetStats(prev => saveRulesetStats({ ...prev, legacy: legacyStats(data.stats, data.winStreak) }));
         }
         if (data.achievements) {
-          setAchievements(data.achievements);
-          localStorage.setItem('solitaire_achievements', JSON.stringify(data.achievements));
-        }
-        if (data.winStreak !== undefined) {
-          setWinStreak(data.winStreak);
+          restoreAchievements(data.achievements);
         }
         if (data.preferences) {
           const p = data.preferences;
@@ -1048,6 +1061,86 @@ const Solitaire = ({ onSwitchGame }) => {
     reader.readAsText(file);
   };
 
+  // The game so far as a recording, or null for games resumed from a save without their deal
+  const currentRecording = () => (deal && {
+    variant: 'klondike',
+    options: { drawCount: game.drawCount },
+    deal,
+    moves: history,
+    result: { won: gameWon, moves, time: timer }
+  });
+
+  const exportGame = () => {
+    const recording = currentRecording();
+    if (!recording) {
+      alert('This game was resumed from an older save and can\'t be exported.');
+      return;
+    }
+    downloadNotation(recording);
+  };
+
+  // Carry on an imported game from its last position. It counts as a new game started.
+  const loadRecording = (recording) => {
+    const states = recordingStates(recording);
+    dealRequestRef.current++;
+    cancelSolves();
+
+    setGame(states[states.length - 1]);
+    setDrawCount(recording.options.drawCount);
+    setDeal(recording.deal);
+    setDealStart(states[0]);
+    setDealSolution(null);
+    setHistory(recording.moves);
+    setFuture([]);
+    setMoves(recording.result.moves);
+    setTimer(recording.result.time);
+    setGameId(Date.now());
+    setIsDailyChallenge(false);
+    setDailySeed(null);
+    setDailyArchive(false);
+    setLinkSender(null);
+    setDealingCards(false);
+    setGaveUp(false);
+    setGiveUpResult(null);
+    setUnverifiedDeal(false);
+    setReplay(null);
+    setSelectedCard(null);
+    setShowHint(false);
+    setHintCard(null);
+    setLastMoveInfo(null);
+    setLastWinningCard(null);
+    setGameWon(false);
+    setIsPlaying(true);
+    countNewGame(rulesetKey({ drawCount: recording.options.drawCount, vegas: vegasMode, daily: false }));
+  };
+
+  // Import a game from a notation file: won games open in the replay viewer,
+  // unfinished ones are dealt out to carry on playing
+  const importGame = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      let recording;
+      try {
+        recording = parseNotation(event.target?.result);
+      } catch (err) {
+        alert(`Failed to import game: ${err.message}`);
+        return;
+      }
+      if (recording.variant !== 'klondike') {
+        alert('That is a Spider game - switch to Spider to import it.');
+        return;
+      }
+      setShowStats(false);
+      if (recording.result.won) setViewingReplay(recording);
+      else loadRecording(recording);
+    };
+    reader.readAsText(file);
+  };
+
   // Time milestone sound (gentle ping)
   const playMilestoneSound = useCallback(() => {
     if (!soundEnabled) return;
@@ -1148,6 +1241,16 @@ const Solitaire = ({ onSwitchGame }) => {
     return () => clearInterval(interval);
   }, [isPlaying, gameWon]);
 
+  // Solution replay - one move at a time
+  useEffect(() => {
+    if (!replay || replay.step >= replay.moves.length) return;
+    const timeout = setTimeout(() => {
+      setGame(prev => applyMove(prev, replay.moves[replay.step]));
+      setReplay(prev => ({ ...prev, step: prev.step + 1 }));
+    }, reducedMotion ? 150 : 400);
+    return () => clearTimeout(timeout);
+  }, [replay, reducedMotion]);
+
   // Fireworks animation
   const launchFirework = useCallback((canvas) => {
     const colors = ['#ff0000', '#ffd700', '#00ff00', '#00ffff', '#ff00ff', '#ff6600', '#ffffff'];
@@ -1208,14 +1311,49 @@ const Solitaire = ({ onSwitchGame }) => {
     };
   }, [gameWon, animateFireworks, launchFirework, soundEnabled]);
 
-  const saveToHistory = useCallback(() => {
-    const currentState = cloneGameState({ tableau, foundations, stock, waste });
-    setHistory(prev => [...prev, currentState]);
-  }, [tableau, foundations, stock, waste]);
+  // Apply a move through the rules engine. Returns false (and changes nothing) if it's illegal.
+  const commitMove = useCallback((move) => {
+    if (gaveUp) return false;
+    const result = executeMove(game, move);
+    if (!result) return false;
 
-  const initGame = useCallback((daily = false) => {
-    // Clear any saved game state
-    clearSavedGame();
+    setHistory(prev => [...prev, result.record]);
+    setFuture([]);
+    setGame(result.state);
+    setSelectedCard(null);
+    setMoves(m => m + 1);
+    announce(describeMove(game, result.state, move));
+
+    if (soundEnabled) {
+      if (move.target === 'foundation') {
+        playFoundationSound();
+      } else if (move.type !== 'draw' || game.stock.length > 0) {
+        playCardPlaceSound();
+      }
+    }
+    return true;
+  }, [game, gaveUp, soundEnabled, announce]);
+
+  // Drag and drop goes through the same legality check as clicking
+  const { drag, startDrag } = useCardDrag((origin, { target, targetIndex }) => (
+    commitMove({ type: 'move', ...origin, target, targetIndex })
+  ));
+
+  // chosen picks the deal, e.g. { number } - for daily games { number: day }, a past day
+  // from the calendar (today's by default). rules ({ drawCount, vegas }) switches to
+  // another ruleset first, e.g. a deal link's.
+  const initGame = useCallback((daily = false, chosen = null, rules = null) => {
+    const draw = rules ? rules.drawCount : drawCount;
+    const vegas = rules ? rules.vegas : vegasMode;
+    if (rules) {
+      setDrawCount(draw);
+      setVegasMode(vegas);
+    }
+
+    // The game being left stays in its save slot, with any moves autosave hasn't caught up
+    // with yet. The new one gets its own after the first move.
+    saveGameState();
+    setCurrentSlotId('klondike', null);
     setGameId(Date.now());
     setTimeMilestones({ 1: false, 5: false, 10: false });
     setLastWinningCard(null);
@@ -1223,122 +1361,134 @@ const Solitaire = ({ onSwitchGame }) => {
     setDealingCards(true);
     setDealtCardCount(0);
     setIsDailyChallenge(daily);
+    setLinkSender(null);
     setLastMoveInfo(null);
     setShowHint(false);
     setHintCard(null);
 
     // Show daily challenge banner
     if (daily) {
-      setShowDailyBanner(true);
-      setTimeout(() => setShowDailyBanner(false), hasSeenDailyExplanation ? 2000 : 5000);
+      setDailyBanner({ explain: !hasSeenDailyExplanation });
+      setTimeout(() => setDailyBanner(null), hasSeenDailyExplanation ? 2000 : 5000);
       if (!hasSeenDailyExplanation) {
         setHasSeenDailyExplanation(true);
-        localStorage.setItem('solitaire_seenDailyExplanation', 'true');
+        setItem('solitaire_seenDailyExplanation', true);
       }
     }
 
-    // Use seeded random for daily challenge, regular shuffle otherwise
-    let deck;
-    if (daily) {
-      const seed = getTodaySeed();
-      setDailySeed(seed);
-      deck = shuffleDeckWithSeed(createDeck(), seed);
-    } else {
-      setDailySeed(null);
-      deck = shuffleDeck(createDeck());
-    }
-
-    // Start with empty tableau - we'll animate cards in
-    const emptyTableau = [[], [], [], [], [], [], []];
-
-    setTableau(emptyTableau);
-    setFoundations([[], [], [], []]);
-    setStock([]);
-    setWaste([]);
+    // Any deal still in flight (solver search or animation) belongs to the previous game
+    const dealRequest = ++dealRequestRef.current;
+    cancelSolves();
+
+    // Start with empty board - we'll animate cards in once the deck is ready
+    setGame(createEmptyGame(draw));
+    setDealStart(null);
+    setDealSolution(null);
+    setGaveUp(false);
+    setGiveUpResult(null);
+    setUnverifiedDeal(false);
+    setReplay(null);
     setSelectedCard(null);
     setMoves(0);
     setGameWon(false);
     setHistory([]);
+    setFuture([]);
     setTimer(0);
-    setIsPlaying(true);
-    setScore(-52); // Vegas mode reset
+    setIsPlaying(false);
     particlesRef.current = [];
 
-    // Reset streak if last game was not won (only in non-Zen mode)
-    if (!zenMode && !lastGameWonRef.current) {
-      setWinStreak(0);
-      localStorage.setItem('solitaire_winStreak', '0');
-    }
-    // Mark new game as not won yet
-    lastGameWonRef.current = false;
-
-    // Update games played (skip in Zen mode)
-    if (!zenMode) {
-      setStats(prev => {
-        const newStats = { ...prev, gamesPlayed: prev.gamesPlayed + 1 };
-        localStorage.setItem('solitaire_stats', JSON.stringify(newStats));
-        // Check centurion/veteran achievements
-        checkAchievements(newStats, winStreak, 0, 0);
-        return newStats;
-      });
-    }
+    countNewGame(rulesetKey({ drawCount: draw, vegas, daily }));
 
     // Animate dealing - deal cards one at a time like real dealing
-    const dealOrder = [];
-    for (let round = 0; round < 7; round++) {
-      for (let col = round; col < 7; col++) {
-        dealOrder.push({ col, isLastInCol: col === round });
-      }
-    }
-
-    let currentIndex = 0;
-    const newTableau = [[], [], [], [], [], [], []];
-    let deckIndex = 0;
+    const dealDeck = (newDeal, solution = null) => {
+      if (dealRequest !== dealRequestRef.current) return;
 
-    const dealNextCard = () => {
-      if (currentIndex >= dealOrder.length) {
-        // Dealing complete, set up stock
-        const newStock = deck.slice(deckIndex).map(card => ({ ...card, faceUp: false }));
-        setStock(newStock);
-        setDealingCards(false);
-        return;
-      }
-
-      const { col, isLastInCol } = dealOrder[currentIndex];
-      const card = { ...deck[deckIndex], faceUp: isLastInCol };
-      newTableau[col] = [...newTableau[col], card];
+      const dealt = createGame(deckForDeal('klondike', { drawCount: draw }, newDeal), { drawCount: draw });
+      setDeal(newDeal);
+      setDealStart(dealt);
+      setDealSolution(solution);
+      setIsPlaying(true);
+      let currentIndex = 0;
+
+      const dealNextCard = () => {
+        if (dealRequest !== dealRequestRef.current) return;
+        if (currentIndex >= DEAL_ORDER.length) {
+          // Dealing complete, set up stock
+          setGame(dealt);
+          setDealingCards(false);
+          return;
+        }
 
-      setTableau([...newTableau.map(pile => [...pile])]);
-      setDealtCardCount(currentIndex + 1);
+        currentIndex++;
+        const dealtSoFar = DEAL_ORDER.slice(0, currentIndex);
+        const partialTableau = dealt.tableau.map((pile, col) =>
+          pile.slice(0, dealtSoFar.filter(d => d.col === col).length)
+        );
+        setGame(prev => ({ ...prev, tableau: partialTableau }));
+        setDealtCardCount(currentIndex);
 
-      deckIndex++;
-      currentIndex++;
+        setTimeout(dealNextCard, 40); // 40ms between cards for quick realistic dealing
+      };
 
-      setTimeout(dealNextCard, 40); // 40ms between cards for quick realistic dealing
+      setTimeout(dealNextCard, 100);
     };
 
-    setTimeout(dealNextCard, 100);
-  }, [checkAchievements, winStreak]);
+    // Every deal has a number (the day's date for the daily challenge) so it can be
+    // replayed and shared; winnable deals are numbers the solver has checked
+    if (daily) {
+      const day = chosen?.number || dayKey();
+      const archive = day !== dayKey();
+      setDailySeed(day);
+      setDailyArchive(archive);
+      markDailyPlayed('klondike', day, archive);
+      dealDeck({ number: day });
+    } else if (chosen) {
+      setDailySeed(null);
+      setDailyArchive(false);
+      dealDeck(chosen);
+    } else if (winnableOnly) {
+      setDailySeed(null);
+      setDailyArchive(false);
+      setFindingDeal(true);
+      // Keep looking until the solver proves a deal winnable. If the search is stopped
+      // (or the worker fails) the player gets an unchecked deal and is told so.
+      const search = () => findWinnableKlondikeDeal(draw).then(found => {
+        if (found) dealDeck({ number: found.number }, found.moves);
+        else if (dealRequest === dealRequestRef.current) return search();
+      });
+      search()
+        .catch(() => {
+          if (dealRequest !== dealRequestRef.current) return;
+          setUnverifiedDeal(true);
+          dealDeck({ number: randomDealNumber() });
+        })
+        .finally(() => {
+          if (dealRequest === dealRequestRef.current) setFindingDeal(false);
+        });
+    } else {
+      setDailySeed(null);
+      setDailyArchive(false);
+      dealDeck({ number: randomDealNumber() });
+    }
+  }, [saveGameState, countNewGame, drawCount, vegasMode, winnableOnly]);
 
   // Nuclear reset - clear everything (defined after initGame to avoid reference error)
   const resetAllData = () => {
     const keys = [
-      'solitaire_stats', 'solitaire_achievements', 'solitaire_winStreak',
+      'solitaire_stats', 'solitaire_rulesetStats', 'solitaire_achievements', 'solitaire_winStreak',
       'solitaire_drawCount', 'solitaire_cardBack', 'solitaire_sound',
       'solitaire_customBack', 'solitaire_customFace', 'solitaire_useCustomBack',
       'solitaire_useCustomFace', 'solitaire_autoFoundation', 'solitaire_largePrint',
       'solitaire_vegasMode', 'solitaire_nostalgia', 'solitaire_timeBacks',
-      'solitaire_savedGame', 'solitaire_zenMode'
+      'solitaire_savedGame', 'solitaire_zenMode', 'solitaire_winnableOnly', 'solitaire_replays',
+      'solitaire_saveSlots', 'solitaire_currentSlot', 'solitaire_gameLog', 'solitaire_dailyHistory'
     ];
-    keys.forEach(key => localStorage.removeItem(key));
+    keys.forEach(key => removeItem(key));
 
     // Reset all state
-    setStats({ gamesPlayed: 0, gamesWon: 0, bestMoves: null, bestTime: null });
-    setAchievements({
-      firstWin: false, speedDemon: false, perfectGame: false, centurion: false,
-      streakMaster: false, veteran: false, marathoner: false, grandmaster: false
-    });
-    setWinStreak(0);
+    setRulesetStats({});
+    setPastWins([]);
+    restoreAchievements(null);
     setDrawCount(1);
     setCardBackDesign('classic-navy');
     setSoundEnabled(true);
@@ -1351,19 +1501,38 @@ const Solitaire = ({ onSwitchGame }) => {
     setVegasMode(false);
     setNostalgiaMode(false);
     setZenMode(false);
+    setWinnableOnly(false);
     setTimeBasedBacks(false);
     setShowResetConfirm(false);
 
-    // Start fresh game
+    // Start fresh game. initGame saved the game being left, which goes with everything else.
     initGame(false);
+    clearSavedGame();
   };
 
-  // Resume saved game or start new on mount
-  useEffect(() => {
-    const resumed = resumeSavedGame();
+  // Deal a game from a deal link, with the sender's rules. The game being left keeps its
+  // save slot.
+  const playSharedDeal = (link) => {
+    initGame(false, link.deal, link.options);
+    setLinkSender({ from: link.from, result: link.result });
+  };
+
+  // The first game: a shared deal, else the saved game, else a new one. An effect event,
+  // so the mount effect sees the current callbacks without re-running when they change.
+  const startFirstGame = useEffectEvent(() => {
+    if (sharedDeal) {
+      playSharedDeal(sharedDeal);
+      return;
+    }
+    const slot = loadCurrentSlot('klondike');
+    const resumed = slot && resumeSlot(slot);
     if (!resumed) {
       initGame();
     }
+  });
+
+  useEffect(() => {
+    startFirstGame();
   }, []);
 
   // Track user on app load
@@ -1380,10 +1549,10 @@ const Solitaire = ({ onSwitchGame }) => {
 
   // Check for win
   useEffect(() => {
-    const totalInFoundations = foundations.reduce((sum, f) => sum + f.length, 0);
-    if (totalInFoundations === 52 && !gameWon) {
+    if (isWon(game) && !gameWon && !gaveUp) {
       setGameWon(true);
-      clearSavedGame();
+      deleteSlot('klondike', gameId);
+      logGame({ ...gameLogEntry(), result: 'won' });
 
       // Find and set the last winning card (any King)
       for (const f of foundations) {
@@ -1396,73 +1565,74 @@ const Solitaire = ({ onSwitchGame }) => {
       // Mark this game as won (for streak tracking)
       lastGameWonRef.current = true;
 
-      // Update win streak and stats (skip in Zen mode)
+      // Keep the recording so the win can be watched again (games resumed from an
+      // older save don't know their deal)
+      if (deal) {
+        setPastWins(saveReplay({
+          variant: 'klondike',
+          options: { drawCount: game.drawCount },
+          deal,
+          moves: history,
+          result: { won: true, moves, time: timer },
+          date: Date.now()
+        }));
+      }
+
+      // The day's result goes into the calendar; only live wins extend the daily streak
+      if (isDailyChallenge && dailySeed) {
+        const dailyHistory = recordDailyWin('klondike', dailySeed, dailyArchive, { time: timer, moves });
+        setDailyStreakCount(dailyStreak(dailyHistory));
+      }
+
+      // Update win streak and stats for the game's ruleset (skip in Zen mode)
       if (!zenMode) {
-        const newStreak = winStreak + 1;
-        setWinStreak(newStreak);
-
-        setStats(prev => {
-          const newStats = {
-            ...prev,
-            gamesWon: prev.gamesWon + 1,
-            bestMoves: prev.bestMoves === null ? moves : Math.min(prev.bestMoves, moves),
-            bestTime: prev.bestTime === null ? timer : Math.min(prev.bestTime, timer),
-          };
-          localStorage.setItem('solitaire_stats', JSON.stringify(newStats));
-
-          // Check achievements (isWin=true since player just won)
-          const unlocked = checkAchievements(newStats, newStreak, timer, moves, true);
-          if (unlocked) {
-            setTimeout(() => setShowAchievement(unlocked), 1500);
-            setTimeout(() => setShowAchievement(null), 5000);
-          }
+        const ruleset = gameRuleset || rulesetKey({ drawCount: game.drawCount, vegas: vegasMode, daily: isDailyChallenge });
 
-          return newStats;
+        // The board of the draw count the game was dealt with, even if it was changed since
+        const board = boardFor({
+          variant: 'klondike', options: { drawCount: rulesetDrawCount(ruleset) }, deal, daily: isDailyChallenge && !dailyArchive
+        });
+        if (board) {
+          submitResult({ board, player: activeProfileName(), time: timer, moves, score })
+            .catch(err => console.warn('Failed to submit leaderboard result:', err));
+        }
+
+        const next = updateRuleset(rulesetStats, ruleset, prev => ({
+          ...prev,
+          gamesWon: prev.gamesWon + 1,
+          streak: prev.streak + 1,
+          bestMoves: prev.bestMoves === null ? moves : Math.min(prev.bestMoves, moves),
+          bestTime: prev.bestTime === null ? timer : Math.min(prev.bestTime, timer),
+        }));
+        setRulesetStats(saveRulesetStats(next));
+        setGameRuleset(ruleset);
+
+        recordAchievements({
+          variant: 'klondike', type: 'win', moves, time: timer,
+          streak: next[ruleset].streak, stats: totalStats(next)
         });
       }
     }
-  }, [foundations, moves, timer, gameWon, winStreak, zenMode, checkAchievements]);
+  }, [game, foundations, moves, timer, gameWon, gaveUp, zenMode, recordAchievements, deal, history, gameId, gameLogEntry, gameRuleset, rulesetStats, vegasMode, isDailyChallenge, dailySeed, dailyArchive, score]);
 
 
   // Auto-foundation effect
   useEffect(() => {
-    if (!autoFoundation || dealingCards || gameWon) return;
+    if (!autoFoundation || dealingCards || gameWon || gaveUp) return;
 
     const autoMove = autoMoveToFoundation();
     if (autoMove) {
       const timeout = setTimeout(() => {
-        saveToHistory();
-        const newFoundations = [...foundations];
-        newFoundations[autoMove.foundationIndex] = [...foundations[autoMove.foundationIndex], autoMove.card];
-        setFoundations(newFoundations);
-
-        if (autoMove.source === 'waste') {
-          setWaste(waste.slice(0, -1));
-        } else {
-          const newTableau = [...tableau];
-          newTableau[autoMove.pileIndex] = tableau[autoMove.pileIndex].slice(0, -1);
-          // Flip card if needed
-          if (newTableau[autoMove.pileIndex].length > 0) {
-            const lastCard = newTableau[autoMove.pileIndex][newTableau[autoMove.pileIndex].length - 1];
-            if (!lastCard.faceUp) {
-              newTableau[autoMove.pileIndex][newTableau[autoMove.pileIndex].length - 1] = { ...lastCard, faceUp: true };
-            }
-          }
-          setTableau(newTableau);
-        }
-
-        setMoves(m => m + 1);
-        if (vegasMode) setScore(s => s + 5);
-        if (soundEnabled) playFoundationSound();
+        commitMove(autoMove);
       }, 300);
 
       return () => clearTimeout(timeout);
     }
-  }, [autoFoundation, autoMoveToFoundation, dealingCards, gameWon, foundations, waste, tableau, vegasMode, soundEnabled, saveToHistory]);
+  }, [autoFoundation, autoMoveToFoundation, dealingCards, gameWon, gaveUp, commitMove]);
 
   const handleUndo = () => {
-    if (history.length === 0) return;
-    const previousState = history[history.length - 1];
+    if (history.length === 0 || gaveUp) return;
+    const record = history[history.length - 1];
 
     // Store info for undo visualization (show ghost of where card was)
     setLastMoveInfo({
@@ -1474,65 +1644,95 @@ const Solitaire = ({ onSwitchGame }) => {
     // Clear after 2 seconds
     setTimeout(() => setLastMoveInfo(null), 2000);
 
-    setTableau(previousState.tableau);
-    setFoundations(previousState.foundations);
-    setStock(previousState.stock);
-    setWaste(previousState.waste);
+    // The move count follows the moves on the board, like the Vegas score: undo takes the
+    // move back off the count and redo puts it back, so undo then redo changes nothing
+    setGame(undoMove(game, record));
     setHistory(prev => prev.slice(0, -1));
-    setMoves(m => Math.max(0, m - 1));
+    setFuture(prev => [...prev, record]);
+    setMoves(m => m - 1);
     setSelectedCard(null);
+    announce('Move undone');
   };
 
-  // Handle hint request
-  const handleHint = () => {
-    const hint = findHint();
-    if (hint) {
-      setHintCard(hint);
-      setShowHint(true);
-      setTimeout(() => {
-        setShowHint(false);
-        setHintCard(null);
-      }, 3000);
-    }
+  const handleRedo = () => {
+    if (future.length === 0 || gaveUp) return;
+    const result = executeMove(game, recordToMove(future[future.length - 1]));
+    if (!result) return;
+    setGame(result.state);
+    setHistory(prev => [...prev, result.record]);
+    setFuture(prev => prev.slice(0, -1));
+    setMoves(m => m + 1);
+    setSelectedCard(null);
+    announce('Move redone');
   };
 
-  const drawFromStock = () => {
-    saveToHistory();
-    if (stock.length === 0) {
-      if (waste.length > 0) {
-        setStock(waste.map(card => ({ ...card, faceUp: false })).reverse());
-        setWaste([]);
-        setMoves(m => m + 1);
-      }
+  // Give up: stop the game and ask the solver whether the deal could have been won
+  const handleGiveUp = () => {
+    setShowGiveUp(false);
+    setGaveUp(true);
+    setIsPlaying(false);
+    setSelectedCard(null);
+    clearSavedGame();
+    logGame({ ...gameLogEntry(), result: 'lost' });
+
+    // Resumed games don't know their original deal, so solve from where the player stopped
+    const start = dealStart || game;
+    if (dealSolution) {
+      setGiveUpResult({ result: 'solvable', moves: dealSolution });
       return;
     }
+    setGiveUpResult('solving');
+    const dealRequest = dealRequestRef.current;
+    // The quick search finds most wins; only the exhaustive one can show there is none
+    solveKlondikeGame(start)
+      .then(result => (result.result === 'solvable' ? result : solveKlondikeGame(start, { exhaustive: true })))
+      .then(result => {
+        if (dealRequest === dealRequestRef.current) setGiveUpResult(result);
+      })
+      .catch(() => {
+        if (dealRequest === dealRequestRef.current) setGiveUpResult({ result: 'unknown', moves: [] });
+      });
+  };
 
-    // Draw 1 or 3 cards based on setting
-    const cardsToDraw = Math.min(drawCount, stock.length);
-    const drawnCards = stock.slice(-cardsToDraw).map(card => ({ ...card, faceUp: true }));
-
-    setStock(stock.slice(0, -cardsToDraw));
-    setWaste([...waste, ...drawnCards]);
-    setSelectedCard(null);
-    setMoves(m => m + 1);
+  // Play the solver's winning line back from the start of the deal
+  const showSolution = () => {
+    setGame(dealStart || game);
+    setHistory([]);
+    setFuture([]);
+    setReplay({ moves: giveUpResult.moves, step: 0 });
+    setGiveUpResult(null);
+  };
 
-    if (soundEnabled) playCardPlaceSound();
+  // Handle hint request. The hint is tied to the position it was found for,
+  // so it disappears as soon as the board changes.
+  const handleHint = async () => {
+    if (hintPending) return;
+    setHintPending(true);
+    const hint = await findHint();
+    setHintPending(false);
+    setHintCard(hint);
+    setShowHint(true);
+    announce(describeHint(hint));
+    setTimeout(() => {
+      setShowHint(false);
+      setHintCard(null);
+    }, hint.move ? 3000 : 5000);
   };
 
-  const canPlaceOnTableau = (card, targetPile) => {
-    if (targetPile.length === 0) return card.rank === 'K';
-    const topCard = targetPile[targetPile.length - 1];
-    if (!topCard.faceUp) return false;
-    return card.color !== topCard.color && card.value === topCard.value - 1;
+  const activeHint = showHint && hintCard?.state === game ? hintCard : null;
+
+  // Takes effect from the next deal; the game in progress keeps the draw it was dealt
+  // with, so its recording, stats and leaderboard board stay one draw mode
+  const changeDrawCount = (count) => {
+    setDrawCount(count);
   };
 
-  const canPlaceOnFoundation = (card, foundationPile) => {
-    if (foundationPile.length === 0) return card.rank === 'A';
-    const topCard = foundationPile[foundationPile.length - 1];
-    return card.suit === topCard.suit && card.value === topCard.value + 1;
+  const drawFromStock = () => {
+    commitMove({ type: 'draw' });
   };
 
   const handleCardClick = (source, pileIndex, cardIndex) => {
+    if (gaveUp) return;
     if (selectedCard && selectedCard.source === source &&
         selectedCard.pileIndex === pileIndex && selectedCard.cardIndex === cardIndex) {
       setSelectedCard(null);
@@ -1540,97 +1740,9 @@ const Solitaire = ({ onSwitchGame }) => {
     }
 
     if (selectedCard) {
-      let moved = false;
-      let toFoundation = false;
-
-      if (source === 'tableau') {
-        const targetPile = tableau[pileIndex];
-        if (selectedCard.source === 'waste') {
-          const card = waste[waste.length - 1];
-          if (canPlaceOnTableau(card, targetPile)) {
-            saveToHistory();
-            const newTableau = [...tableau];
-            newTableau[pileIndex] = [...targetPile, card];
-            setTableau(newTableau);
-            setWaste(waste.slice(0, -1));
-            moved = true;
-          }
-        } else if (selectedCard.source === 'tableau') {
-          const sourcePile = tableau[selectedCard.pileIndex];
-          const cardsToMove = sourcePile.slice(selectedCard.cardIndex);
-          if (canPlaceOnTableau(cardsToMove[0], targetPile)) {
-            saveToHistory();
-            const newTableau = [...tableau];
-            newTableau[selectedCard.pileIndex] = sourcePile.slice(0, selectedCard.cardIndex);
-            newTableau[pileIndex] = [...targetPile, ...cardsToMove];
-            if (newTableau[selectedCard.pileIndex].length > 0) {
-              const lastCard = newTableau[selectedCard.pileIndex][newTableau[selectedCard.pileIndex].length - 1];
-              if (!lastCard.faceUp) {
-                newTableau[selectedCard.pileIndex][newTableau[selectedCard.pileIndex].length - 1] = { ...lastCard, faceUp: true };
-              }
-            }
-            setTableau(newTableau);
-            moved = true;
-          }
-        } else if (selectedCard.source === 'foundation') {
-          const sourceFoundation = foundations[selectedCard.pileIndex];
-          const card = sourceFoundation[sourceFoundation.length - 1];
-          if (canPlaceOnTableau(card, targetPile)) {
-            saveToHistory();
-            const newFoundations = [...foundations];
-            newFoundations[selectedCard.pileIndex] = sourceFoundation.slice(0, -1);
-            const newTableau = [...tableau];
-            newTableau[pileIndex] = [...targetPile, card];
-            setFoundations(newFoundations);
-            setTableau(newTableau);
-            moved = true;
-          }
-        }
-      } else if (source === 'foundation') {
-        const targetFoundation = foundations[pileIndex];
-        if (selectedCard.source === 'waste') {
-          const card = waste[waste.length - 1];
-          if (canPlaceOnFoundation(card, targetFoundation)) {
-            saveToHistory();
-            const newFoundations = [...foundations];
-            newFoundations[pileIndex] = [...targetFoundation, card];
-            setFoundations(newFoundations);
-            setWaste(waste.slice(0, -1));
-            moved = true;
-            toFoundation = true;
-          }
-        } else if (selectedCard.source === 'tableau' &&
-                   selectedCard.cardIndex === tableau[selectedCard.pileIndex].length - 1) {
-          const card = tableau[selectedCard.pileIndex][selectedCard.cardIndex];
-          if (canPlaceOnFoundation(card, targetFoundation)) {
-            saveToHistory();
-            const newFoundations = [...foundations];
-            newFoundations[pileIndex] = [...targetFoundation, card];
-            setFoundations(newFoundations);
-            const newTableau = [...tableau];
-            newTableau[selectedCard.pileIndex] = tableau[selectedCard.pileIndex].slice(0, -1);
-            if (newTableau[selectedCard.pileIndex].length > 0) {
-              const lastCard = newTableau[selectedCard.pileIndex][newTableau[selectedCard.pileIndex].length - 1];
-              if (!lastCard.faceUp) {
-                newTableau[selectedCard.pileIndex][newTableau[selectedCard.pileIndex].length - 1] = { ...lastCard, faceUp: true };
-              }
-            }
-            setTableau(newTableau);
-            moved = true;
-            toFoundation = true;
-          }
-        }
-      }
-
-      if (moved) {
-        setMoves(m => m + 1);
-        if (soundEnabled) {
-          if (toFoundation) {
-            playFoundationSound();
-          } else {
-            playCardPlaceSound();
-          }
-        }
+      // Clicking a pile while holding a card tries to move there
+      if (source === 'tableau' || source === 'foundation') {
+        commitMove({ type: 'move', ...selectedCard, target: source, targetIndex: pileIndex });
       }
       setSelectedCard(null);
       return;
@@ -1654,164 +1766,92 @@ const Solitaire = ({ onSwitchGame }) => {
 
   const handleEmptyClick = (type, index) => {
     if (!selectedCard) return;
+    commitMove({ type: 'move', ...selectedCard, target: type, targetIndex: index });
+    setSelectedCard(null);
+  };
 
-    let moved = false;
-    let toFoundation = false;
-
-    if (type === 'tableau') {
-      let card, isValid = false;
-      if (selectedCard.source === 'waste') {
-        card = waste[waste.length - 1];
-        isValid = card.rank === 'K';
-      } else if (selectedCard.source === 'tableau') {
-        card = tableau[selectedCard.pileIndex][selectedCard.cardIndex];
-        isValid = card.rank === 'K';
-      }
-
-      if (isValid) {
-        saveToHistory();
-        const newTableau = [...tableau];
-        if (selectedCard.source === 'waste') {
-          newTableau[index] = [card];
-          setWaste(waste.slice(0, -1));
-        } else {
-          const cardsToMove = tableau[selectedCard.pileIndex].slice(selectedCard.cardIndex);
-          newTableau[selectedCard.pileIndex] = tableau[selectedCard.pileIndex].slice(0, selectedCard.cardIndex);
-          newTableau[index] = cardsToMove;
-          if (newTableau[selectedCard.pileIndex].length > 0) {
-            const lastCard = newTableau[selectedCard.pileIndex][newTableau[selectedCard.pileIndex].length - 1];
-            if (!lastCard.faceUp) {
-              newTableau[selectedCard.pileIndex][newTableau[selectedCard.pileIndex].length - 1] = { ...lastCard, faceUp: true };
-            }
-          }
-        }
-        setTableau(newTableau);
-        setMoves(m => m + 1);
-        moved = true;
-      }
-    } else if (type === 'foundation') {
-      let card;
-      if (selectedCard.source === 'waste') {
-        card = waste[waste.length - 1];
-      } else if (selectedCard.source === 'tableau' &&
-                 selectedCard.cardIndex === tableau[selectedCard.pileIndex].length - 1) {
-        card = tableau[selectedCard.pileIndex][selectedCard.cardIndex];
-      }
-
-      if (card && card.rank === 'A') {
-        saveToHistory();
-        const newFoundations = [...foundations];
-        newFoundations[index] = [card];
-        setFoundations(newFoundations);
-        if (selectedCard.source === 'waste') {
-          setWaste(waste.slice(0, -1));
-        } else {
-          const newTableau = [...tableau];
-          newTableau[selectedCard.pileIndex] = tableau[selectedCard.pileIndex].slice(0, -1);
-          if (newTableau[selectedCard.pileIndex].length > 0) {
-            const lastCard = newTableau[selectedCard.pileIndex][newTableau[selectedCard.pileIndex].length - 1];
-            if (!lastCard.faceUp) {
-              newTableau[selectedCard.pileIndex][newTableau[selectedCard.pileIndex].length - 1] = { ...lastCard, faceUp: true };
-            }
-          }
-          setTableau(newTableau);
-        }
-        setMoves(m => m + 1);
-        moved = true;
-        toFoundation = true;
-      }
-    }
+  // Start dragging a card (and everything on top of it) with mouse, touch or pen
+  const handleDragStart = (e, source, pileIndex, cardIndex) => {
+    if (gaveUp || dealingCards) return;
+    const origin = { source, pileIndex, cardIndex };
+    startDrag(e, origin, getMovingCards(game, { type: 'move', ...origin }));
+  };
 
-    if (moved && soundEnabled) {
-      if (toFoundation) {
-        playFoundationSound();
-      } else {
-        playCardPlaceSound();
-      }
-    }
+  const isBeingDragged = (source, pileIndex, cardIndex) => (
+    !!drag &&
+    drag.origin.source === source &&
+    drag.origin.pileIndex === pileIndex &&
+    cardIndex >= drag.origin.cardIndex
+  );
 
-    setSelectedCard(null);
+  // Drop target classes: every legal target lights up, the one under the pointer more so
+  const getDropClass = (target, targetIndex) => {
+    if (!drag || drag.returning) return '';
+    if (!isLegalMove(game, { type: 'move', ...drag.origin, target, targetIndex })) return '';
+    const isOver = drag.over?.target === target && drag.over.targetIndex === targetIndex;
+    return isOver ? 'drop-legal drop-hover' : 'drop-legal';
   };
 
   // Double-click to auto-move: first try foundation (single card), then tableau (can move stack)
   const handleDoubleClick = (source, pileIndex, cardIndex) => {
-    let card;
+    if (source !== 'waste' && source !== 'tableau') return;
+    const move = findAutoMove(game, source, pileIndex, cardIndex);
+    if (move) commitMove(move);
+  };
 
-    if (source === 'waste') {
-      card = waste[waste.length - 1];
-    } else if (source === 'tableau') {
-      // Must be a face-up card
-      if (!tableau[pileIndex][cardIndex]?.faceUp) return;
-      card = tableau[pileIndex][cardIndex];
-    } else {
+  // Enter/Space at the keyboard cursor does what a click there would
+  const selectAtCursor = () => {
+    if (cursor.area === 'top') {
+      if (cursor.index === 0) {
+        drawFromStock();
+      } else if (cursor.index === 1) {
+        if (waste.length > 0) handleCardClick('waste', null, waste.length - 1);
+      } else {
+        const i = cursor.index - 2;
+        if (foundations[i].length === 0) handleEmptyClick('foundation', i);
+        else handleCardClick('foundation', i, foundations[i].length - 1);
+      }
       return;
     }
+    const pile = tableau[cursor.index];
+    if (pile.length === 0) handleEmptyClick('tableau', cursor.index);
+    else handleCardClick('tableau', cursor.index, clampToFaceUp(pile, cursor.cardIndex));
+  };
 
-    // Helper to flip the revealed card in a tableau pile
-    const flipLastCard = (newTableau, pileIdx) => {
-      if (newTableau[pileIdx].length > 0) {
-        const lastCard = newTableau[pileIdx][newTableau[pileIdx].length - 1];
-        if (!lastCard.faceUp) {
-          newTableau[pileIdx][newTableau[pileIdx].length - 1] = { ...lastCard, faceUp: true };
-        }
-      }
-    };
+  const settingsRef = useFocusTrap(showSettings, () => setShowSettings(false));
 
-    // For single cards (waste or top card of tableau), try foundation first
-    const isTopCard = source === 'waste' || cardIndex === tableau[pileIndex].length - 1;
-
-    if (isTopCard) {
-      for (let i = 0; i < 4; i++) {
-        if (canPlaceOnFoundation(card, foundations[i])) {
-          saveToHistory();
-          const newFoundations = [...foundations];
-          newFoundations[i] = [...foundations[i], card];
-          setFoundations(newFoundations);
-
-          if (source === 'waste') {
-            setWaste(waste.slice(0, -1));
-          } else {
-            const newTableau = [...tableau];
-            newTableau[pileIndex] = tableau[pileIndex].slice(0, -1);
-            flipLastCard(newTableau, pileIndex);
-            setTableau(newTableau);
-          }
-          setMoves(m => m + 1);
-          setSelectedCard(null);
-          if (soundEnabled) playFoundationSound();
-          return;
-        }
-      }
-    }
+  // This game as a deal link, for the share buttons; wins add the result
+  const shareLink = { variant: 'klondike', options: { drawCount: game.drawCount, vegas: vegasMode }, deal, from: playerName || null };
+  const currentBoard = boardFor({ variant: 'klondike', options: { drawCount: game.drawCount }, deal, daily: isDailyChallenge && !dailyArchive });
 
-    // Try to find a valid tableau move - can move stack if from tableau
-    for (let i = 0; i < 7; i++) {
-      // Skip the pile the card is already in
-      if (source === 'tableau' && i === pileIndex) continue;
-
-      if (canPlaceOnTableau(card, tableau[i])) {
-        saveToHistory();
-        const newTableau = [...tableau];
-
-        if (source === 'waste') {
-          newTableau[i] = [...tableau[i], card];
-          setWaste(waste.slice(0, -1));
-        } else {
-          // Move entire stack from cardIndex to end
-          const cardsToMove = tableau[pileIndex].slice(cardIndex);
-          newTableau[pileIndex] = tableau[pileIndex].slice(0, cardIndex);
-          newTableau[i] = [...tableau[i], ...cardsToMove];
-          flipLastCard(newTableau, pileIndex);
-        }
+  const keyboardEnabled = !(
+    showSplash || showChallengeCard || showInstallPrompt || showStats || showResetConfirm ||
+    showRules || showRateModal || showRatings || showSettings || showGiveUp || giveUpResult ||
+    gameWon || replay || dealingCards || viewingReplay || showSavedGames || showAchievements || showCalendar ||
+    leaderboard || showPlayers
+  );
 
-        setTableau(newTableau);
-        setMoves(m => m + 1);
-        setSelectedCard(null);
-        if (soundEnabled) playCardPlaceSound();
-        return;
-      }
-    }
-  };
+  const keyboardActive = useKeyboardControls(keyboardEnabled, {
+    onMove: (direction) => {
+      const next = moveCursor(cursor, direction, tableau);
+      setCursor(next);
+      announce(describeCursor(next, game));
+    },
+    onSelect: selectAtCursor,
+    onCancel: () => setSelectedCard(null),
+    onDraw: drawFromStock,
+    onUndo: handleUndo,
+    onRedo: handleRedo,
+    onHint: () => !gaveUp && handleHint(),
+    onNewGame: () => initGame(false)
+  });
+
+  // Focus ring position, only while playing from the keyboard
+  const focus = keyboardActive && keyboardEnabled ? cursor : null;
+  const isFocused = (area, index, cardIndex) => (
+    focus?.area === area && focus.index === index &&
+    (area !== 'tableau' || clampToFaceUp(tableau[index], focus.cardIndex) === cardIndex)
+  );
 
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
@@ -1829,16 +1869,8 @@ const Solitaire = ({ onSwitchGame }) => {
 
   // Calculate which card in the deal sequence this is (for animation delay)
   const getDealDelay = (pileIndex, cardIndex) => {
-    let count = 0;
-    for (let round = 0; round < 7; round++) {
-      for (let col = round; col < 7; col++) {
-        if (col === pileIndex && round === cardIndex) {
-          return count * 40;
-        }
-        count++;
-      }
-    }
-    return 0;
+    const index = DEAL_ORDER.findIndex(d => d.col === pileIndex && d.row === cardIndex);
+    return index >= 0 ? index * 40 : 0;
   };
 
   const renderCardBack = (showCount = false, count = 0) => {
@@ -2062,7 +2094,7 @@ const Solitaire = ({ onSwitchGame }) => {
   };
 
   const renderCard = (card, isSelected, onClick, onDoubleClick) => {
-    const isHinted = showHint && hintCard && hintCard.card && hintCard.card.id === card.id;
+    const isHinted = activeHint?.card?.id === card.id;
 
     if (!card.faceUp) {
       return (
@@ -2175,19 +2207,11 @@ const Solitaire = ({ onSwitchGame }) => {
         <canvas
           ref={canvasRef}
           className="fireworks-canvas"
+          aria-hidden="true"
         />
       )}
 
-      {/* Achievement Popup */}
-      {showAchievement && (
-        <div className="achievement-popup">
-          <span className="achievement-icon">{showAchievement.icon}</span>
-          <div className="achievement-text">
-            <span className="achievement-label">Achievement Unlocked!</span>
-            <span className="achievement-name">{showAchievement.name}</span>
-          </div>
-        </div>
-      )}
+      <AchievementToast achievement={achievementToast} />
 
       {/* Tooltip */}
       {tooltip && (
@@ -2204,6 +2228,14 @@ const Solitaire = ({ onSwitchGame }) => {
         </div>
       )}
 
+      {/* No Productive Moves Toast */}
+      {activeHint && (!activeHint.move || activeHint.lost) && (
+        <div className="hint-toast">
+          <span>{activeHint.move ? 'No winning line from here.' : 'No productive moves left.'} Consider a new game?</span>
+          <button className="btn btn-new" onClick={() => initGame(false)}>New Game</button>
+        </div>
+      )}
+
       {/* Thank You Toast */}
       {showThankYou && (
         <div className="thank-you-toast">
@@ -2212,28 +2244,20 @@ const Solitaire = ({ onSwitchGame }) => {
       )}
 
       {/* Daily Challenge Banner */}
-      {showDailyBanner && (
-        <div className="daily-banner" onClick={() => setShowDailyBanner(false)}>
-          <div className="daily-banner-icon">📅</div>
-          <div className="daily-banner-content">
-            <div className="daily-banner-title">Daily Challenge</div>
-            <div className="daily-banner-date">
-              {new Date().toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}
-            </div>
-            {!hasSeenDailyExplanation && (
-              <div className="daily-banner-desc">
-                Same card shuffle for everyone worldwide today! Compare your score with friends and family.
-              </div>
-            )}
-          </div>
-        </div>
+      {dailyBanner && dailySeed && (
+        <DailyBanner
+          day={dailySeed}
+          archive={dailyArchive}
+          explain={dailyBanner.explain}
+          onClose={() => setDailyBanner(null)}
+        />
       )}
 
       {/* Install to Home Screen Prompt */}
       {showInstallPrompt && (
         <div className="modal-overlay" onClick={() => {
           setShowInstallPrompt(false);
-          localStorage.setItem('solitaire_seenInstallPrompt', 'true');
+          setItem('solitaire_seenInstallPrompt', true);
         }}>
           <div className="install-prompt-modal" onClick={(e) => e.stopPropagation()}>
             <div className="install-prompt-header">
@@ -2285,7 +2309,7 @@ const Solitaire = ({ onSwitchGame }) => {
               className="btn btn-play-again"
               onClick={() => {
                 setShowInstallPrompt(false);
-                localStorage.setItem('solitaire_seenInstallPrompt', 'true');
+                setItem('solitaire_seenInstallPrompt', true);
               }}
             >
               Got it!
@@ -2298,7 +2322,7 @@ const Solitaire = ({ onSwitchGame }) => {
       <div className="game-header">
         <div className="header-left">
           <h1 className="game-title">Solitaire</h1>
-          <span className="game-subtitle">{isDailyChallenge ? new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : 'Plus'}</span>
+          <span className="game-subtitle">{isDailyChallenge && dailySeed ? dayFromKey(dailySeed).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : 'Plus'}</span>
         </div>
         <div className="header-stats">
           {zenMode && (
@@ -2352,52 +2376,44 @@ const Solitaire = ({ onSwitchGame }) => {
         <div className="panel-overlay" onClick={() => setShowStats(false)} />
         <div className="stats-panel">
           <h3 className="stats-title">Your Statistics</h3>
-          <div className="stats-grid">
-            <div className="stats-item">
-              <span className="stats-value">{stats.gamesPlayed}</span>
-              <span className="stats-label">Games Played</span>
-            </div>
-            <div className="stats-item">
-              <span className="stats-value">{stats.gamesWon}</span>
-              <span className="stats-label">Games Won</span>
-            </div>
-            <div className="stats-item">
-              <span className="stats-value">{stats.gamesPlayed > 0 ? Math.round((stats.gamesWon / stats.gamesPlayed) * 100) : 0}%</span>
-              <span className="stats-label">Win Rate</span>
-            </div>
-            <div className="stats-item">
-              <span className="stats-value">{winStreak}</span>
-              <span className="stats-label">Current Streak</span>
-            </div>
-            <div className="stats-item">
-              <span className="stats-value">{stats.bestMoves || '-'}</span>
-              <span className="stats-label">Best Moves</span>
-            </div>
-            <div className="stats-item">
-              <span className="stats-value">{stats.bestTime ? formatTime(stats.bestTime) : '-'}</span>
-              <span className="stats-label">Best Time</span>
-            </div>
-          </div>
+          {Object.keys(rulesetStats).length > 0 && (
+            <table className="ruleset-stats">
+              <thead>
+                <tr>
+                  <th scope="col">Rules</th>
+                  <th scope="col">Played</th>
+                  <th scope="col">Win %</th>
+                  <th scope="col">Best Time</th>
+                  <th scope="col">Best Moves</th>
+                  <th scope="col">Streak</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(rulesetStats).map(([key, s]) => (
+                  <tr key={key} className={key === gameRuleset ? 'current' : ''}>
+                    <th scope="row">{rulesetLabel(key)}</th>
+                    <td>{s.gamesPlayed}</td>
+                    <td>{s.gamesPlayed > 0 ? Math.round((s.gamesWon / s.gamesPlayed) * 100) : 0}%</td>
+                    <td>{s.bestTime ? formatTime(s.bestTime) : '-'}</td>
+                    <td>{s.bestMoves || '-'}</td>
+                    <td>{s.streak}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <StatsDashboard variant="klondike" totals={stats} />
           <h4 className="stats-subtitle">Achievements <span className="hint-text">(tap to learn more)</span></h4>
           <div className="achievements-grid">
-            {[
-              { id: 'firstWin', name: 'First Victory', icon: '🏆' },
-              { id: 'speedDemon', name: 'Speed Demon', icon: '⚡' },
-              { id: 'perfectGame', name: 'Perfect Game', icon: '💎' },
-              { id: 'centurion', name: 'Centurion', icon: '💯' },
-              { id: 'streakMaster', name: 'Streak Master', icon: '🔥' },
-              { id: 'veteran', name: 'Veteran', icon: '⭐' },
-              { id: 'marathoner', name: 'Marathoner', icon: '🏃' },
-              { id: 'grandmaster', name: 'Grandmaster', icon: '👑' },
-            ].map(a => (
+            {ACHIEVEMENTS.map(a => (
               <div
                 key={a.id}
-                className={`achievement-badge ${achievements[a.id] ? 'unlocked' : 'locked'}`}
+                className={`achievement-badge ${isUnlocked(achievements, a.id) ? 'unlocked' : 'locked'}`}
                 title={a.name}
                 onClick={(e) => {
                   const rect = e.currentTarget.getBoundingClientRect();
                   setTooltip({
-                    text: TOOLTIPS[a.id],
+                    text: `${a.name}: ${a.description}${a.game === 'spider' ? ' (Spider)' : ''}`,
                     x: rect.left + rect.width / 2,
                     y: rect.top - 10
                   });
@@ -2408,6 +2424,28 @@ const Solitaire = ({ onSwitchGame }) => {
               </div>
             ))}
           </div>
+          <button
+            className="achievements-gallery-btn"
+            onClick={() => { setShowStats(false); setShowAchievements(true); }}
+          >
+            🏅 All Achievements
+          </button>
+          <h4 className="stats-subtitle">Past Wins</h4>
+          {pastWins.length > 0 ? (
+            <div className="past-wins">
+              {pastWins.map(win => (
+                <div key={win.date} className="past-win">
+                  <span>
+                    {new Date(win.date).toLocaleDateString()} · Draw {win.options.drawCount} · {win.result.moves} moves · {formatTime(win.result.time)}
+                  </span>
+                  <button onClick={() => { setShowStats(false); setViewingReplay(win); }}>▶ Replay</button>
+                  <button onClick={() => downloadNotation(win)} aria-label="Export this game">⬇</button>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="past-wins-empty">Win a game to watch it back here.</p>
+          )}
           <div className="share-stats-section">
             <h4 className="stats-subtitle">Challenge Friends</h4>
             <div className="player-name-input">
@@ -2415,7 +2453,8 @@ const Solitaire = ({ onSwitchGame }) => {
                 type="text"
                 placeholder="Your name (optional)"
                 value={playerName}
-                onChange={(e) => handleSavePlayerName(e.target.value)}
+                onChange={(e) => setPlayerName(e.target.value)}
+                onBlur={handleSavePlayerName}
                 maxLength={20}
               />
             </div>
@@ -2434,6 +2473,13 @@ const Solitaire = ({ onSwitchGame }) => {
             </label>
             <button className="data-btn danger" onClick={() => setShowResetConfirm(true)}>🗑️ Reset</button>
           </div>
+          <div className="data-actions">
+            <button className="data-btn" onClick={exportGame}>🎴 Export Game</button>
+            <label className="data-btn">
+              🎴 Import Game
+              <input type="file" accept=".txt,text/plain" onChange={importGame} style={{ display: 'none' }} />
+            </label>
+          </div>
           <button className="close-settings" onClick={() => setShowStats(false)}>Done</button>
         </div>
         </>
@@ -2444,7 +2490,7 @@ const Solitaire = ({ onSwitchGame }) => {
         <div className="modal-overlay">
           <div className="reset-modal">
             <h3>⚠️ Reset All Data?</h3>
-            <p>This will permanently delete:</p>
+            <p>This will permanently delete this player's:</p>
             <ul>
               <li>All game statistics</li>
               <li>All achievements</li>
@@ -2497,8 +2543,10 @@ const Solitaire = ({ onSwitchGame }) => {
               <ul>
                 <li><strong>Tap</strong>: Select a card</li>
                 <li><strong>Double-tap</strong>: Auto-move card (or whole stack)</li>
-                <li><strong>Undo</strong>: Take back your last move</li>
-                <li><strong>Hint</strong>: Shows a valid move</li>
+                <li><strong>Undo / Redo</strong>: Take back your last move or replay it (the move count follows along)</li>
+                <li><strong>Hint</strong>: Shows the most useful move, including when to draw</li>
+                <li><strong>Keyboard</strong>: Arrow keys move the cursor, Enter or Space picks up and drops, Esc lets go</li>
+                <li><strong>Shortcuts</strong>: D draw, H hint, N new game, Ctrl+Z undo, Ctrl+Shift+Z redo</li>
               </ul>
             </div>
 
@@ -2506,9 +2554,18 @@ const Solitaire = ({ onSwitchGame }) => {
               <h3>✨ Special Features</h3>
               <ul>
                 <li><strong>Daily Challenge</strong>: Same shuffle worldwide - compete with friends!</li>
+                <li><strong>Daily Calendar</strong>: See past days, keep your daily streak and replay any day's deal</li>
+                <li><strong>Deal Numbers</strong>: Every deal has a number - share a link to it, or play one by number from Settings</li>
                 <li><strong>Vegas Mode</strong>: Start at -$52, earn $5 per foundation card</li>
                 <li><strong>Achievements</strong>: Unlock badges for special accomplishments</li>
                 <li><strong>Auto-Foundation</strong>: Automatically moves safe cards up</li>
+                <li><strong>Winnable Deals Only</strong>: Every deal is checked by the solver first</li>
+                <li><strong>Give Up</strong>: See whether the deal was winnable and watch the solution</li>
+                <li><strong>Replays</strong>: Watch any of your recent wins again from the Stats screen</li>
+                <li><strong>Players</strong>: Everyone sharing this device gets their own stats, achievements, settings and saved games - add players and switch between them from Settings → Players</li>
+                <li><strong>Saved games</strong>: Unfinished games are kept, so you can start another and pick them up later from Settings → Saved Games</li>
+                <li><strong>Statistics</strong>: Every finished game is logged; the 📊 panel breaks your results down by mode, period and time of day</li>
+                <li><strong>Game files</strong>: Export the current game (deal and moves) as a text file, or import one to carry on playing it</li>
               </ul>
             </div>
 
@@ -2688,24 +2745,37 @@ const Solitaire = ({ onSwitchGame }) => {
       {showSettings && (
         <>
         <div className="panel-overlay" onClick={() => setShowSettings(false)} />
-        <div className="settings-panel">
+        <div className="settings-panel" ref={settingsRef} role="dialog" aria-modal="true" aria-label="Settings" tabIndex={-1}>
           <div className="settings-section">
-            <label className="settings-label">Draw Mode</label>
+            <label className="settings-label">
+              Draw Mode {drawCount !== game.drawCount && <span className="hint-text">(from the next deal)</span>}
+            </label>
             <div className="draw-toggle">
               <button
                 className={`toggle-btn ${drawCount === 1 ? 'active' : ''}`}
-                onClick={() => setDrawCount(1)}
+                onClick={() => changeDrawCount(1)}
               >
                 Draw 1
               </button>
               <button
                 className={`toggle-btn ${drawCount === 3 ? 'active' : ''}`}
-                onClick={() => setDrawCount(3)}
+                onClick={() => changeDrawCount(3)}
               >
                 Draw 3
               </button>
             </div>
           </div>
+          <div className="settings-section">
+            <label className="settings-label">Deal Number</label>
+            <DealNumberForm
+              current={deal?.number}
+              onPlay={(number) => {
+                setShowSettings(false);
+                initGame(false, { number });
+              }}
+            />
+            <ShareDealButton className="settings-action-btn full-width share-deal-btn" link={shareLink} />
+          </div>
           <div className="settings-section">
             <label className="settings-label">Sound</label>
             <div className="draw-toggle">
@@ -2846,6 +2916,18 @@ const Solitaire = ({ onSwitchGame }) => {
                 </label>
                 <button className="info-btn" onClick={(e) => showOptionInfo('vegas', e)}>ℹ️</button>
               </div>
+              <div className="toggle-row">
+                <label className="toggle-switch">
+                  <input
+                    type="checkbox"
+                    checked={winnableOnly}
+                    onChange={(e) => setWinnableOnly(e.target.checked)}
+                  />
+                  <span className="toggle-slider"></span>
+                  <span className="toggle-label">Winnable Deals Only</span>
+                </label>
+                <button className="info-btn" onClick={(e) => showOptionInfo('winnable', e)}>ℹ️</button>
+              </div>
               <div className="toggle-row">
                 <label className="toggle-switch">
                   <input
@@ -2906,6 +2988,45 @@ const Solitaire = ({ onSwitchGame }) => {
             >
               📲 Install as App Instructions
             </button>
+            <button
+              className="settings-action-btn saved-games-btn"
+              onClick={() => {
+                setShowSettings(false);
+                setShowSavedGames(true);
+              }}
+            >
+              📂 Saved Games
+            </button>
+            {onSwitchProfile && (
+              <button
+                className="settings-action-btn saved-games-btn"
+                onClick={() => {
+                  setShowSettings(false);
+                  setShowPlayers(true);
+                }}
+              >
+                👥 Players
+              </button>
+            )}
+            <button
+              className="settings-action-btn saved-games-btn"
+              onClick={() => {
+                setShowSettings(false);
+                setShowCalendar(true);
+              }}
+            >
+              📆 Daily Calendar
+            </button>
+            <button
+              className="settings-action-btn saved-games-btn"
+              disabled={!currentBoard}
+              onClick={() => {
+                setShowSettings(false);
+                setLeaderboard(currentBoard);
+              }}
+            >
+              🏆 Leaderboard
+            </button>
             {onSwitchGame && (
               <button
                 className="settings-action-btn switch-game-btn"
@@ -2924,29 +3045,43 @@ const Solitaire = ({ onSwitchGame }) => {
       )}
 
       {/* Game Board */}
-      <div className="game-board">
+      <div
+        className="game-board"
+        role="application"
+        aria-label="Klondike board. Arrow keys move the cursor, Enter or Space picks up and drops."
+        tabIndex={0}
+      >
         {/* Top Row */}
         <div className="top-row">
           <div className="stock-waste">
-            <div className={`card-slot stock ${stock.length === 0 ? 'empty' : ''}`} onClick={drawFromStock}>
+            <div
+              className={`card-slot stock ${stock.length === 0 ? 'empty' : ''} ${activeHint?.move?.type === 'draw' ? 'hint-glow' : ''} ${isFocused('top', 0) ? 'kb-focus' : ''}`}
+              onClick={drawFromStock}
+              role="button"
+              aria-label={stock.length > 0 ? `Stock, ${stock.length} cards` : 'Stock, empty. Turn the waste over'}
+            >
               {stock.length > 0 ? (
                 renderCardBack(true, stock.length)
               ) : (
                 <span className="empty-icon">↻</span>
               )}
             </div>
-            <div className="card-slot waste">
+            <div className={`card-slot waste ${isFocused('top', 1) ? 'kb-focus' : ''}`} role="group" aria-label="Waste">
               {waste.length > 0 ? (
-                drawCount === 3 && waste.length >= 2 ? (
+                game.drawCount === 3 && waste.length >= 2 ? (
                   <div className="waste-fan">
                     {waste.slice(-Math.min(3, waste.length)).map((card, i, arr) => (
                       <div
                         key={card.id}
-                        className="waste-card"
+                        className={`waste-card ${i === arr.length - 1 && isBeingDragged('waste', null, waste.length - 1) ? 'drag-origin' : ''}`}
                         style={{
                           left: `${i * 12}px`,
                           zIndex: i
                         }}
+                        onPointerDown={i === arr.length - 1 ? (e) => handleDragStart(e, 'waste', null, waste.length - 1) : undefined}
+                        role={i === arr.length - 1 ? 'img' : undefined}
+                        aria-label={i === arr.length - 1 ? cardLabel(card, 'waste') : undefined}
+                        aria-hidden={i === arr.length - 1 ? undefined : true}
                       >
                         {i === arr.length - 1 ? (
                           renderCard(
@@ -2967,12 +3102,19 @@ const Solitaire = ({ onSwitchGame }) => {
                     ))}
                   </div>
                 ) : (
-                  renderCard(
-                    waste[waste.length - 1],
-                    selectedCard?.source === 'waste',
-                    () => handleCardClick('waste', null, waste.length - 1),
-                    () => handleDoubleClick('waste', null, waste.length - 1)
-                  )
+                  <div
+                    className={`waste-top ${isBeingDragged('waste', null, waste.length - 1) ? 'drag-origin' : ''}`}
+                    onPointerDown={(e) => handleDragStart(e, 'waste', null, waste.length - 1)}
+                    role="img"
+                    aria-label={cardLabel(waste[waste.length - 1], 'waste')}
+                  >
+                    {renderCard(
+                      waste[waste.length - 1],
+                      selectedCard?.source === 'waste',
+                      () => handleCardClick('waste', null, waste.length - 1),
+                      () => handleDoubleClick('waste', null, waste.length - 1)
+                    )}
+                  </div>
                 )
               ) : null}
             </div>
@@ -2982,20 +3124,31 @@ const Solitaire = ({ onSwitchGame }) => {
             {foundations.map((foundation, i) => (
               <div
                 key={i}
-                className={`card-slot foundation ${foundation.length === 13 ? 'complete' : ''}`}
+                className={`card-slot foundation ${foundation.length === 13 ? 'complete' : ''} ${getDropClass('foundation', i)} ${isFocused('top', i + 2) ? 'kb-focus' : ''}`}
+                data-drop-target="foundation"
+                data-drop-index={i}
+                role="group"
+                aria-label={`Foundation ${i + 1}${foundation.length === 0 ? ', empty' : ''}`}
                 onClick={() => foundation.length === 0
                   ? handleEmptyClick('foundation', i)
                   : handleCardClick('foundation', i, foundation.length - 1)}
               >
                 {foundation.length > 0 ? (
-                  renderCard(
-                    foundation[foundation.length - 1],
-                    selectedCard?.source === 'foundation' && selectedCard?.pileIndex === i,
-                    () => {},
-                    () => {}
-                  )
+                  <div
+                    className={`foundation-top ${isBeingDragged('foundation', i, foundation.length - 1) ? 'drag-origin' : ''}`}
+                    onPointerDown={(e) => handleDragStart(e, 'foundation', i, foundation.length - 1)}
+                    role="img"
+                    aria-label={cardLabel(foundation[foundation.length - 1], `foundation ${i + 1}`)}
+                  >
+                    {renderCard(
+                      foundation[foundation.length - 1],
+                      selectedCard?.source === 'foundation' && selectedCard?.pileIndex === i,
+                      () => {},
+                      () => {}
+                    )}
+                  </div>
                 ) : (
-                  <span className="empty-icon foundation-suit">{SUITS[i]}</span>
+                  <span className="empty-icon foundation-suit" aria-hidden="true">{SUITS[i]}</span>
                 )}
               </div>
             ))}
@@ -3007,12 +3160,16 @@ const Solitaire = ({ onSwitchGame }) => {
           {tableau.map((pile, pileIndex) => (
             <div
               key={pileIndex}
-              className="tableau-pile"
+              className={`tableau-pile ${getDropClass('tableau', pileIndex)}`}
+              data-drop-target="tableau"
+              data-drop-index={pileIndex}
+              role="group"
+              aria-label={`Column ${pileIndex + 1}${pile.length === 0 ? ', empty' : ''}`}
               onClick={() => pile.length === 0 && handleEmptyClick('tableau', pileIndex)}
             >
               {pile.length === 0 ? (
-                <div className="card-slot empty">
-                  <span className="empty-icon">K</span>
+                <div className={`card-slot empty ${isFocused('tableau', pileIndex, -1) ? 'kb-focus' : ''}`}>
+                  <span className="empty-icon" aria-hidden="true">K</span>
                 </div>
               ) : (
                 pile.map((card, cardIndex) => {
@@ -3022,12 +3179,15 @@ const Solitaire = ({ onSwitchGame }) => {
                   return (
                     <div
                       key={card.id}
-                      className={`tableau-card ${dealingCards ? 'dealing-card' : ''} ${isCardSelected ? 'stack-selected' : ''}`}
+                      className={`tableau-card ${dealingCards ? 'dealing-card' : ''} ${isCardSelected ? 'stack-selected' : ''} ${isBeingDragged('tableau', pileIndex, cardIndex) ? 'drag-origin' : ''} ${isFocused('tableau', pileIndex, cardIndex) ? 'kb-focus' : ''}`}
                       style={{
                         top: `${getCardOffset(cardIndex, pile)}px`,
                         zIndex: isCardSelected ? 100 + cardIndex : cardIndex,
                         animationDelay: dealingCards ? `${getDealDelay(pileIndex, cardIndex)}ms` : '0ms'
                       }}
+                      onPointerDown={card.faceUp ? (e) => handleDragStart(e, 'tableau', pileIndex, cardIndex) : undefined}
+                      role="img"
+                      aria-label={`${cardLabel(card, `column ${pileIndex + 1}`)}${isCardSelected ? ', selected' : ''}`}
                     >
                       {renderCard(
                         card,
@@ -3044,6 +3204,26 @@ const Solitaire = ({ onSwitchGame }) => {
         </div>
       </div>
 
+      {/* Screen reader announcements */}
+      <div className="sr-only" role="status" aria-live="polite">
+        {gameWon ? `You won in ${moves} moves!` : announcement}
+      </div>
+
+      {/* Drag Layer - the stack following the pointer */}
+      {drag && (
+        <div
+          className={`drag-layer ${drag.returning ? 'returning' : ''}`}
+          aria-hidden="true"
+          style={{ width: `${drag.width}px`, transform: `translate(${drag.x}px, ${drag.y}px)` }}
+        >
+          {drag.cards.map((card, i) => (
+            <div key={card.id} className="tableau-card" style={{ top: `${i * 24}px`, zIndex: i }}>
+              {renderCard(card, false, undefined, undefined)}
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Controls */}
       <div className="game-controls">
         <button
@@ -3058,16 +3238,22 @@ const Solitaire = ({ onSwitchGame }) => {
         >
           ↩ Undo
         </button>
+        <button
+          className="btn btn-redo"
+          onClick={handleRedo}
+          disabled={future.length === 0 || gaveUp}
+          onMouseDown={(e) => handleLongPressStart('redo', e)}
+          onMouseUp={handleLongPressEnd}
+          onMouseLeave={handleLongPressEnd}
+          onTouchStart={(e) => handleLongPressStart('redo', e)}
+          onTouchEnd={handleLongPressEnd}
+        >
+          ↪ Redo
+        </button>
         <button
           className="btn btn-hint"
-          onClick={() => {
-            const hint = findHint();
-            if (hint) {
-              setHintCard(hint);
-              setShowHint(true);
-              setTimeout(() => setShowHint(false), 2000);
-            }
-          }}
+          onClick={handleHint}
+          disabled={hintPending || gaveUp}
           onMouseDown={(e) => handleLongPressStart('hint', e)}
           onMouseUp={handleLongPressEnd}
           onMouseLeave={handleLongPressEnd}
@@ -3076,6 +3262,18 @@ const Solitaire = ({ onSwitchGame }) => {
         >
           💡 Hint
         </button>
+        <button
+          className="btn btn-giveup"
+          onClick={() => setShowGiveUp(true)}
+          disabled={gaveUp || gameWon || dealingCards || findingDeal}
+          onMouseDown={(e) => handleLongPressStart('giveUp', e)}
+          onMouseUp={handleLongPressEnd}
+          onMouseLeave={handleLongPressEnd}
+          onTouchStart={(e) => handleLongPressStart('giveUp', e)}
+          onTouchEnd={handleLongPressEnd}
+        >
+          🏳️ Give Up
+        </button>
         <button
           className="btn btn-daily"
           onClick={() => initGame(true)}
@@ -3100,6 +3298,82 @@ const Solitaire = ({ onSwitchGame }) => {
         </button>
       </div>
 
+      {/* Solution Replay Banner */}
+      {replay && (
+        <div className="replay-banner">
+          <span className="replay-progress">🎬 Solution: move {replay.step} of {replay.moves.length}</span>
+          <button className="btn btn-new" onClick={() => initGame(false)}>New Game</button>
+        </div>
+      )}
+
+      {/* Give Up Modal */}
+      {(showGiveUp || giveUpResult) && (
+        <div className="modal-overlay" onClick={() => {
+          if (showGiveUp) setShowGiveUp(false);
+          else if (giveUpResult !== 'solving') setGiveUpResult(null);
+        }}>
+          <div className="giveup-modal" onClick={(e) => e.stopPropagation()}>
+            {showGiveUp ? (
+              <>
+                <h3>🏳️ Give Up?</h3>
+                <p>This game will count as a loss, and you'll find out whether the deal could have been won.</p>
+                <div className="modal-buttons">
+                  <button className="btn btn-cancel" onClick={() => setShowGiveUp(false)}>Keep Playing</button>
+                  <button className="btn btn-danger" onClick={handleGiveUp}>Give Up</button>
+                </div>
+              </>
+            ) : giveUpResult === 'solving' ? (
+              <>
+                <h3>🔍 Checking the deal…</h3>
+                <p>The solver is looking for a winning line.</p>
+              </>
+            ) : (
+              <>
+                {giveUpResult.result === 'solvable' && (
+                  <>
+                    <h3>💡 This deal was winnable</h3>
+                    <p>The solver found a win in {giveUpResult.moves.length} moves.</p>
+                  </>
+                )}
+                {giveUpResult.result === 'unsolvable' && (
+                  <>
+                    <h3>🧱 No way through</h3>
+                    <p>This deal can't be won - it wasn't you!</p>
+                  </>
+                )}
+                {giveUpResult.result === 'unknown' && (
+                  <>
+                    <h3>🤔 No win found</h3>
+                    <p>The solver didn't find a winning line, but couldn't rule one out in time.</p>
+                  </>
+                )}
+                <div className="modal-buttons">
+                  <button className="btn btn-cancel" onClick={() => initGame(false)}>New Game</button>
+                  {giveUpResult.result === 'solvable' && (
+                    <button className="btn btn-play-again" onClick={showSolution}>▶ Show Solution</button>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Finding Winnable Deal Toast */}
+      {findingDeal && (
+        <div className="finding-deal-toast">
+          🔍 Finding a winnable deal…
+          <button onClick={cancelSolves}>Deal Any Game</button>
+        </div>
+      )}
+
+      {unverifiedDeal && !findingDeal && !gameWon && (
+        <div className="finding-deal-toast unverified" role="status">
+          ⚠️ This deal wasn't checked by the solver - it may not be winnable.
+          <button onClick={() => setUnverifiedDeal(false)} aria-label="Dismiss">✕</button>
+        </div>
+      )}
+
       {/* Win Modal - Regular */}
       {gameWon && !isDailyChallenge && (
         <div className="win-overlay">
@@ -3117,17 +3391,34 @@ const Solitaire = ({ onSwitchGame }) => {
               </div>
             </div>
             <div className="win-record">
-              {moves === stats.bestMoves && <span className="new-record">🎉 New Best!</span>}
+              {moves === gameStats.bestMoves && <span className="new-record">🎉 New Best!</span>}
             </div>
             {winStreak > 1 && (
               <div className="win-streak-display">
                 {'🔥'.repeat(Math.min(winStreak, 5))} {winStreak} Win Streak!
               </div>
             )}
+            {linkSender && <DealComparison shared={linkSender} result={{ moves, time: timer }} />}
             <div className="win-buttons">
               <button className="btn btn-screenshot" onClick={takeScreenshot}>
                 📸 Share Victory
               </button>
+              <ShareDealButton
+                className="btn btn-share-deal"
+                link={{ ...shareLink, result: { won: true, moves, time: timer } }}
+              >
+                🔗 Challenge a Friend
+              </ShareDealButton>
+              {deal && pastWins.length > 0 && (
+                <button className="btn btn-watch-replay" onClick={() => setViewingReplay(pastWins[0])}>
+                  🎬 Watch Replay
+                </button>
+              )}
+              {currentBoard && (
+                <button className="btn btn-leaderboard" onClick={() => setLeaderboard(currentBoard)}>
+                  🏆 Leaderboard
+                </button>
+              )}
               <button className="btn btn-play-again" onClick={() => initGame(false)}>
                 Play Again
               </button>
@@ -3145,9 +3436,12 @@ const Solitaire = ({ onSwitchGame }) => {
               <div className="daily-sparkles">✨</div>
             </div>
             <h2 className="daily-win-title">Daily Champion!</h2>
-            <p className="daily-win-subtitle">You conquered today's challenge!</p>
+            <p className="daily-win-subtitle">
+              {dailyArchive ? 'You conquered an archived challenge!' : "You conquered today's challenge!"}
+            </p>
             <div className="daily-date-badge">
-              📅 {new Date().toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}
+              📅 {dailySeed && dayFromKey(dailySeed).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}
+              {dailyArchive && ' · archive'}
             </div>
             <div className="win-stats daily-win-stats">
               <div className="win-stat">
@@ -3159,14 +3453,14 @@ const Solitaire = ({ onSwitchGame }) => {
                 <span className="win-stat-value">{formatTime(timer)}</span>
               </div>
             </div>
-            {moves === stats.bestMoves && (
+            {moves === gameStats.bestMoves && (
               <div className="win-record">
                 <span className="new-record">🎉 New Personal Best!</span>
               </div>
             )}
-            {winStreak > 1 && (
+            {!dailyArchive && dailyStreakCount > 1 && (
               <div className="win-streak-display daily-streak">
-                {'🔥'.repeat(Math.min(winStreak, 5))} {winStreak} Day Streak!
+                {'🔥'.repeat(Math.min(dailyStreakCount, 5))} {dailyStreakCount} Day Streak!
               </div>
             )}
             <div className="daily-motivational">
@@ -3176,6 +3470,25 @@ const Solitaire = ({ onSwitchGame }) => {
               <button className="btn btn-screenshot daily-share-btn" onClick={takeScreenshot}>
                 📸 Share Your Victory
               </button>
+              <ShareDealButton
+                className="btn btn-share-deal"
+                link={{ ...shareLink, result: { won: true, moves, time: timer } }}
+              >
+                🔗 Challenge a Friend
+              </ShareDealButton>
+              {deal && pastWins.length > 0 && (
+                <button className="btn btn-watch-replay" onClick={() => setViewingReplay(pastWins[0])}>
+                  🎬 Watch Replay
+                </button>
+              )}
+              <button className="btn btn-calendar" onClick={() => setShowCalendar(true)}>
+                📆 Calendar
+              </button>
+              {currentBoard && (
+                <button className="btn btn-leaderboard" onClick={() => setLeaderboard(currentBoard)}>
+                  🏆 Leaderboard
+                </button>
+              )}
               <button className="btn btn-play-again" onClick={() => initGame(false)}>
                 Play Free Game
               </button>
@@ -3185,12 +3498,60 @@ const Solitaire = ({ onSwitchGame }) => {
         </div>
       )}
 
+      {/* Replay Viewer */}
+      {viewingReplay && (
+        <ReplayViewer recording={viewingReplay} onClose={() => setViewingReplay(null)} />
+      )}
+
+      {leaderboard && (
+        <Leaderboard board={leaderboard} player={activeProfileName()} onClose={() => setLeaderboard(null)} />
+      )}
+
+      {showCalendar && (
+        <DailyCalendar
+          challenge="klondike"
+          onPlay={(day) => {
+            setShowCalendar(false);
+            initGame(true, { number: day });
+          }}
+          onClose={() => setShowCalendar(false)}
+        />
+      )}
+
+      {showAchievements && (
+        <AchievementsGallery achievements={achievements} onClose={() => setShowAchievements(false)} />
+      )}
+
+      {showPlayers && (
+        <PlayersDialog
+          onSwitch={(id) => {
+            setShowPlayers(false);
+            saveGameState();
+            onSwitchProfile(id);
+          }}
+          onClose={() => {
+            setShowPlayers(false);
+            // The name may have been changed in the dialog
+            setPlayerName(getItem('solitaire_playerName', ''));
+          }}
+        />
+      )}
+
+      {showSavedGames && (
+        <SavedGamesBrowser
+          current={{ variant: 'klondike', id: gameId }}
+          onContinue={continueSlot}
+          onClose={() => setShowSavedGames(false)}
+        />
+      )}
+
       {/* Stats Bar */}
       <div className="stats-bar">
-        <span>Games: {stats.gamesPlayed}</span>
-        <span>Wins: {stats.gamesWon}</span>
-        <span>Win Rate: {stats.gamesPlayed > 0 ? Math.round((stats.gamesWon / stats.gamesPlayed) * 100) : 0}%</span>
-        {stats.bestMoves && <span>Best: {stats.bestMoves} moves</span>}
+        {gameRuleset && <span>{rulesetLabel(gameRuleset)}</span>}
+        <span>Games: {gameStats.gamesPlayed}</span>
+        <span>Wins: {gameStats.gamesWon}</span>
+        <span>Win Rate: {gameStats.gamesPlayed > 0 ? Math.round((gameStats.gamesWon / gameStats.gamesPlayed) * 100) : 0}%</span>
+        {gameStats.bestMoves && <span>Best: {gameStats.bestMoves} moves</span>}
         {winStreak > 1 && (
           <span className={`win-streak-bottom ${streakAnimating ? 'streak-animating' : ''}`}>{'🔥'.repeat(Math.min(winStreak, 5))} {winStreak} streak</span>
         )}
@@ -1,10 +1,54 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useRef, useEffectEvent } from 'react';
 import { getDesignById } from '../data/cardBackDesigns';
+import { RANKS, cardName } from '../engine/cards';
+import { randomDealNumber } from '../engine/random';
+import {
+  createSpiderDeck, createEmptyGame, createGame, executeMove, applyMove, undoMove, recordToMove, canDeal,
+  isValidSequence, isLegalMove, getMovingCards, isWon, findBestMove, findBestTarget, TABLEAU_PILES,
+  SUITS_TO_COMPLETE
+} from '../engine/spider';
+import {
+  cancelSolves, checkSpiderGame, findSpiderHint, findWinnableSpiderDeal
+} from '../workers/solverClient';
+import { deckForDeal, encodeDeck, recordingStates } from '../engine/replay';
+import { toNotation, parseNotation } from '../engine/notation';
+import { getItem, setItem } from '../storage/db';
+import { loadReplays, saveReplay } from '../storage/replays';
+import { loadCurrentSlot, saveSlot, deleteSlot, setCurrentSlotId } from '../storage/savedGames';
+import { logGame } from '../storage/gameLog';
+import { spiderChallenge, dayKey, dayFromKey, markDailyPlayed, recordDailyWin, dailyStreak } from '../storage/dailyChallenges';
+import { boardFor, submitResult } from '../storage/leaderboard';
+import { activeProfileName } from '../storage/profiles';
+import { useCardDrag } from '../hooks/useCardDrag';
+import { useKeyboardControls } from '../hooks/useKeyboardControls';
+import { useAnnouncer } from '../hooks/useAnnouncer';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+import { useAchievements, isUnlocked } from '../hooks/useAchievements';
+import { ACHIEVEMENTS } from '../data/achievements';
+import ReplayViewer from './ReplayViewer';
+import SavedGamesBrowser from './SavedGamesBrowser';
+import StatsDashboard from './StatsDashboard';
+import AchievementToast from './AchievementToast';
+import AchievementsGallery from './AchievementsGallery';
+import DailyCalendar from './DailyCalendar';
+import DailyBanner from './DailyBanner';
+import DealNumberForm from './DealNumberForm';
+import ShareDealButton from './ShareDealButton';
+import DealComparison from './DealComparison';
+import Leaderboard from './Leaderboard';
+import PlayersDialog from './PlayersDialog';
 import './SpiderSolitaire.css';
 
-const SUITS = ['♠', '♥', '♦', '♣'];
-const SUIT_COLORS = { '♠': 'black', '♣': 'black', '♥': 'red', '♦': 'red' };
-const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+// Save a recording as a notation text file (see engine/notation.js)
+const downloadNotation = (recording) => {
+  const blob = new Blob([toNotation(recording)], { type: 'text/plain' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `spider-${new Date(recording.date || Date.now()).toISOString().split('T')[0]}.txt`;
+  a.click();
+  URL.revokeObjectURL(url);
+};
 
 // Sound effects
 let audioContext = null;
@@ -86,50 +130,95 @@ const playWinSound = () => {
   });
 };
 
-// Create deck based on suit count (1, 2, or 4 suits)
-const createSpiderDeck = (suitCount) => {
-  const deck = [];
-  let suitsToUse;
-
-  if (suitCount === 1) {
-    suitsToUse = ['♠', '♠', '♠', '♠']; // All spades
-  } else if (suitCount === 2) {
-    suitsToUse = ['♠', '♥', '♠', '♥']; // Spades and hearts
-  } else {
-    suitsToUse = ['♠', '♥', '♦', '♣']; // All suits
-  }
+const isSameMove = (a, b) => (
+  a.type === b.type &&
+  a.pileIndex === b.pileIndex &&
+  a.cardIndex === b.cardIndex &&
+  a.targetIndex === b.targetIndex
+);
+
+// Plain-words description of a move, for the hint plan
+const describeMove = (state, move) => {
+  if (move.type === 'deal') return 'Deal a new row';
+  const card = state.tableau[move.pileIndex][move.cardIndex];
+  const target = state.tableau[move.targetIndex];
+  if (target.length === 0) return `Move ${card.rank}${card.suit} to the empty column`;
+  const top = target[target.length - 1];
+  return `Move ${card.rank}${card.suit} onto ${top.rank}${top.suit}`;
+};
 
-  // Create 2 decks (8 complete suits)
-  for (let d = 0; d < 2; d++) {
-    for (const suit of suitsToUse) {
-      for (let i = 0; i < RANKS.length; i++) {
-        deck.push({
-          suit,
-          rank: RANKS[i],
-          value: i + 1,
-          color: SUIT_COLORS[suit],
-          id: `${suit}-${RANKS[i]}-${d}-${deck.length}`
-        });
-      }
-    }
-  }
-  return deck;
+// Hint plan steps ({ move, text }), each described as the board will be at that point
+const describePlan = (state, moves) => {
+  let current = state;
+  return moves.map(move => {
+    const step = { move, text: describeMove(current, move) };
+    current = applyMove(current, move);
+    return step;
+  });
 };
 
-const shuffleDeck = (deck) => {
-  const shuffled = [...deck];
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+// Keyboard cursor: { area: 'tableau', index, cardIndex } on a column, or
+// { area: 'stock', index } below the tableau (index is the column to return to).
+// cardIndex is kept within the face-up cards when used; Infinity means the top card.
+const clampToFaceUp = (pile, cardIndex) => {
+  const first = pile.findIndex(card => card.faceUp);
+  if (first === -1) return pile.length - 1;
+  return Math.min(Math.max(cardIndex, first), pile.length - 1);
+};
+
+const moveCursor = (cursor, direction, tableau) => {
+  if (cursor.area === 'stock') {
+    return direction === 'up' ? { area: 'tableau', index: cursor.index, cardIndex: Infinity } : cursor;
+  }
+  const pile = tableau[cursor.index];
+  const cardIndex = clampToFaceUp(pile, cursor.cardIndex);
+  switch (direction) {
+    case 'left': return { ...cursor, index: Math.max(0, cursor.index - 1), cardIndex: Infinity };
+    case 'right': return { ...cursor, index: Math.min(TABLEAU_PILES - 1, cursor.index + 1), cardIndex: Infinity };
+    case 'up':
+      return cardIndex > 0 && pile[cardIndex - 1].faceUp ? { ...cursor, cardIndex: cardIndex - 1 } : cursor;
+    default:
+      // Down past the top card goes to the stock
+      if (cardIndex < pile.length - 1) return { ...cursor, cardIndex: cardIndex + 1 };
+      return { area: 'stock', index: cursor.index };
   }
-  return shuffled;
 };
 
-const cloneGameState = (state) => ({
-  tableau: state.tableau.map(pile => pile.map(card => ({ ...card }))),
-  stock: state.stock.map(card => ({ ...card })),
-  completedSuits: state.completedSuits,
-});
+// Screen reader labels and announcements
+const cardLabel = (card, pileIndex) => (
+  card.faceUp
+    ? `${cardName(card)}, face up, column ${pileIndex + 1}`
+    : `Face-down card, column ${pileIndex + 1}`
+);
+
+const dealsLeft = (stock) => Math.ceil(stock.length / TABLEAU_PILES);
+
+const describeCursor = (cursor, { tableau, stock }) => {
+  if (cursor.area === 'stock') return `Stock, ${dealsLeft(stock)} deals left`;
+  const pile = tableau[cursor.index];
+  if (pile.length === 0) return `Column ${cursor.index + 1}, empty`;
+  return cardLabel(pile[clampToFaceUp(pile, cursor.cardIndex)], cursor.index);
+};
+
+const spokenMove = (state, move) => {
+  if (move.type === 'deal') return 'deal a new row';
+  const card = state.tableau[move.pileIndex][move.cardIndex];
+  const target = state.tableau[move.targetIndex];
+  if (target.length === 0) return `${cardName(card)} to empty column ${move.targetIndex + 1}`;
+  return `${cardName(card)} onto ${cardName(target[target.length - 1])}, column ${move.targetIndex + 1}`;
+};
+
+const announceMove = (before, after, move, record) => {
+  let text = move.type === 'deal' ? 'Dealt a new row' : spokenMove(before, move);
+  if (move.type === 'move' && record.flipped) {
+    const pile = after.tableau[move.pileIndex];
+    text += `, ${cardName(pile[pile.length - 1])} turned over`;
+  }
+  if (record.cleared.length > 0) {
+    text += `. Suit completed, ${after.completed.length} of ${SUITS_TO_COMPLETE}`;
+  }
+  return text;
+};
 
 // Firework particle
 class Particle {
@@ -163,37 +252,91 @@ class Particle {
   }
 }
 
-const SpiderSolitaire = ({ onSwitchGame }) => {
-  const [tableau, setTableau] = useState([[], [], [], [], [], [], [], [], [], []]);
-  const [stock, setStock] = useState([]);
-  const [completedSuits, setCompletedSuits] = useState(0);
+// Saved game format version - saves from another version are dropped
+const SAVE_VERSION = 1;
+
+// Rebuild the board from a save. Cards take their ids from a fresh deck so every
+// card still has a unique key; completed runs are saved as just their suit.
+const restoreBoard = (gs) => {
+  const pool = createSpiderDeck(gs.sc);
+  const take = (suit, rank, faceUp) => {
+    const index = pool.findIndex(card => card.suit === suit && card.rank === rank);
+    if (index === -1) throw new Error(`Saved game has too many ${rank}${suit}`);
+    return { ...pool.splice(index, 1)[0], faceUp };
+  };
+
+  return {
+    ...createEmptyGame(gs.sc),
+    tableau: gs.t.map(p => p.map(c => take(c.s, c.r, c.f === 1))),
+    stock: gs.st.map(c => take(c.s, c.r, false)),
+    completed: gs.c.map(suit => [...RANKS].reverse().map(rank => take(suit, rank, true)))
+  };
+};
+
+const SpiderSolitaire = ({ onSwitchGame, onSwitchProfile, sharedDeal }) => {
+  // Board state lives in the rules engine; history holds the engine's undo records
+  const [game, setGame] = useState(() => createEmptyGame());
+  const { tableau, stock } = game;
+  const completedSuits = game.completed.length;
   const [selectedCard, setSelectedCard] = useState(null);
+  const [cursor, setCursor] = useState({ area: 'tableau', index: 0, cardIndex: Infinity });
+  const [announcement, announce] = useAnnouncer();
   const [moves, setMoves] = useState(0);
   const [gameWon, setGameWon] = useState(false);
   const [history, setHistory] = useState([]);
+  const [future, setFuture] = useState([]); // Redo stack: records of undone moves, most recent last
   const [timer, setTimer] = useState(0);
   const [isPlaying, setIsPlaying] = useState(false);
   const [suitCount, setSuitCount] = useState(() => {
-    const saved = localStorage.getItem('spider_suitCount');
-    return saved ? parseInt(saved, 10) : 1;
+    return getItem('spider_suitCount', 1);
   });
   const [showSettings, setShowSettings] = useState(false);
   const [dealingCards, setDealingCards] = useState(false);
   const [soundEnabled, setSoundEnabled] = useState(() => {
-    return localStorage.getItem('solitaire_sound') !== 'false';
+    return getItem('solitaire_sound', true);
   });
   const [cardBackDesign, setCardBackDesign] = useState(() => {
-    return localStorage.getItem('solitaire_cardBack') || 'classic-navy';
+    return getItem('solitaire_cardBack', 'classic-navy');
   });
   const [stats, setStats] = useState(() => {
-    const saved = localStorage.getItem('spider_stats');
-    return saved ? JSON.parse(saved) : { gamesPlayed: 0, gamesWon: 0, bestMoves: null, bestTime: null };
+    return getItem('spider_stats', { gamesPlayed: 0, gamesWon: 0, bestMoves: null, bestTime: null, streaks: {} });
   });
+  const { achievements, record: recordAchievements, toast: achievementToast } = useAchievements();
   const [showSuitSelector, setShowSuitSelector] = useState(false);
-  const [hintMove, setHintMove] = useState(null);
+  const [winnableOnly, setWinnableOnly] = useState(() => {
+    return getItem('spider_winnableOnly', false);
+  });
+  const [findingDeal, setFindingDeal] = useState(false);
+  const [unverifiedDeal, setUnverifiedDeal] = useState(false); // Winnable deals were asked for but the search was stopped
+  const [deal, setDeal] = useState(null); // { number } or { deck } - how this game was dealt, for recordings
+  const [pastWins, setPastWins] = useState(() => loadReplays('spider'));
+  const [viewingReplay, setViewingReplay] = useState(null); // Recording open in the replay viewer
+  const [showSavedGames, setShowSavedGames] = useState(false);
+  const [showStats, setShowStats] = useState(false);
+  const [showAchievements, setShowAchievements] = useState(false);
+  const [showCalendar, setShowCalendar] = useState(false);
+  const [leaderboard, setLeaderboard] = useState(null); // Board key while a leaderboard is open
+  const [showPlayers, setShowPlayers] = useState(false);
+  const [isDailyChallenge, setIsDailyChallenge] = useState(false);
+  const [dailySeed, setDailySeed] = useState(null); // The day (YYYYMMDD) being played
+  const [dailyArchive, setDailyArchive] = useState(false); // A past day replayed from the calendar
+  const [dailyStreakCount, setDailyStreakCount] = useState(0); // For the win modal
+  const [linkSender, setLinkSender] = useState(null); // { from, result } of the deal link this game came from
+  const [dailyBanner, setDailyBanner] = useState(null); // { explain } while the daily banner shows
+  const [hasSeenDailyExplanation, setHasSeenDailyExplanation] = useState(() => {
+    return getItem('spider_seenDailyExplanation', false);
+  });
+  const [gameId, setGameId] = useState(() => Date.now()); // Unique ID per game for its save slot
+  // Hint plan: { state, steps }, only shown while the board is still at `state`
+  const [hint, setHint] = useState(null);
+  const [hintPending, setHintPending] = useState(false);
+  const [lostState, setLostState] = useState(null); // Last position the solver proved can't be won
   const [lastClickInfo, setLastClickInfo] = useState(null);
 
   const canvasRef = useRef(null);
+  const dealRequestRef = useRef(0); // Bumped on every new game so stale deals are dropped
+  const lastGameWonRef = useRef(true); // Whether the game being left was won, for streaks
+  const undoUsedRef = useRef(false); // Whether undo has been used this game
   const particlesRef = useRef([]);
   const animationFrameRef = useRef(null);
 
@@ -216,153 +359,64 @@ const SpiderSolitaire = ({ onSwitchGame }) => {
 
   // Save stats
   useEffect(() => {
-    localStorage.setItem('spider_stats', JSON.stringify(stats));
+    setItem('spider_stats', stats);
   }, [stats]);
 
-  // Check if a sequence of cards is valid (same suit, descending)
-  const isValidSequence = (cards) => {
-    if (cards.length === 0) return true;
-    for (let i = 0; i < cards.length - 1; i++) {
-      if (cards[i].suit !== cards[i + 1].suit) return false;
-      if (cards[i].value !== cards[i + 1].value + 1) return false;
+  const activeHint = hint && hint.state === game ? hint : null;
+  const hintMove = activeHint && activeHint.steps.length > 0 ? activeHint.steps[0].move : null;
+  const dealLost = lostState === game && !gameWon;
+  const streak = stats.streaks?.[game.suitCount] || 0; // Win streak at this suit count
+
+  // Earlier positions of this game, most recent first, rebuilt from the undo records
+  const getEarlierStates = (limit = history.length) => {
+    const states = [];
+    let state = game;
+    for (let i = history.length - 1; i >= Math.max(0, history.length - limit); i--) {
+      state = undoMove(state, history[i]);
+      states.push(state);
     }
-    return true;
-  };
-
-  // Check if we can move cards to a pile
-  const canMoveToTableau = (cards, targetPile) => {
-    if (targetPile.length === 0) return true;
-    const topCard = targetPile[targetPile.length - 1];
-    return topCard.faceUp && topCard.value === cards[0].value + 1;
+    return states;
   };
 
-  // Calculate chain length - how many consecutive same-suit descending cards from top
-  const getChainLength = useCallback((pile) => {
-    if (pile.length === 0) return 0;
-
-    let length = 0;
-    for (let i = pile.length - 1; i >= 0; i--) {
-      const card = pile[i];
-      if (!card.faceUp) break;
-
-      if (length === 0) {
-        length = 1;
-      } else {
-        const prevCard = pile[i + 1];
-        if (card.suit === prevCard.suit && card.value === prevCard.value + 1) {
-          length++;
-        } else {
-          break;
-        }
-      }
-    }
-    return length;
-  }, []);
-
-  // Find the best move available
-  const findBestMove = useCallback(() => {
-    let bestMove = null;
-    let bestScore = -1;
-
-    // Iterate through all tableau piles as source
-    for (let sourcePileIndex = 0; sourcePileIndex < tableau.length; sourcePileIndex++) {
-      const sourcePile = tableau[sourcePileIndex];
-      if (sourcePile.length === 0) continue;
-
-      // Find all valid moveable sequences starting from each face-up card
-      for (let cardIndex = sourcePile.length - 1; cardIndex >= 0; cardIndex--) {
-        const card = sourcePile[cardIndex];
-        if (!card.faceUp) break;
-
-        const cardsToMove = sourcePile.slice(cardIndex);
-        if (!isValidSequence(cardsToMove)) break;
-
-        // Skip if card is already connected (same suit sequence with card below)
-        if (cardIndex > 0) {
-          const cardBelow = sourcePile[cardIndex - 1];
-          if (cardBelow.faceUp &&
-              cardBelow.suit === card.suit &&
-              cardBelow.value === card.value + 1) {
-            // Card is already in a valid same-suit sequence, skip suggesting this move
-            continue;
-          }
-        }
-
-        // Find all valid target piles for this sequence
-        for (let targetPileIndex = 0; targetPileIndex < tableau.length; targetPileIndex++) {
-          if (targetPileIndex === sourcePileIndex) continue;
-
-          const targetPile = tableau[targetPileIndex];
-          if (canMoveToTableau(cardsToMove, targetPile)) {
-            // Calculate score for this move
-            let score = 0;
-
-            // Prefer non-empty piles over empty piles
-            if (targetPile.length > 0) {
-              score += 100;
-
-              // Prefer longer chains (same suit)
-              const topCard = targetPile[targetPile.length - 1];
-              if (topCard.suit === cardsToMove[0].suit) {
-                // Same suit - this continues a chain
-                score += 200 + getChainLength(targetPile);
-              }
-            }
-
-            // Prefer moves that reveal hidden cards
-            if (cardIndex > 0 && !sourcePile[cardIndex - 1].faceUp) {
-              score += 50;
-            }
-
-            if (score > bestScore) {
-              bestScore = score;
-              bestMove = {
-                sourcePileIndex,
-                sourceCardIndex: cardIndex,
-                targetPileIndex,
-                cards: cardsToMove
-              };
-            }
-          }
-        }
-      }
+  // Handle hint button click: ask the solver for the next few moves.
+  // Falls back to the single-move heuristic if the worker isn't available.
+  const handleHint = async () => {
+    if (hintPending) return;
+    setHintPending(true);
+    let moves;
+    try {
+      ({ moves } = await findSpiderHint(game, getEarlierStates(50), { maxStates: 3000 }));
+    } catch {
+      const move = findBestMove(game) || (canDeal(game) ? { type: 'deal' } : null);
+      moves = move ? [move] : [];
     }
+    setHintPending(false);
+    setHint({ state: game, steps: describePlan(game, moves) });
+    announce(moves.length > 0 ? `Hint: ${spokenMove(game, moves[0])}` : 'No moves left. Undo or start a new game');
+  };
 
-    return bestMove;
-  }, [tableau, getChainLength]);
-
-  // Handle hint button click
-  const handleHint = useCallback(() => {
-    const move = findBestMove();
-    if (move) {
-      setHintMove(move);
-      // Clear hint after 3 seconds
-      setTimeout(() => setHintMove(null), 3000);
-    }
-  }, [findBestMove]);
-
-  // Clear hint when a move is made
   const clearHint = useCallback(() => {
-    setHintMove(null);
+    setHint(null);
   }, []);
 
-  // Check for completed suit (K to A of same suit)
-  const checkForCompletedSuit = useCallback((pile) => {
-    if (pile.length < 13) return null;
-
-    const last13 = pile.slice(-13);
-    if (!last13.every(c => c.faceUp)) return null;
-
-    const suit = last13[0].suit;
-    if (!last13.every(c => c.suit === suit)) return null;
-
-    // Check if it's K, Q, J, 10, 9, 8, 7, 6, 5, 4, 3, 2, A
-    for (let i = 0; i < 13; i++) {
-      if (last13[i].value !== 13 - i) return null;
-    }
-
-    return 13; // Return how many cards to remove
-  }, []);
+  // Late in the game, check in the background whether a win is still possible.
+  // Before the last deal the search space is too big to settle, so don't bother.
+  useEffect(() => {
+    if (gameWon || !isPlaying || game.stock.length > TABLEAU_PILES) return;
+    // Only the latest position is checked, and only while it's still on the board
+    let active = true;
+    const timeout = setTimeout(() => {
+      checkSpiderGame(game, { exhaustive: true, maxStates: 20000 })
+        .then(solved => {
+          if (active && solved?.result === 'unsolvable') setLostState(game);
+        })
+        .catch(() => {});
+    }, 800);
+    return () => {
+      active = false;
+      clearTimeout(timeout);
+    };
+  }, [game, gameWon, isPlaying]);
 
   // Fireworks
   const launchFirework = useCallback((x, y) => {
@@ -417,147 +471,408 @@ const SpiderSolitaire = ({ onSwitchGame }) => {
     }
   }, [gameWon, animateFireworks, launchFirework, soundEnabled]);
 
-  const saveToHistory = useCallback(() => {
-    const currentState = cloneGameState({ tableau, stock, completedSuits });
-    setHistory(prev => [...prev, currentState]);
-  }, [tableau, stock, completedSuits]);
+  // Apply a move through the rules engine. Returns false (and changes nothing) if it's illegal.
+  const commitMove = useCallback((move) => {
+    const result = executeMove(game, move);
+    if (!result) return false;
 
-  const initGame = useCallback((suits = suitCount) => {
-    setDealingCards(true);
+    // Following the hint plan moves it along; any other move drops it
+    if (hintMove && isSameMove(hintMove, move)) {
+      setHint({ state: result.state, steps: activeHint.steps.slice(1) });
+    } else {
+      clearHint();
+    }
+    setHistory(prev => [...prev, result.record]);
+    setFuture([]);
+    setGame(result.state);
+    setMoves(m => m + 1);
+    setSelectedCard(null);
+    announce(announceMove(game, result.state, move, result.record));
+    if (result.record.cleared.length > 0) {
+      recordAchievements({ variant: 'spider', type: 'clear', moves: moves + 1, suitCount: game.suitCount });
+    }
 
-    const deck = shuffleDeck(createSpiderDeck(suits));
+    if (soundEnabled) {
+      if (result.record.cleared.length > 0) playCompleteSound();
+      if (move.type === 'deal' || result.record.cleared.length === 0) playCardSound();
+    }
+    return true;
+  }, [game, hintMove, activeHint, clearHint, soundEnabled, announce, moves, recordAchievements]);
+
+  // Drag and drop goes through the same legality check as clicking
+  const { drag, startDrag } = useCardDrag((origin, { targetIndex }) => (
+    commitMove({ type: 'move', ...origin, targetIndex })
+  ));
+
+  // This game as a game-log entry, minus its result (see storage/gameLog.js)
+  const gameLogEntry = useCallback(() => ({
+    variant: 'spider',
+    suitCount: game.suitCount,
+    vegas: false,
+    zen: false,
+    daily: isDailyChallenge,
+    dealNumber: deal?.number ?? null,
+    moves,
+    time: timer,
+    score: null
+  }), [game.suitCount, isDailyChallenge, deal, moves, timer]);
+
+  // Auto-save game state (compressed format) into this game's save slot. Games only
+  // get a slot once a move has been made.
+  const saveGameState = useCallback(() => {
+    if (gameWon || !isPlaying || moves === 0) return;
+
+    const gameState = {
+      v: SAVE_VERSION,
+      id: gameId,
+      t: tableau.map(p => p.map(c => ({ s: c.suit, r: c.rank, f: c.faceUp ? 1 : 0 }))),
+      st: stock.map(c => ({ s: c.suit, r: c.rank })),
+      c: game.completed.map(run => run[0].suit),
+      sc: game.suitCount,
+      m: moves,
+      tm: timer,
+      dl: deal,
+      u: undoUsedRef.current ? 1 : 0,
+      daily: isDailyChallenge ? dailySeed : null,
+      ls: linkSender,
+      h: history
+    };
+    const started = new Date(gameId).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    saveSlot({
+      id: gameId,
+      variant: 'spider',
+      name: isDailyChallenge ? `Daily Challenge ${dayFromKey(dailySeed).toLocaleDateString()}` : `Game of ${started}`,
+      options: { suitCount: game.suitCount },
+      daily: isDailyChallenge,
+      progress: { done: game.completed.length, total: SUITS_TO_COMPLETE },
+      moves,
+      time: timer,
+      log: gameLogEntry(),
+      save: gameState
+    });
+  }, [gameWon, isPlaying, gameId, tableau, stock, game.completed, game.suitCount, moves, timer, deal, isDailyChallenge, dailySeed, linkSender, history, gameLogEntry]);
+
+  // Pick a saved game back up, on load or from the Saved Games list
+  const resumeSlot = useCallback((slot) => {
+    try {
+      const gs = slot.save;
+      if (gs.v !== SAVE_VERSION) {
+        deleteSlot('spider', slot.id);
+        return false;
+      }
 
-    // Deal: first 4 piles get 6 cards, last 6 piles get 5 cards (54 total)
-    const newTableau = [[], [], [], [], [], [], [], [], [], []];
-    let deckIndex = 0;
+      dealRequestRef.current++;
+      cancelSolves();
+      setGame(restoreBoard(gs));
+      setSuitCount(gs.sc);
+      setHistory(gs.h || []);
+      // Saves from before undo was tracked might have used it
+      undoUsedRef.current = gs.u !== 0;
+      setFuture([]);
+      setMoves(gs.m);
+      setTimer(gs.tm);
+      setDeal(gs.dl || null);
+      setIsDailyChallenge(!!gs.daily);
+      setDailySeed(gs.daily || null);
+      setDailyArchive(!!gs.daily && gs.daily !== dayKey());
+      setLinkSender(gs.ls || null);
+      setGameId(slot.id);
+      setSelectedCard(null);
+      setHint(null);
+      setHintPending(false);
+      setLastClickInfo(null);
+      setFindingDeal(false);
+      setUnverifiedDeal(false);
+      setDealingCards(false);
+      setIsPlaying(true);
+      setGameWon(false);
+      setCurrentSlotId('spider', slot.id);
+
+      return true;
+    } catch (e) {
+      console.error('Failed to resume game:', e);
+      deleteSlot('spider', slot.id);
+      return false;
+    }
+  }, []);
 
-    for (let pile = 0; pile < 10; pile++) {
-      const cardCount = pile < 4 ? 6 : 5;
-      for (let i = 0; i < cardCount; i++) {
-        const isLast = i === cardCount - 1;
-        newTableau[pile].push({ ...deck[deckIndex], faceUp: isLast });
-        deckIndex++;
-      }
+  // Continue a game from the Saved Games list. The game being left keeps its slot.
+  const continueSlot = (slot) => {
+    setShowSavedGames(false);
+    saveGameState();
+    if (slot.variant === 'spider') {
+      resumeSlot(slot);
+    } else {
+      setCurrentSlotId(slot.variant, slot.id);
+      onSwitchGame(slot.variant);
     }
+  };
 
-    // Remaining 50 cards go to stock
-    const newStock = deck.slice(deckIndex).map(c => ({ ...c, faceUp: false }));
+  // Auto-save on every change, so switching games or reloading picks up where you left off
+  useEffect(() => {
+    if (!isPlaying || gameWon || dealingCards) return;
+    const timeout = setTimeout(() => saveGameState(), 500);
+    return () => clearTimeout(timeout);
+  }, [game, moves, isPlaying, gameWon, dealingCards, saveGameState]);
+
+  // Count a new game in the stats. The game being left ends its suit count's streak
+  // unless it was won.
+  const countNewGame = useCallback(() => {
+    const lastGameWon = lastGameWonRef.current;
+    lastGameWonRef.current = false;
+    undoUsedRef.current = false;
+    setStats(prev => {
+      const newStats = {
+        ...prev,
+        gamesPlayed: prev.gamesPlayed + 1,
+        streaks: lastGameWon ? prev.streaks : { ...prev.streaks, [game.suitCount]: 0 }
+      };
+      setItem('spider_stats', newStats);
+      return newStats;
+    });
+  }, [game.suitCount]);
+
+  // chosen picks the deal, e.g. { number } - for daily games { number: day }, a past day
+  // from the calendar (today's by default). Each suit count has its own daily deal.
+  const initGame = useCallback((suits = suitCount, daily = false, chosen = null) => {
+    const dealRequest = ++dealRequestRef.current;
+    cancelSolves();
+    // A game the solver proved lost is over; any other game being left stays in its save
+    // slot, with any moves autosave hasn't caught up with yet. The new one gets its own
+    // after the first move.
+    if (dealLost) {
+      logGame({ ...gameLogEntry(), result: 'lost' });
+      deleteSlot('spider', gameId);
+    } else {
+      saveGameState();
+    }
+    setCurrentSlotId('spider', null);
+    setGameId(Date.now());
+    setDealingCards(true);
+    setUnverifiedDeal(false);
 
-    setTableau(newTableau);
-    setStock(newStock);
-    setCompletedSuits(0);
+    setGame(createEmptyGame(suits));
     setSelectedCard(null);
     setMoves(0);
     setGameWon(false);
     setHistory([]);
+    setFuture([]);
     setTimer(0);
-    setIsPlaying(true);
-    setHintMove(null);
+    setIsPlaying(false);
+    setHint(null);
+    setHintPending(false);
     setLastClickInfo(null);
+    setIsDailyChallenge(daily);
+    setLinkSender(null);
     particlesRef.current = [];
 
-    setStats(prev => {
-      const newStats = { ...prev, gamesPlayed: prev.gamesPlayed + 1 };
-      localStorage.setItem('spider_stats', JSON.stringify(newStats));
-      return newStats;
+    // Show daily challenge banner
+    if (daily) {
+      setDailyBanner({ explain: !hasSeenDailyExplanation });
+      setTimeout(() => setDailyBanner(null), hasSeenDailyExplanation ? 2000 : 5000);
+      if (!hasSeenDailyExplanation) {
+        setHasSeenDailyExplanation(true);
+        setItem('spider_seenDailyExplanation', true);
+      }
+    }
+
+    const dealDeck = (newDeal) => {
+      if (dealRequest !== dealRequestRef.current) return;
+      setGame(createGame(deckForDeal('spider', { suitCount: suits }, newDeal), { suitCount: suits }));
+      setDeal(newDeal);
+      setIsPlaying(true);
+      countNewGame();
+
+      setTimeout(() => setDealingCards(false), 500);
+    };
+
+    // The daily deal's number is its date, so everyone gets the same one. Winnable 4-suit
+    // deals come from the solver as a fixed card order; it can take a few seconds.
+    if (daily) {
+      const day = chosen?.number || dayKey();
+      const archive = day !== dayKey();
+      setDailySeed(day);
+      setDailyArchive(archive);
+      markDailyPlayed(spiderChallenge(suits), day, archive);
+      setFindingDeal(false);
+      dealDeck({ number: day });
+    } else if (chosen) {
+      setDailySeed(null);
+      setDailyArchive(false);
+      setFindingDeal(false);
+      dealDeck(chosen);
+    } else if (suits === 4 && winnableOnly) {
+      setDailySeed(null);
+      setDailyArchive(false);
+      setFindingDeal(true);
+      // Keep looking until the solver proves a deal winnable. If the search is stopped
+      // (or the worker fails) the player gets an unchecked deal and is told so.
+      const search = () => findWinnableSpiderDeal(suits).then(found => {
+        if (found) dealDeck({ deck: encodeDeck(found.deck) });
+        else if (dealRequest === dealRequestRef.current) return search();
+      });
+      search()
+        .catch(() => {
+          if (dealRequest !== dealRequestRef.current) return;
+          setUnverifiedDeal(true);
+          dealDeck({ number: randomDealNumber() });
+        })
+        .finally(() => {
+          if (dealRequest === dealRequestRef.current) setFindingDeal(false);
+        });
+    } else {
+      setDailySeed(null);
+      setDailyArchive(false);
+      setFindingDeal(false);
+      dealDeck({ number: randomDealNumber() });
+    }
+  }, [suitCount, winnableOnly, dealLost, gameLogEntry, gameId, saveGameState, countNewGame, hasSeenDailyExplanation]);
+
+  const exportGame = () => {
+    if (!deal) return;
+    downloadNotation({
+      variant: 'spider',
+      options: { suitCount: game.suitCount },
+      deal,
+      moves: history,
+      result: { won: gameWon, moves, time: timer }
     });
+  };
 
-    setTimeout(() => setDealingCards(false), 500);
-  }, [suitCount]);
+  // Carry on an imported game from its last position. It counts as a new game started.
+  const loadRecording = (recording) => {
+    const states = recordingStates(recording);
+    dealRequestRef.current++;
+    cancelSolves();
+
+    setSuitCount(recording.options.suitCount);
+    setItem('spider_suitCount', recording.options.suitCount);
+    setGameId(Date.now());
+    setGame(states[states.length - 1]);
+    setDeal(recording.deal);
+    setIsDailyChallenge(false);
+    setDailySeed(null);
+    setDailyArchive(false);
+    setLinkSender(null);
+    setHistory(recording.moves);
+    setFuture([]);
+    setMoves(recording.result.moves);
+    setTimer(recording.result.time);
+    setSelectedCard(null);
+    setHint(null);
+    setHintPending(false);
+    setLastClickInfo(null);
+    setFindingDeal(false);
+    setUnverifiedDeal(false);
+    setDealingCards(false);
+    setGameWon(false);
+    setIsPlaying(true);
+    countNewGame();
+  };
+
+  // Import a game from a notation file: won games open in the replay viewer,
+  // unfinished ones are dealt out to carry on playing
+  const importGame = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      let recording;
+      try {
+        recording = parseNotation(event.target?.result);
+      } catch (err) {
+        alert(`Failed to import game: ${err.message}`);
+        return;
+      }
+      if (recording.variant !== 'spider') {
+        alert('That is a Klondike game - switch to Klondike to import it.');
+        return;
+      }
+      setShowSettings(false);
+      if (recording.result.won) setViewingReplay(recording);
+      else loadRecording(recording);
+    };
+    reader.readAsText(file);
+  };
+
+  useEffect(() => {
+    setItem('spider_winnableOnly', winnableOnly);
+  }, [winnableOnly]);
+
+  // Deal a game from a deal link, with the sender's suit count. The game being left keeps
+  // its save slot.
+  const playSharedDeal = (link) => {
+    setSuitCount(link.options.suitCount);
+    setItem('spider_suitCount', link.options.suitCount);
+    initGame(link.options.suitCount, false, link.deal);
+    setLinkSender({ from: link.from, result: link.result });
+  };
+
+  // The first game: a shared deal, else the saved game, else a new one. An effect event,
+  // so the mount effect sees the current callbacks without re-running when they change.
+  const startFirstGame = useEffectEvent(() => {
+    if (sharedDeal) {
+      playSharedDeal(sharedDeal);
+      return;
+    }
+    const slot = loadCurrentSlot('spider');
+    const resumed = slot && resumeSlot(slot);
+    if (!resumed) {
+      initGame();
+    }
+  });
 
   useEffect(() => {
-    initGame();
+    startFirstGame();
   }, []);
 
   // Check for win
   useEffect(() => {
-    if (completedSuits === 8 && !gameWon) {
+    if (isWon(game) && !gameWon) {
       setGameWon(true);
+      deleteSlot('spider', gameId);
+      logGame({ ...gameLogEntry(), result: 'won' });
+      lastGameWonRef.current = true;
+      // The day's result goes into the calendar; only live wins extend the daily streak
+      if (isDailyChallenge && dailySeed) {
+        setDailyStreakCount(dailyStreak(recordDailyWin(spiderChallenge(game.suitCount), dailySeed, dailyArchive, { time: timer, moves })));
+      }
+      const board = boardFor({ variant: 'spider', options: { suitCount: game.suitCount }, deal, daily: isDailyChallenge && !dailyArchive });
+      if (board) {
+        submitResult({ board, player: activeProfileName(), time: timer, moves, score: null })
+          .catch(err => console.warn('Failed to submit leaderboard result:', err));
+      }
+      const streak = (stats.streaks?.[game.suitCount] || 0) + 1;
       setStats(prev => {
         const newStats = {
           ...prev,
           gamesWon: prev.gamesWon + 1,
           bestMoves: prev.bestMoves === null ? moves : Math.min(prev.bestMoves, moves),
           bestTime: prev.bestTime === null ? timer : Math.min(prev.bestTime, timer),
+          streaks: { ...prev.streaks, [game.suitCount]: streak }
         };
-        localStorage.setItem('spider_stats', JSON.stringify(newStats));
+        setItem('spider_stats', newStats);
         return newStats;
       });
-    }
-  }, [completedSuits, gameWon, moves, timer]);
-
-  // Execute a move (shared by manual moves and auto-move)
-  const executeMove = useCallback((sourcePileIndex, sourceCardIndex, targetPileIndex, cardsToMove) => {
-    saveToHistory();
-    clearHint();
-
-    const newTableau = [...tableau];
-    // Remove cards from source
-    newTableau[sourcePileIndex] = tableau[sourcePileIndex].slice(0, sourceCardIndex);
-    // Flip top card if needed
-    if (newTableau[sourcePileIndex].length > 0) {
-      const topCard = newTableau[sourcePileIndex][newTableau[sourcePileIndex].length - 1];
-      if (!topCard.faceUp) {
-        newTableau[sourcePileIndex][newTableau[sourcePileIndex].length - 1] = { ...topCard, faceUp: true };
-      }
-    }
-    // Add cards to target
-    newTableau[targetPileIndex] = [...tableau[targetPileIndex], ...cardsToMove];
-
-    // Check for completed suit
-    const completedCount = checkForCompletedSuit(newTableau[targetPileIndex]);
-    if (completedCount) {
-      newTableau[targetPileIndex] = newTableau[targetPileIndex].slice(0, -completedCount);
-      // Flip new top card if needed
-      if (newTableau[targetPileIndex].length > 0) {
-        const newTop = newTableau[targetPileIndex][newTableau[targetPileIndex].length - 1];
-        if (!newTop.faceUp) {
-          newTableau[targetPileIndex][newTableau[targetPileIndex].length - 1] = { ...newTop, faceUp: true };
-        }
-      }
-      setCompletedSuits(prev => prev + 1);
-      if (soundEnabled) playCompleteSound();
-    } else {
-      if (soundEnabled) playCardSound();
-    }
-
-    setTableau(newTableau);
-    setMoves(m => m + 1);
-    setSelectedCard(null);
-  }, [tableau, saveToHistory, clearHint, checkForCompletedSuit, soundEnabled]);
-
-  // Find best target for auto-move
-  const findBestTarget = useCallback((sourcePileIndex, cardIndex, cardsToMove) => {
-    let bestTarget = null;
-    let bestScore = -1;
-
-    for (let targetPileIndex = 0; targetPileIndex < tableau.length; targetPileIndex++) {
-      if (targetPileIndex === sourcePileIndex) continue;
-
-      const targetPile = tableau[targetPileIndex];
-      if (canMoveToTableau(cardsToMove, targetPile)) {
-        let score = 0;
-
-        // Prefer non-empty piles over empty piles
-        if (targetPile.length > 0) {
-          score += 100;
-
-          // Prefer longer same-suit chains
-          const topCard = targetPile[targetPile.length - 1];
-          if (topCard.suit === cardsToMove[0].suit) {
-            score += 200 + getChainLength(targetPile);
-          }
-        }
-
-        if (score > bestScore) {
-          bestScore = score;
-          bestTarget = targetPileIndex;
-        }
+      recordAchievements({
+        variant: 'spider', type: 'win', moves, time: timer, streak,
+        stats: { gamesPlayed: stats.gamesPlayed, gamesWon: stats.gamesWon + 1 },
+        suitCount: game.suitCount, undoUsed: undoUsedRef.current
+      });
+      if (deal) {
+        setPastWins(saveReplay({
+          variant: 'spider',
+          options: { suitCount: game.suitCount },
+          deal,
+          moves: history,
+          result: { won: true, moves, time: timer },
+          date: Date.now()
+        }));
       }
     }
-
-    return bestTarget;
-  }, [tableau, getChainLength]);
+  }, [game, gameWon, moves, timer, deal, history, gameId, gameLogEntry, stats, recordAchievements, isDailyChallenge, dailySeed, dailyArchive]);
 
   const handleCardClick = (pileIndex, cardIndex) => {
     if (dealingCards || gameWon) return;
@@ -582,9 +897,9 @@ const SpiderSolitaire = ({ onSwitchGame }) => {
     if (isDoubleClick) {
       // Double-click: auto-move to best target
       setLastClickInfo(null);
-      const bestTarget = findBestTarget(pileIndex, cardIndex, cardsToMove);
+      const bestTarget = findBestTarget(game, pileIndex, cardIndex);
       if (bestTarget !== null) {
-        executeMove(pileIndex, cardIndex, bestTarget, cardsToMove);
+        commitMove({ type: 'move', pileIndex, cardIndex, targetIndex: bestTarget });
       }
       return;
     }
@@ -601,98 +916,116 @@ const SpiderSolitaire = ({ onSwitchGame }) => {
       setSelectedCard(null);
     } else {
       // Try to move
-      if (canMoveToTableau(selectedCard.cards, pile)) {
-        executeMove(selectedCard.pileIndex, selectedCard.cardIndex, pileIndex, selectedCard.cards);
-      } else {
+      if (!commitMove({ type: 'move', pileIndex: selectedCard.pileIndex, cardIndex: selectedCard.cardIndex, targetIndex: pileIndex })) {
         setSelectedCard(null);
       }
     }
   };
 
+  // Start dragging a run with mouse, touch or pen
+  const handleDragStart = (e, pileIndex, cardIndex) => {
+    if (dealingCards || gameWon) return;
+    const origin = { pileIndex, cardIndex };
+    startDrag(e, origin, getMovingCards(game, origin));
+  };
+
+  // Every legal target pile lights up, the one under the pointer more so
+  const getDropClass = (targetIndex) => {
+    if (!drag || drag.returning) return '';
+    if (!isLegalMove(game, { type: 'move', ...drag.origin, targetIndex })) return '';
+    return drag.over?.targetIndex === targetIndex ? 'drop-legal drop-hover' : 'drop-legal';
+  };
+
   const handleEmptyPileClick = (pileIndex) => {
     if (!selectedCard || dealingCards || gameWon) return;
+    commitMove({ type: 'move', pileIndex: selectedCard.pileIndex, cardIndex: selectedCard.cardIndex, targetIndex: pileIndex });
+  };
 
-    saveToHistory();
-    clearHint();
-
-    const newTableau = [...tableau];
-    newTableau[selectedCard.pileIndex] = tableau[selectedCard.pileIndex].slice(0, selectedCard.cardIndex);
-    // Flip top card if needed
-    if (newTableau[selectedCard.pileIndex].length > 0) {
-      const topCard = newTableau[selectedCard.pileIndex][newTableau[selectedCard.pileIndex].length - 1];
-      if (!topCard.faceUp) {
-        newTableau[selectedCard.pileIndex][newTableau[selectedCard.pileIndex].length - 1] = { ...topCard, faceUp: true };
-      }
-    }
-    newTableau[pileIndex] = [...selectedCard.cards];
+  const handleStockClick = () => {
+    if (dealingCards || gameWon) return;
+    // Can't deal while any pile is empty
+    commitMove({ type: 'deal' });
+  };
 
-    setTableau(newTableau);
-    setMoves(m => m + 1);
+  // Nothing to undo mid-deal, and a won game is already counted
+  const handleUndo = () => {
+    if (history.length === 0 || dealingCards || gameWon) return;
+    const lastRecord = history[history.length - 1];
+    setGame(prev => undoMove(prev, lastRecord));
+    setHistory(prev => prev.slice(0, -1));
+    setFuture(prev => [...prev, lastRecord]);
+    clearHint();
     setSelectedCard(null);
-    if (soundEnabled) playCardSound();
+    undoUsedRef.current = true;
+    // The move count follows the moves on the board: undo takes the move back off the
+    // count and redo puts it back, so undo then redo changes nothing
+    setMoves(m => m - 1);
+    announce('Move undone');
   };
 
-  const handleStockClick = () => {
-    if (stock.length === 0 || dealingCards || gameWon) return;
+  const handleRedo = () => {
+    if (future.length === 0 || dealingCards || gameWon) return;
+    const move = recordToMove(future[future.length - 1]);
+    const result = executeMove(game, move);
+    if (!result) return;
+    setGame(result.state);
+    setHistory(prev => [...prev, result.record]);
+    setFuture(prev => prev.slice(0, -1));
+    clearHint();
+    setSelectedCard(null);
+    setMoves(m => m + 1);
+    announce(`Redo: ${announceMove(game, result.state, move, result.record)}`);
+  };
 
-    // Check if there are any empty piles - can't deal if there are
-    const hasEmptyPile = tableau.some(pile => pile.length === 0);
-    if (hasEmptyPile) {
-      // Show feedback that you can't deal with empty piles
+  // Enter/Space at the keyboard cursor does what a click there would
+  const selectAtCursor = () => {
+    if (cursor.area === 'stock') {
+      handleStockClick();
       return;
     }
+    const pile = tableau[cursor.index];
+    if (pile.length === 0) handleEmptyPileClick(cursor.index);
+    else handleCardClick(cursor.index, clampToFaceUp(pile, cursor.cardIndex));
+  };
 
-    saveToHistory();
-    clearHint();
-
-    const newTableau = [...tableau];
-    const newStock = [...stock];
+  const settingsRef = useFocusTrap(showSettings, () => setShowSettings(false));
+  const suitSelectorRef = useFocusTrap(showSuitSelector, () => setShowSuitSelector(false));
+  const statsRef = useFocusTrap(showStats, () => setShowStats(false));
 
-    // Deal one card to each pile
-    for (let i = 0; i < 10 && newStock.length > 0; i++) {
-      const card = { ...newStock.pop(), faceUp: true };
-      newTableau[i] = [...newTableau[i], card];
-    }
+  // This game as a deal link, for the share buttons; wins add the result
+  const playerName = getItem('solitaire_playerName', '');
+  const shareLink = { variant: 'spider', options: { suitCount: game.suitCount }, deal, from: playerName || null };
+  const currentBoard = boardFor({ variant: 'spider', options: { suitCount: game.suitCount }, deal, daily: isDailyChallenge && !dailyArchive });
 
-    // Check each pile for completed suits
-    let newCompletedSuits = completedSuits;
-    for (let i = 0; i < 10; i++) {
-      const completedCount = checkForCompletedSuit(newTableau[i]);
-      if (completedCount) {
-        newTableau[i] = newTableau[i].slice(0, -completedCount);
-        if (newTableau[i].length > 0) {
-          const newTop = newTableau[i][newTableau[i].length - 1];
-          if (!newTop.faceUp) {
-            newTableau[i][newTableau[i].length - 1] = { ...newTop, faceUp: true };
-          }
-        }
-        newCompletedSuits++;
-        if (soundEnabled) playCompleteSound();
-      }
-    }
+  const keyboardEnabled = !(
+    showSettings || showSuitSelector || gameWon || dealingCards || viewingReplay || showSavedGames || showStats || showAchievements || showCalendar || leaderboard || showPlayers
+  );
 
-    setTableau(newTableau);
-    setStock(newStock);
-    setCompletedSuits(newCompletedSuits);
-    setMoves(m => m + 1);
-    setSelectedCard(null);
-    if (soundEnabled) playCardSound();
-  };
+  const keyboardActive = useKeyboardControls(keyboardEnabled, {
+    onMove: (direction) => {
+      const next = moveCursor(cursor, direction, tableau);
+      setCursor(next);
+      announce(describeCursor(next, game));
+    },
+    onSelect: selectAtCursor,
+    onCancel: () => setSelectedCard(null),
+    onDraw: handleStockClick,
+    onUndo: handleUndo,
+    onRedo: handleRedo,
+    onHint: () => !findingDeal && handleHint(),
+    onNewGame: () => initGame()
+  });
 
-  const handleUndo = () => {
-    if (history.length === 0) return;
-    const previousState = history[history.length - 1];
-    setTableau(previousState.tableau);
-    setStock(previousState.stock);
-    setCompletedSuits(previousState.completedSuits);
-    setHistory(prev => prev.slice(0, -1));
-    setSelectedCard(null);
-    setMoves(m => m + 1);
-  };
+  // Focus ring position, only while playing from the keyboard
+  const focus = keyboardActive && keyboardEnabled ? cursor : null;
+  const isFocused = (pileIndex, cardIndex) => (
+    focus?.area === 'tableau' && focus.index === pileIndex &&
+    clampToFaceUp(tableau[pileIndex], focus.cardIndex) === cardIndex
+  );
 
   const handleSuitChange = (suits) => {
     setSuitCount(suits);
-    localStorage.setItem('spider_suitCount', suits.toString());
+    setItem('spider_suitCount', suits);
     setShowSuitSelector(false);
     initGame(suits);
   };
@@ -703,38 +1036,49 @@ const SpiderSolitaire = ({ onSwitchGame }) => {
     return '4 Suits (Hard)';
   };
 
+  const renderCardFace = (card) => (
+    <>
+      <div className="card-corner top-left">
+        <span className="card-rank">{card.rank}</span>
+        <span className="card-suit">{card.suit}</span>
+      </div>
+      <div className="card-center">{card.suit}</div>
+      <div className="card-corner bottom-right">
+        <span className="card-rank">{card.rank}</span>
+        <span className="card-suit">{card.suit}</span>
+      </div>
+    </>
+  );
+
   const renderCard = (card, pileIndex, cardIndex, isTop = false) => {
     const isSelected = selectedCard &&
       selectedCard.pileIndex === pileIndex &&
       cardIndex >= selectedCard.cardIndex;
 
     const isHintSource = hintMove &&
-      hintMove.sourcePileIndex === pileIndex &&
-      cardIndex === hintMove.sourceCardIndex;
+      hintMove.pileIndex === pileIndex &&
+      cardIndex === hintMove.cardIndex;
 
     const isHintTarget = hintMove &&
-      hintMove.targetPileIndex === pileIndex &&
+      hintMove.targetIndex === pileIndex &&
       isTop;
 
+    const isDragged = drag &&
+      drag.origin.pileIndex === pileIndex &&
+      cardIndex >= drag.origin.cardIndex;
+
     return (
       <div
         key={card.id}
-        className={`spider-card ${card.faceUp ? 'face-up' : 'face-down'} ${card.color} ${isSelected ? 'selected' : ''} ${isTop ? 'top-card' : ''} ${isHintSource ? 'hint-source' : ''} ${isHintTarget ? 'hint-target' : ''}`}
+        className={`spider-card ${card.faceUp ? 'face-up' : 'face-down'} ${card.color} ${isSelected ? 'selected' : ''} ${isTop ? 'top-card' : ''} ${isHintSource ? 'hint-source' : ''} ${isHintTarget ? 'hint-target' : ''} ${isDragged ? 'drag-origin' : ''} ${isFocused(pileIndex, cardIndex) ? 'kb-focus' : ''}`}
         style={{ '--card-index': cardIndex }}
+        role="img"
+        aria-label={`${cardLabel(card, pileIndex)}${isSelected ? ', selected' : ''}`}
         onClick={() => card.faceUp && handleCardClick(pileIndex, cardIndex)}
+        onPointerDown={card.faceUp ? (e) => handleDragStart(e, pileIndex, cardIndex) : undefined}
       >
         {card.faceUp ? (
-          <>
-            <div className="card-corner top-left">
-              <span className="card-rank">{card.rank}</span>
-              <span className="card-suit">{card.suit}</span>
-            </div>
-            <div className="card-center">{card.suit}</div>
-            <div className="card-corner bottom-right">
-              <span className="card-rank">{card.rank}</span>
-              <span className="card-suit">{card.suit}</span>
-            </div>
-          </>
+          renderCardFace(card)
         ) : (
           <div
             className="card-back"
@@ -749,13 +1093,17 @@ const SpiderSolitaire = ({ onSwitchGame }) => {
 
   return (
     <div className="spider-solitaire">
-      <canvas ref={canvasRef} className="fireworks-canvas" />
+      <canvas ref={canvasRef} className="fireworks-canvas" aria-hidden="true" />
 
       {/* Header */}
       <div className="spider-header">
         <div className="header-left">
           <h1 className="game-title">Spider</h1>
-          <span className="game-subtitle">{getSuitLabel()}</span>
+          <span className="game-subtitle">
+            {isDailyChallenge && dailySeed
+              ? `📅 ${dayFromKey(dailySeed).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} · ${suitCount} Suit${suitCount === 1 ? '' : 's'}`
+              : getSuitLabel()}
+          </span>
         </div>
         <div className="header-stats">
           <div className="stat">
@@ -782,15 +1130,15 @@ const SpiderSolitaire = ({ onSwitchGame }) => {
 
       {/* Settings Panel */}
       {showSettings && (
-        <div className="settings-panel">
-          <h3>Settings</h3>
+        <div className="settings-panel" ref={settingsRef} role="dialog" aria-modal="true" aria-labelledby="spider-settings-title" tabIndex={-1}>
+          <h3 id="spider-settings-title">Settings</h3>
           <div className="setting-row">
             <span>Sound</span>
             <button
               className={`toggle-btn ${soundEnabled ? 'active' : ''}`}
               onClick={() => {
                 setSoundEnabled(!soundEnabled);
-                localStorage.setItem('solitaire_sound', (!soundEnabled).toString());
+                setItem('solitaire_sound', !soundEnabled);
               }}
             >
               {soundEnabled ? '🔊 On' : '🔇 Off'}
@@ -805,6 +1153,75 @@ const SpiderSolitaire = ({ onSwitchGame }) => {
               {getSuitLabel()}
             </button>
           </div>
+          <div className="setting-row">
+            <span>Game File</span>
+            <div className="game-file-actions">
+              <button className="toggle-btn" onClick={exportGame} disabled={!deal}>⬇ Export</button>
+              <label className="toggle-btn">
+                ⬆ Import
+                <input type="file" accept=".txt,text/plain" onChange={importGame} style={{ display: 'none' }} />
+              </label>
+            </div>
+          </div>
+          <div className="setting-deal-number">
+            <span>Deal Number</span>
+            <DealNumberForm
+              current={deal?.number}
+              onPlay={(number) => {
+                setShowSettings(false);
+                initGame(suitCount, false, { number });
+              }}
+            />
+            <ShareDealButton className="switch-game-btn saved-games-btn" link={shareLink} />
+          </div>
+          <button
+            className="switch-game-btn saved-games-btn"
+            onClick={() => {
+              setShowSettings(false);
+              setShowSavedGames(true);
+            }}
+          >
+            📂 Saved Games
+          </button>
+          {onSwitchProfile && (
+            <button
+              className="switch-game-btn saved-games-btn"
+              onClick={() => {
+                setShowSettings(false);
+                setShowPlayers(true);
+              }}
+            >
+              👥 Players
+            </button>
+          )}
+          <button
+            className="switch-game-btn saved-games-btn"
+            onClick={() => {
+              setShowSettings(false);
+              setShowStats(true);
+            }}
+          >
+            📊 Statistics
+          </button>
+          <button
+            className="switch-game-btn saved-games-btn"
+            onClick={() => {
+              setShowSettings(false);
+              setShowCalendar(true);
+            }}
+          >
+            📆 Daily Calendar
+          </button>
+          <button
+            className="switch-game-btn saved-games-btn"
+            disabled={!currentBoard}
+            onClick={() => {
+              setShowSettings(false);
+              setLeaderboard(currentBoard);
+            }}
+          >
+            🏆 Leaderboard
+          </button>
           <hr />
           <button
             className="switch-game-btn"
@@ -812,14 +1229,84 @@ const SpiderSolitaire = ({ onSwitchGame }) => {
           >
             🃏 Switch to Klondike
           </button>
+          <hr />
+          <h3>Achievements</h3>
+          <div className="achievement-badges">
+            {ACHIEVEMENTS.map(a => (
+              <span
+                key={a.id}
+                className={`achievement-badge ${isUnlocked(achievements, a.id) ? 'unlocked' : 'locked'}`}
+                title={`${a.name}: ${a.description}${a.game === 'klondike' ? ' (Klondike)' : ''}`}
+                role="img"
+                aria-label={`${a.name}${isUnlocked(achievements, a.id) ? '' : ' (locked)'}: ${a.description}`}
+              >
+                {a.icon}
+              </span>
+            ))}
+          </div>
+          <button
+            className="switch-game-btn saved-games-btn"
+            onClick={() => {
+              setShowSettings(false);
+              setShowAchievements(true);
+            }}
+          >
+            🏅 All Achievements
+          </button>
+          <hr />
+          <h3>Past Wins</h3>
+          {pastWins.length > 0 ? (
+            <div className="past-wins">
+              {pastWins.map(win => (
+                <div key={win.date} className="past-win">
+                  <span>
+                    {new Date(win.date).toLocaleDateString()} · {win.options.suitCount} suit{win.options.suitCount === 1 ? '' : 's'} · {win.result.moves} moves
+                  </span>
+                  <button onClick={() => { setShowSettings(false); setViewingReplay(win); }}>▶ Replay</button>
+                  <button onClick={() => downloadNotation(win)} aria-label="Export this game">⬇</button>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="past-wins-empty">Win a game to watch it back here.</p>
+          )}
+        </div>
+      )}
+
+      {/* Statistics */}
+      {showStats && (
+        <div className="modal-overlay" onClick={() => setShowStats(false)}>
+          <div
+            className="stats-modal"
+            ref={statsRef}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="spider-stats-title"
+            tabIndex={-1}
+            onClick={e => e.stopPropagation()}
+          >
+            <div className="stats-modal-header">
+              <h3 id="spider-stats-title">📊 Statistics</h3>
+              <button className="stats-modal-close" onClick={() => setShowStats(false)} aria-label="Close statistics">✕</button>
+            </div>
+            <StatsDashboard variant="spider" totals={stats} />
+          </div>
         </div>
       )}
 
       {/* Suit Selector Modal */}
       {showSuitSelector && (
         <div className="modal-overlay" onClick={() => setShowSuitSelector(false)}>
-          <div className="suit-selector-modal" onClick={e => e.stopPropagation()}>
-            <h3>Select Difficulty</h3>
+          <div
+            className="suit-selector-modal"
+            ref={suitSelectorRef}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="suit-selector-title"
+            tabIndex={-1}
+            onClick={e => e.stopPropagation()}
+          >
+            <h3 id="suit-selector-title">Select Difficulty</h3>
             <p>More suits = harder game</p>
             <div className="suit-options">
               <button
@@ -847,22 +1334,39 @@ const SpiderSolitaire = ({ onSwitchGame }) => {
                 <span className="suit-difficulty">Hard</span>
               </button>
             </div>
+            <label className="winnable-toggle">
+              <input
+                type="checkbox"
+                checked={winnableOnly}
+                onChange={(e) => setWinnableOnly(e.target.checked)}
+              />
+              <span>Winnable 4-suit deals only</span>
+            </label>
           </div>
         </div>
       )}
 
       {/* Game Area */}
-      <div className="spider-game-area">
+      <div
+        className="spider-game-area"
+        role="application"
+        aria-label="Spider board. Arrow keys move the cursor, Enter or Space picks up and drops."
+        tabIndex={0}
+      >
         {/* Tableau */}
         <div className="spider-tableau">
           {tableau.map((pile, pileIndex) => (
             <div
               key={pileIndex}
-              className={`spider-pile ${pile.length === 0 ? 'empty' : ''}`}
+              className={`spider-pile ${pile.length === 0 ? 'empty' : ''} ${getDropClass(pileIndex)}`}
+              data-drop-target="tableau"
+              data-drop-index={pileIndex}
+              role="group"
+              aria-label={`Column ${pileIndex + 1}${pile.length === 0 ? ', empty' : ''}`}
               onClick={() => pile.length === 0 && handleEmptyPileClick(pileIndex)}
             >
               {pile.length === 0 ? (
-                <div className="empty-pile-slot"></div>
+                <div className={`empty-pile-slot ${isFocused(pileIndex, -1) ? 'kb-focus' : ''}`}></div>
               ) : (
                 pile.map((card, cardIndex) =>
                   renderCard(card, pileIndex, cardIndex, cardIndex === pile.length - 1)
@@ -875,8 +1379,10 @@ const SpiderSolitaire = ({ onSwitchGame }) => {
         {/* Stock */}
         <div className="spider-stock-area">
           <div
-            className={`spider-stock ${stock.length === 0 ? 'empty' : ''} ${tableau.some(p => p.length === 0) ? 'disabled' : ''}`}
+            className={`spider-stock ${stock.length === 0 ? 'empty' : ''} ${stock.length > 0 && !canDeal(game) ? 'disabled' : ''} ${hintMove?.type === 'deal' ? 'hint-deal' : ''} ${focus?.area === 'stock' ? 'kb-focus' : ''}`}
             onClick={handleStockClick}
+            role="button"
+            aria-label={stock.length > 0 ? `Stock, ${dealsLeft(stock)} deals left` : 'Stock, empty'}
             title={tableau.some(p => p.length === 0) ? "Fill all empty piles before dealing" : `${Math.ceil(stock.length / 10)} deals left`}
           >
             {stock.length > 0 ? (
@@ -901,30 +1407,111 @@ const SpiderSolitaire = ({ onSwitchGame }) => {
           </div>
 
           {/* Completed suits display */}
-          <div className="completed-suits">
-            {[...Array(completedSuits)].map((_, i) => (
-              <div key={i} className="completed-suit-icon">♠</div>
+          <div
+            className="completed-suits"
+            role="img"
+            aria-label={`${game.completed.length} of ${SUITS_TO_COMPLETE} suits completed`}
+          >
+            {game.completed.map((run, i) => (
+              <div key={i} className="completed-suit-icon">{run[0].suit}</div>
             ))}
           </div>
         </div>
       </div>
 
+      {/* Screen reader announcements */}
+      <div className="sr-only" role="status" aria-live="polite">
+        {gameWon ? `You won in ${moves} moves!` : announcement}
+      </div>
+
+      {/* Drag Layer - the run following the pointer */}
+      {drag && (
+        <div
+          className={`spider-drag-layer ${drag.returning ? 'returning' : ''}`}
+          aria-hidden="true"
+          style={{ width: `${drag.width}px`, transform: `translate(${drag.x}px, ${drag.y}px)` }}
+        >
+          {drag.cards.map((card, i) => (
+            <div key={card.id} className={`spider-card face-up ${card.color}`} style={{ '--card-index': i }}>
+              {renderCardFace(card)}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Finding Winnable Deal */}
+      {findingDeal && (
+        <div className="spider-notice">
+          🔍 Finding a winnable deal…
+          <div className="notice-actions">
+            <button className="btn btn-undo" onClick={cancelSolves}>Deal Any Game</button>
+          </div>
+        </div>
+      )}
+
+      {unverifiedDeal && !findingDeal && !gameWon && (
+        <div className="spider-notice unverified-notice" role="status">
+          <span>⚠️ This deal wasn't checked by the solver - it may not be winnable.</span>
+          <button className="notice-dismiss" onClick={() => setUnverifiedDeal(false)} aria-label="Dismiss">✕</button>
+        </div>
+      )}
+
+      {/* Lost Deal Banner */}
+      {dealLost && (
+        <div className="spider-notice lost-notice">
+          <span>🕸️ No winning line remains from here.</span>
+          <div className="notice-actions">
+            <button className="btn btn-undo" onClick={handleUndo} disabled={history.length === 0}>↶ Undo</button>
+            <button className="btn btn-new" onClick={() => initGame()}>New Game</button>
+          </div>
+        </div>
+      )}
+
+      {/* Hint Plan */}
+      {activeHint && (
+        <div className="spider-notice hint-plan">
+          {activeHint.steps.length > 0 ? (
+            <ol>
+              {activeHint.steps.map((step, i) => (
+                <li key={i} className={i === 0 ? 'current' : ''}>{step.text}</li>
+              ))}
+            </ol>
+          ) : (
+            <span>No moves left. Undo or start a new game.</span>
+          )}
+          <button className="hint-close" onClick={clearHint} title="Hide hint">✕</button>
+        </div>
+      )}
+
       {/* Controls */}
       <div className="spider-controls">
         <button
           className="btn btn-undo"
           onClick={handleUndo}
-          disabled={history.length === 0}
+          disabled={history.length === 0 || gameWon}
         >
           ↶ Undo
         </button>
+        <button
+          className="btn btn-redo"
+          onClick={handleRedo}
+          disabled={future.length === 0 || gameWon}
+        >
+          ↷ Redo
+        </button>
         <button
           className="btn btn-hint"
           onClick={handleHint}
-          disabled={gameWon}
+          disabled={gameWon || hintPending || findingDeal}
         >
           💡 Hint
         </button>
+        <button
+          className="btn btn-daily"
+          onClick={() => initGame(suitCount, true)}
+        >
+          📅 Daily
+        </button>
         <button
           className="btn btn-new"
           onClick={() => initGame()}
@@ -933,13 +1520,72 @@ const SpiderSolitaire = ({ onSwitchGame }) => {
         </button>
       </div>
 
+      {/* Replay Viewer */}
+      {viewingReplay && (
+        <ReplayViewer recording={viewingReplay} onClose={() => setViewingReplay(null)} />
+      )}
+
+      {dailyBanner && dailySeed && (
+        <DailyBanner
+          day={dailySeed}
+          archive={dailyArchive}
+          explain={dailyBanner.explain}
+          onClose={() => setDailyBanner(null)}
+        />
+      )}
+
+      {showPlayers && (
+        <PlayersDialog
+          onSwitch={(id) => {
+            setShowPlayers(false);
+            saveGameState();
+            onSwitchProfile(id);
+          }}
+          onClose={() => setShowPlayers(false)}
+        />
+      )}
+
+      {leaderboard && (
+        <Leaderboard board={leaderboard} player={activeProfileName()} onClose={() => setLeaderboard(null)} />
+      )}
+
+      {showCalendar && (
+        <DailyCalendar
+          challenge={spiderChallenge(suitCount)}
+          title={`Daily Spider · ${getSuitLabel()}`}
+          onPlay={(day) => {
+            setShowCalendar(false);
+            initGame(suitCount, true, { number: day });
+          }}
+          onClose={() => setShowCalendar(false)}
+        />
+      )}
+
+      {showAchievements && (
+        <AchievementsGallery achievements={achievements} onClose={() => setShowAchievements(false)} />
+      )}
+
+      {showSavedGames && (
+        <SavedGamesBrowser
+          current={{ variant: 'spider', id: gameId }}
+          onContinue={continueSlot}
+          onClose={() => setShowSavedGames(false)}
+        />
+      )}
+
+      <AchievementToast achievement={achievementToast} />
+
       {/* Win Modal */}
       {gameWon && (
         <div className="win-overlay">
           <div className="win-modal">
             <div className="win-stars">🎆 🏆 🎆</div>
             <h2 className="win-title">Victory!</h2>
-            <p className="win-subtitle">Spider Solitaire - {getSuitLabel()}</p>
+            <p className="win-subtitle">
+              {isDailyChallenge && dailySeed
+                ? `Daily Challenge - ${dayFromKey(dailySeed).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}${dailyArchive ? ' (archive)' : ''}`
+                : `Spider Solitaire - ${getSuitLabel()}`}
+            </p>
             <div className="win-stats">
               <div className="win-stat">
                 <span className="win-stat-label">Moves</span>
@@ -950,10 +1596,42 @@ const SpiderSolitaire = ({ onSwitchGame }) => {
                 <span className="win-stat-value">{formatTime(timer)}</span>
               </div>
             </div>
+            {streak > 1 && (
+              <div className="win-streak-display">
+                {'🔥'.repeat(Math.min(streak, 5))} {streak} Win Streak!
+              </div>
+            )}
+            {isDailyChallenge && !dailyArchive && dailyStreakCount > 1 && (
+              <div className="win-streak-display">
+                📅 {dailyStreakCount} Day Streak!
+              </div>
+            )}
+            {linkSender && <DealComparison shared={linkSender} result={{ moves, time: timer }} />}
             <div className="win-buttons">
               <button className="btn btn-play-again" onClick={() => initGame()}>
                 Play Again
               </button>
+              {deal && pastWins.length > 0 && (
+                <button className="btn btn-watch-replay" onClick={() => setViewingReplay(pastWins[0])}>
+                  🎬 Watch Replay
+                </button>
+              )}
+              <ShareDealButton
+                className="btn btn-share-deal"
+                link={{ ...shareLink, result: { won: true, moves, time: timer } }}
+              >
+                🔗 Challenge a Friend
+              </ShareDealButton>
+              {currentBoard && (
+                <button className="btn btn-leaderboard" onClick={() => setLeaderboard(currentBoard)}>
+                  🏆 Leaderboard
+                </button>
+              )}
+              {isDailyChallenge && (
+                <button className="btn btn-calendar" onClick={() => setShowCalendar(true)}>
+                  📆 Calendar
+                </button>
+              )}
               <button className="btn btn-switch" onClick={() => onSwitchGame('klondike')}>
                 Play Klondike
               </button>
@@ -968,6 +1646,7 @@ const SpiderSolitaire = ({ onSwitchGame }) => {
         <span>Wins: {stats.gamesWon}</span>
         <span>Win Rate: {stats.gamesPlayed > 0 ? Math.round((stats.gamesWon / stats.gamesPlayed) * 100) : 0}%</span>
         {stats.bestMoves && <span>Best: {stats.bestMoves} moves</span>}
+        {streak > 1 && <span>{'🔥'.repeat(Math.min(streak, 5))} {streak} streak</span>}
       </div>
     </div>
   );
@@ -0,0 +1,272 @@
+import { useState, useMemo } from 'react';
+import { loadGameLog } from '../storage/gameLog';
+import './StatsDashboard.css';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${(Math.round(seconds) % 60).toString().padStart(2, '0')}`;
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) : 0);
+const average = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+const MODES = {
+  klondike: [
+    { value: 'klondike-1', label: 'Draw 1' },
+    { value: 'klondike-3', label: 'Draw 3' }
+  ],
+  spider: [
+    { value: 'spider-1', label: '1 suit' },
+    { value: 'spider-2', label: '2 suits' },
+    { value: 'spider-4', label: '4 suits' }
+  ]
+};
+
+const modeOf = (entry) => (
+  entry.variant === 'spider' ? `spider-${entry.suitCount}` : `klondike-${entry.drawCount}`
+);
+
+const modeLabel = (mode) => {
+  const [variant] = mode.split('-');
+  const option = MODES[variant]?.find(m => m.value === mode);
+  return `${variant === 'spider' ? 'Spider' : 'Klondike'} · ${option ? option.label : mode}`;
+};
+
+const TYPES = {
+  all: () => true,
+  regular: (entry) => !entry.daily,
+  daily: (entry) => entry.daily,
+  vegas: (entry) => entry.vegas,
+  zen: (entry) => entry.zen
+};
+
+const matchesFilters = (entry, { variant, mode, type, days }, now) => (
+  (variant === 'all' || entry.variant === variant) &&
+  (mode === 'all' || modeOf(entry) === mode) &&
+  TYPES[type](entry) &&
+  (!days || now - entry.date < days * DAY_MS)
+);
+
+const summarize = (entries) => {
+  const wins = entries.filter(e => e.result === 'won');
+  return {
+    games: entries.length,
+    won: wins.length,
+    lost: entries.filter(e => e.result === 'lost').length,
+    abandoned: entries.filter(e => e.result === 'abandoned').length,
+    winRate: percent(wins.length, entries.length),
+    averageTime: average(wins.map(e => e.time)),
+    bestTime: wins.length > 0 ? Math.min(...wins.map(e => e.time)) : null,
+    averageMoves: average(wins.map(e => e.moves))
+  };
+};
+
+// Win rate per day for short periods, per week otherwise (the last 12 weeks)
+const winRateOverTime = (entries, days, now) => {
+  const bucketMs = days && days <= 30 ? DAY_MS : 7 * DAY_MS;
+  const count = days && days <= 30 ? days : 12;
+  const buckets = Array.from({ length: count }, (_, i) => {
+    const end = now - (count - 1 - i) * bucketMs;
+    return { start: end - bucketMs, end, games: 0, won: 0 };
+  });
+  entries.forEach(entry => {
+    const bucket = buckets.find(b => entry.date > b.start && entry.date <= b.end);
+    if (!bucket) return;
+    bucket.games++;
+    if (entry.result === 'won') bucket.won++;
+  });
+  return buckets.map(b => ({
+    ...b,
+    label: new Date(b.end).toLocaleDateString([], { month: 'short', day: 'numeric' })
+  }));
+};
+
+// Games and wins in 3-hour blocks of the day, by local time
+const timeOfDay = (entries) => {
+  const blocks = Array.from({ length: 8 }, (_, i) => ({ from: i * 3, games: 0, won: 0 }));
+  entries.forEach(entry => {
+    const block = blocks[Math.floor(new Date(entry.date).getHours() / 3)];
+    block.games++;
+    if (entry.result === 'won') block.won++;
+  });
+  return blocks;
+};
+
+const byMode = (entries) => {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const mode = modeOf(entry);
+    groups.set(mode, [...(groups.get(mode) || []), entry]);
+  });
+  return [...groups.entries()].map(([mode, group]) => ({ mode, ...summarize(group) }));
+};
+
+// Filterable statistics from the game log. `variant` picks the game shown first;
+// `totals` are the all-time counters the game kept before the log existed.
+const StatsDashboard = ({ variant = 'all', totals }) => {
+  const [log] = useState(loadGameLog);
+  const [now] = useState(() => Date.now());
+  const [filters, setFilters] = useState({ variant, mode: 'all', type: 'all', days: null });
+
+  const setFilter = (name, value) => {
+    setFilters(prev => ({
+      ...prev,
+      [name]: value,
+      // A mode only makes sense within its own game
+      ...(name === 'variant' ? { mode: 'all' } : {})
+    }));
+  };
+
+  const entries = useMemo(() => log.filter(e => matchesFilters(e, filters, now)), [log, filters, now]);
+  const summary = summarize(entries);
+  const trend = winRateOverTime(entries, filters.days, now);
+  const hours = timeOfDay(entries);
+  const modes = byMode(entries);
+  const busiestBlock = Math.max(1, ...hours.map(h => h.games));
+
+  return (
+    <div className="dashboard">
+      <div className="dashboard-filters">
+        <label>
+          <span>Game</span>
+          <select value={filters.variant} onChange={(e) => setFilter('variant', e.target.value)}>
+            <option value="all">All games</option>
+            <option value="klondike">Klondike</option>
+            <option value="spider">Spider</option>
+          </select>
+        </label>
+        {filters.variant !== 'all' && (
+          <label>
+            <span>Mode</span>
+            <select value={filters.mode} onChange={(e) => setFilter('mode', e.target.value)}>
+              <option value="all">All modes</option>
+              {MODES[filters.variant].map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+            </select>
+          </label>
+        )}
+        <label>
+          <span>Type</span>
+          <select value={filters.type} onChange={(e) => setFilter('type', e.target.value)}>
+            <option value="all">All</option>
+            <option value="regular">Regular</option>
+            <option value="daily">Daily challenge</option>
+            <option value="vegas">Vegas</option>
+            <option value="zen">Zen</option>
+          </select>
+        </label>
+        <label>
+          <span>Period</span>
+          <select
+            value={filters.days || 'all'}
+            onChange={(e) => setFilter('days', e.target.value === 'all' ? null : Number(e.target.value))}
+          >
+            <option value="all">All time</option>
+            <option value="30">Last 30 days</option>
+            <option value="7">Last 7 days</option>
+          </select>
+        </label>
+      </div>
+
+      <div className="dashboard-tiles">
+        <div className="dashboard-tile">
+          <span className="dashboard-value">{summary.games}</span>
+          <span className="dashboard-label">Games</span>
+        </div>
+        <div className="dashboard-tile">
+          <span className="dashboard-value">{summary.winRate}%</span>
+          <span className="dashboard-label">Win Rate</span>
+        </div>
+        <div className="dashboard-tile">
+          <span className="dashboard-value">{summary.averageTime !== null ? formatTime(summary.averageTime) : '-'}</span>
+          <span className="dashboard-label">Avg Win Time</span>
+        </div>
+        <div className="dashboard-tile">
+          <span className="dashboard-value">{summary.bestTime !== null ? formatTime(summary.bestTime) : '-'}</span>
+          <span className="dashboard-label">Best Time</span>
+        </div>
+        <div className="dashboard-tile">
+          <span className="dashboard-value">{summary.averageMoves !== null ? Math.round(summary.averageMoves) : '-'}</span>
+          <span className="dashboard-label">Avg Win Moves</span>
+        </div>
+        <div className="dashboard-tile">
+          <span className="dashboard-value">{summary.won}/{summary.lost}/{summary.abandoned}</span>
+          <span className="dashboard-label">Won/Lost/Left</span>
+        </div>
+      </div>
+
+      {summary.games === 0 ? (
+        <p className="dashboard-empty">No finished games match these filters yet.</p>
+      ) : (
+        <>
+          <h4 className="dashboard-subtitle">Win Rate Over Time</h4>
+          <div
+            className="dashboard-chart"
+            role="img"
+            aria-label={`Win rate by ${filters.days && filters.days <= 30 ? 'day' : 'week'}: ${trend.filter(b => b.games > 0).map(b => `${b.label} ${percent(b.won, b.games)}%`).join(', ')}`}
+          >
+            {trend.map(bucket => (
+              <div
+                key={bucket.end}
+                className={`dashboard-bar ${bucket.games === 0 ? 'empty' : ''}`}
+                style={{ '--value': bucket.games > 0 ? bucket.won / bucket.games : 0 }}
+                title={bucket.games > 0 ? `${bucket.label}: ${percent(bucket.won, bucket.games)}% of ${bucket.games}` : `${bucket.label}: no games`}
+              />
+            ))}
+          </div>
+          <div className="dashboard-axis" aria-hidden="true">
+            <span>{trend[0].label}</span>
+            <span>{trend[trend.length - 1].label}</span>
+          </div>
+
+          <h4 className="dashboard-subtitle">Time of Day</h4>
+          <div
+            className="dashboard-chart"
+            role="img"
+            aria-label={`Games by time of day: ${hours.filter(h => h.games > 0).map(h => `${h.from}:00 to ${h.from + 3}:00, ${h.games} played, ${h.won} won`).join('; ')}`}
+          >
+            {hours.map(block => (
+              <div
+                key={block.from}
+                className="dashboard-bar stacked"
+                style={{ '--value': block.games / busiestBlock, '--won': block.games > 0 ? block.won / block.games : 0 }}
+                title={`${block.from}:00-${block.from + 3}:00: ${block.games} played, ${block.won} won`}
+              />
+            ))}
+          </div>
+          <div className="dashboard-axis hours" aria-hidden="true">
+            {hours.map(block => <span key={block.from}>{block.from}h</span>)}
+          </div>
+
+          <h4 className="dashboard-subtitle">By Mode</h4>
+          <table className="dashboard-modes">
+            <thead>
+              <tr>
+                <th scope="col">Mode</th>
+                <th scope="col">Games</th>
+                <th scope="col">Win %</th>
+                <th scope="col">Avg Win</th>
+              </tr>
+            </thead>
+            <tbody>
+              {modes.map(row => (
+                <tr key={row.mode}>
+                  <th scope="row">{modeLabel(row.mode)}</th>
+                  <td>{row.games}</td>
+                  <td>{row.winRate}%</td>
+                  <td>{row.averageTime !== null ? formatTime(row.averageTime) : '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      {totals && (
+        <p className="dashboard-totals">
+          All time: {totals.gamesPlayed} played · {totals.gamesWon} won
+          {totals.streak !== undefined ? ` · current streak ${totals.streak}` : ''}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default StatsDashboard;
@@ -0,0 +1,109 @@
+// Achievements for both games, in the order they're shown.
+//
+// Games report what happens as events (see useAchievements):
+//   { variant, type, moves, time, streak, stats, suitCount, undoUsed }
+//   type      'start' (a game was dealt), 'win', or 'clear' (Spider: a suit was cleared)
+//   moves     moves made so far; time in seconds
+//   streak    current win streak for the game's ruleset or suit count
+//   stats     lifetime { gamesPlayed, gamesWon } for the variant, after this event
+//
+// An achievement only sees events from its own game. It either has `when(event)` and
+// unlocks the first time that's true, or `progress(event)` and a `target`, and unlocks
+// once progress reaches the target. The best progress so far drives the progress bar.
+export const SPIDER_QUICK_SUIT_MOVES = 60;
+export const SPIDER_STREAK_TARGET = 3;
+
+// Klondike wins only count for achievements after at least 30 seconds and 20 moves
+const isRealWin = (e) => e.type === 'win' && e.time >= 30 && e.moves >= 20;
+
+const spiderStreak = (suitCount) => (e) => (e.type === 'win' && e.suitCount === suitCount ? e.streak : 0);
+
+export const ACHIEVEMENTS = [
+  // Klondike
+  {
+    id: 'firstWin', game: 'klondike', name: 'First Victory', icon: '🏆',
+    description: 'Win your very first game of Solitaire Plus!',
+    when: isRealWin
+  },
+  {
+    id: 'speedDemon', game: 'klondike', name: 'Speed Demon', icon: '⚡',
+    description: 'Win a game in under 3 minutes. Fast fingers!',
+    when: (e) => isRealWin(e) && e.time < 180
+  },
+  {
+    id: 'perfectGame', game: 'klondike', name: 'Perfect Game', icon: '💎',
+    description: 'Win with fewer than 100 moves. Pure efficiency!',
+    when: (e) => isRealWin(e) && e.moves < 100
+  },
+  {
+    id: 'centurion', game: 'klondike', name: 'Centurion', icon: '💯',
+    description: "Play 100 games. You're dedicated!",
+    target: 100, progress: (e) => e.stats.gamesPlayed
+  },
+  {
+    id: 'streakMaster', game: 'klondike', name: 'Streak Master', icon: '🔥',
+    description: 'Win 5 games in a row. On fire!',
+    target: 5, progress: (e) => (isRealWin(e) ? e.streak : 0)
+  },
+  {
+    id: 'veteran', game: 'klondike', name: 'Veteran', icon: '⭐',
+    description: 'Play 500 games. A true solitaire fan!',
+    target: 500, progress: (e) => e.stats.gamesPlayed
+  },
+  {
+    id: 'marathoner', game: 'klondike', name: 'Marathoner', icon: '🏃',
+    description: 'Win 50 games total. Persistent winner!',
+    target: 50, progress: (e) => e.stats.gamesWon
+  },
+  {
+    id: 'grandmaster', game: 'klondike', name: 'Grandmaster', icon: '👑',
+    description: 'Win 100 games. The ultimate achievement!',
+    target: 100, progress: (e) => e.stats.gamesWon
+  },
+
+  // Spider
+  {
+    id: 'spiderFirstWin', game: 'spider', name: 'Web Spinner', icon: '🕸️',
+    description: 'Win your first game of Spider.',
+    when: (e) => e.type === 'win'
+  },
+  {
+    id: 'spiderFourSuits', game: 'spider', name: 'Arachnid Master', icon: '🕷️',
+    description: 'Win a 4-suit game of Spider. The real thing!',
+    when: (e) => e.type === 'win' && e.suitCount === 4
+  },
+  {
+    id: 'spiderNoUndo', game: 'spider', name: 'No Going Back', icon: '🎯',
+    description: 'Win a game of Spider without using undo.',
+    when: (e) => e.type === 'win' && !e.undoUsed
+  },
+  {
+    id: 'spiderQuickSuit', game: 'spider', name: 'Quick Run', icon: '🏁',
+    description: `Clear a suit within the first ${SPIDER_QUICK_SUIT_MOVES} moves of a Spider game.`,
+    when: (e) => e.type === 'clear' && e.moves <= SPIDER_QUICK_SUIT_MOVES
+  },
+  {
+    id: 'spiderStreak1', game: 'spider', name: 'Steady Thread', icon: '🧵',
+    description: `Win ${SPIDER_STREAK_TARGET} 1-suit Spider games in a row.`,
+    target: SPIDER_STREAK_TARGET, progress: spiderStreak(1)
+  },
+  {
+    id: 'spiderStreak2', game: 'spider', name: 'Double Weave', icon: '🪢',
+    description: `Win ${SPIDER_STREAK_TARGET} 2-suit Spider games in a row.`,
+    target: SPIDER_STREAK_TARGET, progress: spiderStreak(2)
+  },
+  {
+    id: 'spiderStreak4', game: 'spider', name: 'Silk Crown', icon: '🌀',
+    description: `Win ${SPIDER_STREAK_TARGET} 4-suit Spider games in a row.`,
+    target: SPIDER_STREAK_TARGET, progress: spiderStreak(4)
+  }
+];
+
+export const getAchievementById = (id) => ACHIEVEMENTS.find(a => a.id === id);
+
+// How far an event takes an achievement, out of its target (1 for `when` achievements)
+export const achievementProgress = (achievement, event) => (
+  achievement.progress ? achievement.progress(event) : (achievement.when(event) ? 1 : 0)
+);
+
+export const achievementTarget = (achievement) => achievement.target || 1;
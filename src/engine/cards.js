@@ -0,0 +1,66 @@
+// Card primitives shared by every game variant
+
+export const SUITS = ['♠', '♥', '♦', '♣'];
+export const SUIT_COLORS = { '♠': 'black', '♣': 'black', '♥': 'red', '♦': 'red' };
+export const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+
+export const createCard = (suit, rank, id = `${suit}-${rank}`) => ({
+  suit,
+  rank,
+  value: RANKS.indexOf(rank) + 1,
+  color: SUIT_COLORS[suit],
+  id
+});
+
+// Standard 52-card deck
+export const createDeck = () => {
+  const deck = [];
+  for (const suit of SUITS) {
+    for (const rank of RANKS) {
+      deck.push(createCard(suit, rank));
+    }
+  }
+  return deck;
+};
+
+export const shuffleDeck = (deck) => {
+  const shuffled = [...deck];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// The shuffle behind the old { seed } deals, from before deal numbers (see random.js).
+// Kept so games recorded back then still replay.
+export const shuffleDeckWithSeed = (deck, seed) => {
+  const shuffled = [...deck];
+  let currentSeed = seed;
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    currentSeed = (currentSeed * 9301 + 49297) % 233280;
+    const j = Math.floor((currentSeed / 233280) * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Return a copy of the pile with its top card turned face up
+export const flipTopCard = (pile) => {
+  if (pile.length === 0) return pile;
+  const top = pile[pile.length - 1];
+  if (top.faceUp) return pile;
+  return [...pile.slice(0, -1), { ...top, faceUp: true }];
+};
+
+// Turn the top card back face down (undoing a flipTopCard)
+export const unflipTopCard = (pile) => {
+  const top = pile[pile.length - 1];
+  return [...pile.slice(0, -1), { ...top, faceUp: false }];
+};
+
+const RANK_NAMES = { A: 'ace', J: 'jack', Q: 'queen', K: 'king' };
+export const SUIT_NAMES = { '♠': 'spades', '♥': 'hearts', '♦': 'diamonds', '♣': 'clubs' };
+
+// Spoken name of a card, e.g. "7 of hearts"
+export const cardName = (card) => `${RANK_NAMES[card.rank] || card.rank} of ${SUIT_NAMES[card.suit]}`;
@@ -0,0 +1,85 @@
+// Deal links - a URL that deals the exact same game for whoever opens it, along with
+// the sender's result to compare against once they finish:
+//
+//   ?game=klondike&draw=3&vegas=1&deal=3141592653&from=Sam&moves=112&time=431
+//
+//   game         klondike | spider
+//   draw, vegas  Klondike rules: draw 1 or 3, vegas=1 for Vegas scoring
+//   suits        Spider suit count: 1, 2 or 4
+//   deal         the deal number, or
+//   deck         a fixed card order instead, as card codes joined by "." (e.g. "10H.AS.KD"),
+//                or seed for a deal from before deal numbers
+//   from         the sender's name (optional)
+//   moves, time  the sender's result (seconds), only if they won
+import { createDeck } from './cards';
+import { createSpiderDeck } from './spider';
+import { parseDealNumber } from './random';
+import { deckForDeal } from './replay';
+import { toAscii, fromAscii } from './notation';
+
+export const dealLink = (baseUrl, { variant, options, deal, from, result }) => {
+  const params = new URLSearchParams({ game: variant });
+  if (variant === 'spider') {
+    params.set('suits', options.suitCount);
+  } else {
+    params.set('draw', options.drawCount);
+    if (options.vegas) params.set('vegas', 1);
+  }
+  if (deal.number !== undefined) params.set('deal', deal.number);
+  else if (deal.deck) params.set('deck', deal.deck.map(toAscii).join('.'));
+  else params.set('seed', deal.seed);
+  if (from) params.set('from', from);
+  if (result?.won) {
+    params.set('moves', result.moves);
+    params.set('time', result.time);
+  }
+  return `${baseUrl}?${params}`;
+};
+
+const parseChoice = (value, choices) => choices.find(choice => String(choice) === value) ?? null;
+
+const parseCount = (value) => (/^\d+$/.test(value ?? '') ? Number(value) : null);
+
+const parseDeal = (params) => {
+  if (params.has('deal')) {
+    const number = parseDealNumber(params.get('deal'));
+    return number === null ? null : { number };
+  }
+  if (params.has('deck')) return { deck: params.get('deck').split('.').map(fromAscii) };
+  const seed = parseCount(params.get('seed'));
+  return seed === null ? null : { seed };
+};
+
+// A deal link's { variant, options, deal, from, result } (result is { moves, time }, or
+// null if the sender didn't win), or null if the query string isn't a usable deal link
+export const parseDealLink = (search) => {
+  const params = new URLSearchParams(search);
+  const variant = params.get('game');
+  if (variant !== 'klondike' && variant !== 'spider') return null;
+
+  const options = variant === 'spider'
+    ? { suitCount: parseChoice(params.get('suits'), [1, 2, 4]) }
+    : { drawCount: parseChoice(params.get('draw'), [1, 3]), vegas: params.get('vegas') === '1' };
+  if (options.suitCount === null || options.drawCount === null) return null;
+
+  let deal;
+  try {
+    deal = parseDeal(params);
+    // A fixed card order has to be the variant's whole deck
+    const fullDeck = variant === 'spider' ? createSpiderDeck(options.suitCount) : createDeck();
+    if (deal?.deck && deckForDeal(variant, options, deal).length !== fullDeck.length) return null;
+  } catch {
+    return null;
+  }
+  if (!deal) return null;
+
+  const moves = parseCount(params.get('moves'));
+  const time = parseCount(params.get('time'));
+  return {
+    variant,
+    options,
+    deal,
+    from: params.get('from')?.trim().slice(0, 40) || null,
+    result: moves !== null && time !== null ? { moves, time } : null
+  };
+};
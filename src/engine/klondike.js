@@ -0,0 +1,314 @@
+// Klondike rules engine - pure functions, no React.
+//
+// A game state is { tableau, foundations, stock, waste, drawCount }. States are
+// never mutated: applyMove returns a new state and shares untouched piles with
+// the previous one, so old states can be kept around (undo, search) for free.
+//
+// Moves:
+//   { type: 'draw' }  - draw from stock, or recycle the waste when stock is empty
+//   { type: 'move', source, pileIndex, cardIndex, target, targetIndex }
+//     source: 'waste' | 'tableau' | 'foundation'   target: 'tableau' | 'foundation'
+//
+// executeMove also returns a small record of what the move changed so undoMove can
+// step back without keeping whole snapshots. Records are plain JSON, like moves.
+import { flipTopCard, unflipTopCard } from './cards';
+
+export const TABLEAU_PILES = 7;
+export const FOUNDATION_PILES = 4;
+
+// Order cards are dealt in: one row at a time, left to right, starting one column further each row
+export const DEAL_ORDER = (() => {
+  const order = [];
+  for (let row = 0; row < TABLEAU_PILES; row++) {
+    for (let col = row; col < TABLEAU_PILES; col++) {
+      order.push({ col, row, faceUp: col === row });
+    }
+  }
+  return order;
+})();
+
+export const createEmptyGame = (drawCount = 1) => ({
+  tableau: Array.from({ length: TABLEAU_PILES }, () => []),
+  foundations: Array.from({ length: FOUNDATION_PILES }, () => []),
+  stock: [],
+  waste: [],
+  drawCount
+});
+
+// Deal a (shuffled) 52-card deck into a fresh game
+export const createGame = (deck, { drawCount = 1 } = {}) => {
+  const tableau = Array.from({ length: TABLEAU_PILES }, () => []);
+  DEAL_ORDER.forEach(({ col, faceUp }, i) => {
+    tableau[col].push({ ...deck[i], faceUp });
+  });
+
+  return {
+    ...createEmptyGame(drawCount),
+    tableau,
+    stock: deck.slice(DEAL_ORDER.length).map(card => ({ ...card, faceUp: false }))
+  };
+};
+
+export const canPlaceOnTableau = (card, targetPile) => {
+  if (targetPile.length === 0) return card.rank === 'K';
+  const topCard = targetPile[targetPile.length - 1];
+  if (!topCard.faceUp) return false;
+  return card.color !== topCard.color && card.value === topCard.value - 1;
+};
+
+export const canPlaceOnFoundation = (card, foundationPile) => {
+  if (foundationPile.length === 0) return card.rank === 'A';
+  const topCard = foundationPile[foundationPile.length - 1];
+  return card.suit === topCard.suit && card.value === topCard.value + 1;
+};
+
+// Cards a move would pick up (empty when the source cannot be picked up)
+export const getMovingCards = (state, move) => {
+  if (move.source === 'waste') {
+    return state.waste.length > 0 ? [state.waste[state.waste.length - 1]] : [];
+  }
+  if (move.source === 'foundation') {
+    const pile = state.foundations[move.pileIndex];
+    return pile && pile.length > 0 ? [pile[pile.length - 1]] : [];
+  }
+  if (move.source === 'tableau') {
+    const pile = state.tableau[move.pileIndex];
+    if (!pile || !pile[move.cardIndex]?.faceUp) return [];
+    return pile.slice(move.cardIndex);
+  }
+  return [];
+};
+
+export const isLegalMove = (state, move) => {
+  if (move.type === 'draw') {
+    return state.stock.length > 0 || state.waste.length > 0;
+  }
+
+  const cards = getMovingCards(state, move);
+  if (cards.length === 0) return false;
+
+  if (move.target === 'foundation') {
+    if (move.source === 'foundation') return false;
+    const pile = state.foundations[move.targetIndex];
+    return !!pile && cards.length === 1 && canPlaceOnFoundation(cards[0], pile);
+  }
+  if (move.target === 'tableau') {
+    if (move.source === 'tableau' && move.pileIndex === move.targetIndex) return false;
+    const pile = state.tableau[move.targetIndex];
+    return !!pile && canPlaceOnTableau(cards[0], pile);
+  }
+  return false;
+};
+
+const draw = (state) => {
+  if (state.stock.length === 0) {
+    if (state.waste.length === 0) return state;
+    return {
+      ...state,
+      stock: state.waste.map(card => ({ ...card, faceUp: false })).reverse(),
+      waste: []
+    };
+  }
+
+  const cardsToDraw = Math.min(state.drawCount, state.stock.length);
+  const drawnCards = state.stock.slice(-cardsToDraw).map(card => ({ ...card, faceUp: true }));
+  return {
+    ...state,
+    stock: state.stock.slice(0, -cardsToDraw),
+    waste: [...state.waste, ...drawnCards]
+  };
+};
+
+// Apply a move and return the next state. Illegal moves return `state` unchanged.
+export const applyMove = (state, move) => {
+  if (!isLegalMove(state, move)) return state;
+  if (move.type === 'draw') return draw(state);
+
+  const cards = getMovingCards(state, move);
+  const next = { ...state };
+
+  if (move.source === 'waste') {
+    next.waste = state.waste.slice(0, -1);
+  } else if (move.source === 'foundation') {
+    next.foundations = [...state.foundations];
+    next.foundations[move.pileIndex] = state.foundations[move.pileIndex].slice(0, -1);
+  } else {
+    next.tableau = [...state.tableau];
+    next.tableau[move.pileIndex] = flipTopCard(state.tableau[move.pileIndex].slice(0, move.cardIndex));
+  }
+
+  if (move.target === 'foundation') {
+    next.foundations = next.foundations === state.foundations ? [...state.foundations] : next.foundations;
+    next.foundations[move.targetIndex] = [...state.foundations[move.targetIndex], ...cards];
+  } else {
+    next.tableau = next.tableau === state.tableau ? [...state.tableau] : next.tableau;
+    next.tableau[move.targetIndex] = [...state.tableau[move.targetIndex], ...cards];
+  }
+
+  return next;
+};
+
+// Apply a move, returning { state, record }, or null if the move is illegal.
+// Records: { type: 'draw', count } (count 0 when the waste was turned over), or the
+// move's own fields plus { count, flipped } for card moves.
+export const executeMove = (state, move) => {
+  const next = applyMove(state, move);
+  if (next === state) return null;
+
+  if (move.type === 'draw') {
+    const count = state.stock.length > 0 ? next.waste.length - state.waste.length : 0;
+    return { state: next, record: { type: 'draw', count } };
+  }
+
+  const { source, pileIndex, cardIndex, target, targetIndex } = move;
+  const below = source === 'tableau' ? state.tableau[pileIndex][cardIndex - 1] : null;
+  return {
+    state: next,
+    record: {
+      type: 'move',
+      source,
+      pileIndex,
+      cardIndex,
+      target,
+      targetIndex,
+      count: getMovingCards(state, move).length,
+      flipped: !!below && !below.faceUp
+    }
+  };
+};
+
+// Step back over a move using the record executeMove returned for it
+export const undoMove = (state, record) => {
+  if (record.type === 'draw') {
+    if (record.count === 0) {
+      return { ...state, stock: [], waste: state.stock.map(card => ({ ...card, faceUp: true })).reverse() };
+    }
+    return {
+      ...state,
+      stock: [...state.stock, ...state.waste.slice(-record.count).map(card => ({ ...card, faceUp: false }))],
+      waste: state.waste.slice(0, -record.count)
+    };
+  }
+
+  const { source, pileIndex, target, targetIndex, count, flipped } = record;
+  const next = { ...state, tableau: [...state.tableau], foundations: [...state.foundations] };
+  const targetPiles = target === 'foundation' ? next.foundations : next.tableau;
+  const cards = targetPiles[targetIndex].slice(-count);
+  targetPiles[targetIndex] = targetPiles[targetIndex].slice(0, -count);
+
+  if (source === 'waste') {
+    next.waste = [...state.waste, ...cards];
+  } else if (source === 'foundation') {
+    next.foundations[pileIndex] = [...next.foundations[pileIndex], ...cards];
+  } else {
+    const pile = next.tableau[pileIndex];
+    next.tableau[pileIndex] = [...(flipped ? unflipTopCard(pile) : pile), ...cards];
+  }
+  return next;
+};
+
+// The move a record was made from, for redoing it
+export const recordToMove = (record) => {
+  if (record.type === 'draw') return { type: 'draw' };
+  const { source, pileIndex, cardIndex, target, targetIndex } = record;
+  return { type: 'move', source, pileIndex, cardIndex, target, targetIndex };
+};
+
+// Play a recorded move again exactly as it was made: draws take the recorded number
+// of cards, whatever the draw mode is now
+export const replayRecord = (state, record) => {
+  if (record.type !== 'draw') return applyMove(state, recordToMove(record));
+  const next = applyMove({ ...state, drawCount: record.count || state.drawCount }, { type: 'draw' });
+  return { ...next, drawCount: state.drawCount };
+};
+
+// Every legal move, most useful first: waste, tableau-to-foundation, tableau-to-tableau,
+// foundation-to-tableau, then drawing.
+export const legalMoves = (state) => {
+  const result = [];
+  const add = (move) => {
+    if (isLegalMove(state, move)) result.push(move);
+  };
+
+  if (state.waste.length > 0) {
+    const cardIndex = state.waste.length - 1;
+    for (let i = 0; i < FOUNDATION_PILES; i++) {
+      add({ type: 'move', source: 'waste', pileIndex: null, cardIndex, target: 'foundation', targetIndex: i });
+    }
+    for (let i = 0; i < TABLEAU_PILES; i++) {
+      add({ type: 'move', source: 'waste', pileIndex: null, cardIndex, target: 'tableau', targetIndex: i });
+    }
+  }
+
+  state.tableau.forEach((pile, pileIndex) => {
+    if (pile.length === 0) return;
+    for (let i = 0; i < FOUNDATION_PILES; i++) {
+      add({ type: 'move', source: 'tableau', pileIndex, cardIndex: pile.length - 1, target: 'foundation', targetIndex: i });
+    }
+    for (let cardIndex = 0; cardIndex < pile.length; cardIndex++) {
+      if (!pile[cardIndex].faceUp) continue;
+      for (let i = 0; i < TABLEAU_PILES; i++) {
+        add({ type: 'move', source: 'tableau', pileIndex, cardIndex, target: 'tableau', targetIndex: i });
+      }
+    }
+  });
+
+  state.foundations.forEach((pile, pileIndex) => {
+    if (pile.length === 0) return;
+    for (let i = 0; i < TABLEAU_PILES; i++) {
+      add({ type: 'move', source: 'foundation', pileIndex, cardIndex: pile.length - 1, target: 'tableau', targetIndex: i });
+    }
+  });
+
+  add({ type: 'draw' });
+  return result;
+};
+
+export const countFoundationCards = (state) => (
+  state.foundations.reduce((sum, pile) => sum + pile.length, 0)
+);
+
+export const isWon = (state) => countFoundationCards(state) === 52;
+
+// A king moving from the bottom of one column to an empty one changes nothing
+const isPointlessKingMove = (state, move) => (
+  move.source === 'tableau' &&
+  move.target === 'tableau' &&
+  move.cardIndex === 0 &&
+  state.tableau[move.targetIndex].length === 0
+);
+
+// First useful card move (never suggests drawing or taking cards off foundations)
+export const findHint = (state) => (
+  legalMoves(state).find(move =>
+    move.type === 'move' &&
+    move.source !== 'foundation' &&
+    !isPointlessKingMove(state, move)
+  ) || null
+);
+
+// Best destination for a double-clicked card: foundation first (single cards), then any tableau pile
+export const findAutoMove = (state, source, pileIndex, cardIndex) => {
+  const base = { type: 'move', source, pileIndex, cardIndex };
+  for (let i = 0; i < FOUNDATION_PILES; i++) {
+    const move = { ...base, target: 'foundation', targetIndex: i };
+    if (isLegalMove(state, move)) return move;
+  }
+  for (let i = 0; i < TABLEAU_PILES; i++) {
+    const move = { ...base, target: 'tableau', targetIndex: i };
+    if (isLegalMove(state, move)) return move;
+  }
+  return null;
+};
+
+// A foundation move that can't hurt: aces, or cards at most two above the lowest foundation
+export const findSafeFoundationMove = (state) => {
+  const minFoundationValue = Math.min(...state.foundations.map(f => f.length > 0 ? f[f.length - 1].value : 0));
+  const isSafe = (card) => card.rank === 'A' || card.value <= minFoundationValue + 2;
+
+  return legalMoves(state).find(move =>
+    move.type === 'move' &&
+    move.target === 'foundation' &&
+    isSafe(getMovingCards(state, move)[0])
+  ) || null;
+};
@@ -0,0 +1,329 @@
+// Klondike solver - depth-limited depth-first search over engine states.
+//
+// The solver sees every card (including face-down ones), so "solvable" means a
+// winning line exists for this deal, not that a player could find it without
+// peeking. To keep the search small it only considers moves that make progress by
+// default: whole face-up runs move together to the first column that takes them
+// (partial runs only to free a card for the foundations), and cards never come back
+// down from the foundations. "unsolvable" then only means no win exists within those
+// moves. `exhaustive: true` tries every move that could matter (kings still only go
+// to the first empty column, which loses nothing), so there "unsolvable" proves the
+// position can't be won. "unknown" means a search limit was hit first.
+import { SUITS, SUIT_COLORS } from './cards';
+import {
+  createGame, applyMove, isWon, isLegalMove, legalMoves, canPlaceOnFoundation, canPlaceOnTableau,
+  countFoundationCards, FOUNDATION_PILES, TABLEAU_PILES
+} from './klondike';
+
+export const SOLVER_DEFAULTS = {
+  maxStates: 150000,
+  maxDepth: 600,
+  exhaustive: false
+};
+
+export const HINT_DEFAULTS = {
+  maxStates: 20000,
+  lookahead: 3
+};
+
+// One character per card keeps the transposition keys short
+const cardCode = (card) => String.fromCharCode(48 + SUITS.indexOf(card.suit) * 13 + card.value);
+
+// Face-down cards never move, so a column is identified by how many it still hides
+const stateKey = (state) => {
+  let key = '';
+  for (const pile of state.tableau) {
+    for (const card of pile) key += card.faceUp ? cardCode(card) : '#';
+    key += '/';
+  }
+  for (const pile of state.foundations) key += pile.length > 0 ? cardCode(pile[pile.length - 1]) : '-';
+  key += '|';
+  for (const card of state.stock) key += cardCode(card);
+  key += '|';
+  for (const card of state.waste) key += cardCode(card);
+  return key;
+};
+
+// How far a suit has been built up (foundation piles aren't tied to a suit until an ace lands)
+const foundationHeight = (foundations, suit) => {
+  const pile = foundations.find(f => f.length > 0 && f[0].suit === suit);
+  return pile ? pile.length : 0;
+};
+
+// A foundation move that can never hurt: nothing left in play could want to sit on the card.
+// Waste cards only count in draw-1, where taking one out doesn't change later draws. When
+// cards can come back down from the foundations (exhaustive), the other suit of the card's
+// colour has to be nearly as high too, or it might need the card to build on.
+const findSafeMove = (state, exhaustive) => {
+  const isSafe = (card) => {
+    if (card.value <= 2) return true;
+    const opposite = SUITS.filter(suit => SUIT_COLORS[suit] !== card.color);
+    const sameColor = SUITS.find(suit => suit !== card.suit && SUIT_COLORS[suit] === card.color);
+    return opposite.every(suit => foundationHeight(state.foundations, suit) >= card.value - 1) &&
+      (!exhaustive || foundationHeight(state.foundations, sameColor) >= card.value - 2);
+  };
+  const toFoundation = (source, pileIndex, cardIndex, card) => {
+    if (!isSafe(card)) return null;
+    const targetIndex = state.foundations.findIndex(pile => canPlaceOnFoundation(card, pile));
+    return targetIndex >= 0 ? { type: 'move', source, pileIndex, cardIndex, target: 'foundation', targetIndex } : null;
+  };
+
+  for (let p = 0; p < TABLEAU_PILES; p++) {
+    const pile = state.tableau[p];
+    if (pile.length === 0) continue;
+    const move = toFoundation('tableau', p, pile.length - 1, pile[pile.length - 1]);
+    if (move) return move;
+  }
+  if (state.drawCount === 1 && state.waste.length > 0) {
+    return toFoundation('waste', null, state.waste.length - 1, state.waste[state.waste.length - 1]);
+  }
+  return null;
+};
+
+// Candidate moves, most promising first. Exhaustive adds every other target for a run,
+// every partial run and cards coming back down from the foundations.
+const candidateMoves = (state, exhaustive) => {
+  const { tableau, foundations, waste } = state;
+  const revealing = [];
+  const building = [];
+  const fromWaste = [];
+  const kings = [];
+  const other = [];
+  const firstEmpty = tableau.findIndex(pile => pile.length === 0);
+
+  tableau.forEach((pile, p) => {
+    if (pile.length === 0) return;
+    const first = pile.findIndex(card => card.faceUp);
+    const top = pile.length - 1;
+
+    for (let f = 0; f < FOUNDATION_PILES; f++) {
+      if (canPlaceOnFoundation(pile[top], foundations[f])) {
+        const move = { type: 'move', source: 'tableau', pileIndex: p, cardIndex: top, target: 'foundation', targetIndex: f };
+        (top === first && first > 0 ? revealing : building).push(move);
+        break;
+      }
+    }
+
+    // Whole run: reveals a card or empties the column
+    if (pile[first].rank === 'K' && first === 0) {
+      // A king already at the bottom has nowhere better to be
+    } else if (pile[first].rank === 'K') {
+      if (firstEmpty >= 0) kings.push({ type: 'move', source: 'tableau', pileIndex: p, cardIndex: first, target: 'tableau', targetIndex: firstEmpty });
+    } else {
+      for (let t = 0; t < TABLEAU_PILES; t++) {
+        if (t !== p && tableau[t].length > 0 && canPlaceOnTableau(pile[first], tableau[t])) {
+          revealing.push({ type: 'move', source: 'tableau', pileIndex: p, cardIndex: first, target: 'tableau', targetIndex: t });
+          if (!exhaustive) break;
+        }
+      }
+    }
+
+    // Part of a run, normally only to let the card underneath go up
+    for (let i = first + 1; i <= top; i++) {
+      if (!exhaustive && !foundations.some(f => canPlaceOnFoundation(pile[i - 1], f))) continue;
+      for (let t = 0; t < TABLEAU_PILES; t++) {
+        const fits = tableau[t].length === 0 ? t === firstEmpty && pile[i].rank === 'K' : canPlaceOnTableau(pile[i], tableau[t]);
+        if (t !== p && fits && (exhaustive || tableau[t].length > 0)) {
+          other.push({ type: 'move', source: 'tableau', pileIndex: p, cardIndex: i, target: 'tableau', targetIndex: t });
+          if (!exhaustive) break;
+        }
+      }
+    }
+  });
+
+  // Back down from the foundations, to give a card from the tableau or waste a place
+  if (exhaustive) {
+    foundations.forEach((pile, f) => {
+      if (pile.length === 0) return;
+      const card = pile[pile.length - 1];
+      for (let t = 0; t < TABLEAU_PILES; t++) {
+        if (tableau[t].length === 0 ? t === firstEmpty && card.rank === 'K' : canPlaceOnTableau(card, tableau[t])) {
+          other.push({ type: 'move', source: 'foundation', pileIndex: f, cardIndex: pile.length - 1, target: 'tableau', targetIndex: t });
+        }
+      }
+    });
+  }
+
+  if (waste.length > 0) {
+    const card = waste[waste.length - 1];
+    const cardIndex = waste.length - 1;
+    const f = foundations.findIndex(pile => canPlaceOnFoundation(card, pile));
+    if (f >= 0) fromWaste.push({ type: 'move', source: 'waste', pileIndex: null, cardIndex, target: 'foundation', targetIndex: f });
+    for (let t = 0; t < TABLEAU_PILES; t++) {
+      if (tableau[t].length === 0 ? t === firstEmpty && card.rank === 'K' : canPlaceOnTableau(card, tableau[t])) {
+        fromWaste.push({ type: 'move', source: 'waste', pileIndex: null, cardIndex, target: 'tableau', targetIndex: t });
+      }
+    }
+  }
+
+  // Dig into the deepest columns first
+  const hidden = (move) => tableau[move.pileIndex].findIndex(card => card.faceUp);
+  revealing.sort((a, b) => hidden(b) - hidden(a));
+  kings.sort((a, b) => hidden(b) - hidden(a));
+
+  const moves = [...revealing, ...building, ...fromWaste, ...kings, ...other];
+  if (state.stock.length > 0 || waste.length > 0) moves.push({ type: 'draw' });
+  return moves;
+};
+
+// Nothing hidden and nothing left to draw: the cards can simply be played up
+const isTriviallyWon = (state) => (
+  state.stock.length === 0 &&
+  state.waste.length === 0 &&
+  state.tableau.every(pile => pile.every(card => card.faceUp))
+);
+
+const finishGame = (state, path) => {
+  let current = state;
+  while (!isWon(current)) {
+    const p = current.tableau.findIndex(pile =>
+      pile.length > 0 && current.foundations.some(f => canPlaceOnFoundation(pile[pile.length - 1], f))
+    );
+    const card = current.tableau[p][current.tableau[p].length - 1];
+    const move = {
+      type: 'move', source: 'tableau', pileIndex: p, cardIndex: current.tableau[p].length - 1,
+      target: 'foundation', targetIndex: current.foundations.findIndex(f => canPlaceOnFoundation(card, f))
+    };
+    path.push(move);
+    current = applyMove(current, move);
+  }
+};
+
+// Solve from any position. Returns { result: 'solvable' | 'unsolvable' | 'unknown', moves, statesSearched }
+export const solveGame = (initialState, options = {}) => {
+  const { maxStates, maxDepth, exhaustive } = { ...SOLVER_DEFAULTS, ...options };
+  const visited = new Set();
+  const path = [];
+  let hitLimit = false;
+  let aborted = false;
+
+  const search = (state, depth) => {
+    if (isWon(state)) return true;
+    if (isTriviallyWon(state)) {
+      finishGame(state, path);
+      return true;
+    }
+    if (depth >= maxDepth) {
+      hitLimit = true;
+      return false;
+    }
+
+    const key = stateKey(state);
+    if (visited.has(key)) return false;
+    if (visited.size >= maxStates) {
+      hitLimit = true;
+      aborted = true;
+      return false;
+    }
+    visited.add(key);
+
+    const safe = findSafeMove(state, exhaustive);
+    const moves = safe ? [safe] : candidateMoves(state, exhaustive);
+    for (const move of moves) {
+      path.push(move);
+      if (search(applyMove(state, move), depth + 1)) return true;
+      path.pop();
+      if (aborted) return false;
+    }
+    return false;
+  };
+
+  const solved = search(initialState, 0);
+  return {
+    result: solved ? 'solvable' : hitLimit ? 'unknown' : 'unsolvable',
+    moves: solved ? path : [],
+    statesSearched: visited.size
+  };
+};
+
+// Solve a fresh deal of the given (shuffled) deck
+export const solveDeal = (deck, { drawCount = 1, ...options } = {}) => (
+  solveGame(createGame(deck, { drawCount }), options)
+);
+
+// Rough worth of a position for hints: cards home, cards uncovered, and (a little)
+// cards that have left the stock. Empty columns only count once something uses them.
+const evaluate = (state) => {
+  let score = countFoundationCards(state) * 10 - state.stock.length - state.waste.length;
+  for (const pile of state.tableau) {
+    for (const card of pile) if (!card.faceUp) score -= 5;
+  }
+  return score;
+};
+
+// Card moves worth looking at: nothing off the foundations, no king hopping between empty columns
+const cardMoves = (state) => legalMoves(state).filter(move =>
+  move.type === 'move' &&
+  move.source !== 'foundation' &&
+  !(move.source === 'tableau' && move.cardIndex === 0 && state.tableau[move.targetIndex].length === 0)
+);
+
+// Best score reachable with up to `depth` more card moves, never revisiting `seen` positions
+const lookahead = (state, depth, seen) => {
+  let best = evaluate(state);
+  if (depth === 0) return best;
+  for (const move of cardMoves(state)) {
+    const next = applyMove(state, move);
+    const key = stateKey(next);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    best = Math.max(best, lookahead(next, depth - 1, seen));
+    seen.delete(key);
+  }
+  return best;
+};
+
+// Would going through the stock turn up a card that can be played?
+const drawingHelps = (state) => {
+  if (!isLegalMove(state, { type: 'draw' })) return false;
+  const start = stateKey(state);
+  let current = state;
+  for (let i = 0; i <= state.stock.length + state.waste.length; i++) {
+    current = applyMove(current, { type: 'draw' });
+    if (stateKey(current) === start) return false;
+    if (current.waste.length === 0) continue;
+    const card = current.waste[current.waste.length - 1];
+    if (current.foundations.some(f => canPlaceOnFoundation(card, f))) return true;
+    if (current.tableau.some(pile => canPlaceOnTableau(card, pile))) return true;
+  }
+  return false;
+};
+
+// Hint for the player. Tries the solver first (its first move is part of a known win),
+// otherwise ranks card moves by a short lookahead, skipping anything that returns to a
+// position from `history`. Falls back to drawing when the stock holds a playable card.
+// Returns { move, lost }: move is null when nothing productive is left, and lost means an
+// exhaustive search proved there is no win from here.
+export const findBestHint = (state, { history = [], ...options } = {}) => {
+  const { maxStates, lookahead: depth } = { ...HINT_DEFAULTS, ...options };
+  const { result, moves } = solveGame(state, { maxStates });
+  if (result === 'solvable' && moves.length > 0) return { move: moves[0], lost: false };
+  // The quick search only skips moves; only the full one can rule a win out
+  const lost = result === 'unsolvable' && solveGame(state, { maxStates, exhaustive: true }).result === 'unsolvable';
+
+  const seen = new Set(history.map(stateKey));
+  seen.add(stateKey(state));
+  const current = evaluate(state);
+  let bestMove = null;
+  let bestScore = current;
+  let bestGain = -Infinity;
+
+  for (const move of cardMoves(state)) {
+    const next = applyMove(state, move);
+    const key = stateKey(next);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const score = lookahead(next, depth - 1, seen);
+    seen.delete(key);
+    const gain = evaluate(next) - current;
+    if (score > bestScore || (score === bestScore && bestMove && gain > bestGain)) {
+      bestMove = move;
+      bestScore = score;
+      bestGain = gain;
+    }
+  }
+
+  if (bestMove) return { move: bestMove, lost };
+  if (drawingHelps(state)) return { move: { type: 'draw' }, lost };
+  return { move: null, lost };
+};
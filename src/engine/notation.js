@@ -0,0 +1,241 @@
+// Plain-text game notation - a recording (see replay.js) written out so it can be
+// shared, archived or pasted back in. Loosely modelled on chess PGN:
+//
+//   [Game "Klondike"]
+//   [Draw "3"]
+//   [Deal "3141592653"]
+//   [Result "Won"]
+//   [Moves "112"]
+//   [Time "431"]
+//   [Date "2026-10-19"]
+//
+//   1. D3 2. T7-T4 3. W-F1 4. T2:3-T6 5. R 6. F1-T3 ...
+//
+// Tags, one per line:
+//   Game    Klondike | Spider (required)
+//   Draw    1 | 3 - Klondike draw mode (default 1)
+//   Suits   1 | 2 | 4 - Spider suit count (default 1)
+//   Deal    the deal number, or
+//   Deck    the exact card order instead, space separated: rank A 2-10 J Q K (T for 10
+//           is accepted too) and suit S H D C, e.g. "10H AS KD". Klondike deals the
+//           first 28 cards row by row into the tableau; Spider deals them pile by pile.
+//           Games from before deal numbers have a Seed tag instead.
+//   Result  Won | Unfinished, Moves (as counted in the game, where an undo takes a
+//           move back off), Time (seconds) and Date are informational
+//
+// Then the moves, oldest first. Move numbers ("12.") are optional; text after ";" on a
+// line is a comment. Piles are numbered from 1, left to right:
+//   T1..T10  tableau columns   F1..F4  Klondike foundations   W  Klondike waste
+//   D<n>     Klondike: draw n cards from the stock, n being the Draw tag's count (or
+//            fewer, when that's all the stock has left)   R  turn the waste back over
+//   D        Spider: deal a row from the stock
+//   <from>-<to>    move the top card, e.g. W-T4, T3-F2, F1-T5
+//   <from>:<n>-<to>  move the top n cards of a tableau column, e.g. T2:3-T6
+//
+// Importing plays every move through the rules engine, so a game that doesn't follow
+// the rules (or doesn't match its deal) is rejected with the number of the bad move.
+import { createDeck } from './cards';
+import * as klondike from './klondike';
+import * as spider from './spider';
+import { deckForDeal } from './replay';
+import { MAX_DEAL_NUMBER, parseDealNumber } from './random';
+
+const VARIANT_NAMES = { klondike: 'Klondike', spider: 'Spider' };
+
+const SUIT_LETTERS = { '♠': 'S', '♥': 'H', '♦': 'D', '♣': 'C' };
+const LETTER_SUITS = { S: '♠', H: '♥', D: '♦', C: '♣' };
+
+// '10♥' <-> '10H'
+export const toAscii = (code) => code.slice(0, -1) + SUIT_LETTERS[code.slice(-1)];
+export const fromAscii = (text) => {
+  const match = /^(10|T|[2-9AJQK])([SHDC♠♥♦♣])$/i.exec(text);
+  if (!match) throw new Error(`"${text}" is not a card`);
+  const rank = match[1].toUpperCase() === 'T' ? '10' : match[1].toUpperCase();
+  const suit = LETTER_SUITS[match[2].toUpperCase()] || match[2];
+  return `${rank}${suit}`;
+};
+
+const DECK_SIZES = { klondike: createDeck().length, spider: spider.createSpiderDeck(1).length };
+
+const formatDate = (ms) => new Date(ms).toISOString().split('T')[0];
+
+const PILE_LETTERS = { tableau: 'T', foundation: 'F' };
+
+const klondikeMoveText = (record) => {
+  if (record.type === 'draw') return record.count === 0 ? 'R' : `D${record.count}`;
+  const from = record.source === 'waste' ? 'W' : `${PILE_LETTERS[record.source]}${record.pileIndex + 1}`;
+  const count = record.count > 1 ? `:${record.count}` : '';
+  return `${from}${count}-${PILE_LETTERS[record.target]}${record.targetIndex + 1}`;
+};
+
+const spiderMoveText = (record) => {
+  if (record.type === 'deal') return 'D';
+  const count = record.count > 1 ? `:${record.count}` : '';
+  return `T${record.pileIndex + 1}${count}-T${record.targetIndex + 1}`;
+};
+
+const PILE_PATTERN = /^(?:(W)|([TF])(\d+))(?::(\d+))?-([TF])(\d+)$/i;
+
+// The move a token stands for in the given position, or null if it doesn't parse
+const parseCardMove = (token, state) => {
+  const match = PILE_PATTERN.exec(token);
+  if (!match) return null;
+  const [, waste, fromLetter, fromNumber, countText, toLetter, toNumber] = match;
+  const count = countText ? Number(countText) : 1;
+  const source = waste ? 'waste' : fromLetter.toUpperCase() === 'T' ? 'tableau' : 'foundation';
+  const pileIndex = waste ? null : Number(fromNumber) - 1;
+  const pile = waste ? state.waste : source === 'tableau' ? state.tableau[pileIndex] : state.foundations?.[pileIndex];
+  if (!pile || count < 1 || (count > 1 && source !== 'tableau')) return null;
+
+  return {
+    type: 'move',
+    source,
+    pileIndex,
+    cardIndex: pile.length - count,
+    target: toLetter.toUpperCase() === 'T' ? 'tableau' : 'foundation',
+    targetIndex: Number(toNumber) - 1
+  };
+};
+
+// Play one token, returning { state, record } or null if it isn't a legal move here
+const playKlondikeToken = (state, token) => {
+  const draw = /^D(\d+)$/i.exec(token);
+  if (draw || /^R$/i.test(token)) {
+    const count = draw ? Number(draw[1]) : 0;
+    if ((count === 0) !== (state.stock.length === 0)) return null;
+    // Every draw is the game's draw count, but the stock can run out partway
+    const result = klondike.executeMove(state, { type: 'draw' });
+    if (!result || result.record.count !== count) return null;
+    return result;
+  }
+  const move = parseCardMove(token, state);
+  return move && klondike.executeMove(state, move);
+};
+
+const playSpiderToken = (state, token) => {
+  if (/^D$/i.test(token)) return spider.executeMove(state, { type: 'deal' });
+  const move = parseCardMove(token, state);
+  if (!move || move.source !== 'tableau' || move.target !== 'tableau') return null;
+  return spider.executeMove(state, move);
+};
+
+const parseChoice = (text, choices, tag) => {
+  const value = Number(text);
+  if (!choices.includes(value)) throw new Error(`${tag} must be ${choices.join(' or ')}`);
+  return value;
+};
+
+const VARIANTS = {
+  klondike: {
+    moveText: klondikeMoveText,
+    playToken: playKlondikeToken,
+    createGame: klondike.createGame,
+    parseOptions: (tags) => ({ drawCount: parseChoice(tags.Draw ?? '1', [1, 3], 'Draw') })
+  },
+  spider: {
+    moveText: spiderMoveText,
+    playToken: playSpiderToken,
+    createGame: spider.createGame,
+    parseOptions: (tags) => ({ suitCount: parseChoice(tags.Suits ?? '1', [1, 2, 4], 'Suits') })
+  }
+};
+
+const LINE_LENGTH = 80;
+
+const wrapMoves = (tokens) => {
+  const lines = [];
+  let line = '';
+  tokens.forEach((token, i) => {
+    const word = `${i + 1}. ${token}`;
+    if (line && line.length + word.length + 1 > LINE_LENGTH) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+};
+
+export const toNotation = ({ variant, options, deal, moves, result, date }) => {
+  const tags = [['Game', VARIANT_NAMES[variant]]];
+  if (variant === 'spider') tags.push(['Suits', options.suitCount]);
+  else tags.push(['Draw', options.drawCount]);
+  if (deal.deck) tags.push(['Deck', deal.deck.map(toAscii).join(' ')]);
+  else if (deal.number !== undefined) tags.push(['Deal', deal.number]);
+  else tags.push(['Seed', deal.seed]);
+  if (result) {
+    tags.push(['Result', result.won ? 'Won' : 'Unfinished'], ['Moves', result.moves], ['Time', result.time]);
+  }
+  if (date) tags.push(['Date', formatDate(date)]);
+
+  const { moveText } = VARIANTS[variant];
+  return [
+    ...tags.map(([name, value]) => `[${name} "${value}"]`),
+    '',
+    ...wrapMoves(moves.map(moveText)),
+    ''
+  ].join('\n');
+};
+
+const TAG_PATTERN = /^\[(\w+)\s+"([^"]*)"\]$/;
+
+// Parse notation back into a recording. Throws an Error saying what's wrong.
+export const parseNotation = (text) => {
+  const tags = {};
+  const tokens = [];
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.split(';')[0].trim();
+    const tag = TAG_PATTERN.exec(line);
+    if (tag) tags[tag[1]] = tag[2];
+    else if (line) tokens.push(...line.split(/\s+/).filter(token => !/^\d+\.$/.test(token)));
+  }
+
+  const variant = Object.keys(VARIANT_NAMES).find(key => VARIANT_NAMES[key].toLowerCase() === tags.Game?.toLowerCase());
+  if (!variant) throw new Error('Missing or unknown [Game] tag - expected Klondike or Spider');
+  const { parseOptions, createGame, playToken } = VARIANTS[variant];
+  const options = parseOptions(tags);
+
+  let deal;
+  if (tags.Deck !== undefined) {
+    const deck = tags.Deck.trim().split(/\s+/).filter(Boolean).map(fromAscii);
+    if (deck.length !== DECK_SIZES[variant]) {
+      throw new Error(`A ${VARIANT_NAMES[variant]} deck has ${DECK_SIZES[variant]} cards, not ${deck.length}`);
+    }
+    deal = { deck };
+  } else if (tags.Deal !== undefined) {
+    const number = parseDealNumber(tags.Deal);
+    if (number === null) throw new Error(`Deal numbers go from 1 to ${MAX_DEAL_NUMBER}, not "${tags.Deal}"`);
+    deal = { number };
+  } else if (/^\d+$/.test(tags.Seed ?? '')) {
+    deal = { seed: Number(tags.Seed) };
+  } else {
+    throw new Error('Missing [Deal] or [Deck] tag');
+  }
+
+  let state = createGame(deckForDeal(variant, options, deal), options);
+  const moves = [];
+  tokens.forEach((token, i) => {
+    const result = playToken(state, token);
+    if (!result) throw new Error(`Move ${i + 1} (${token}) can't be played`);
+    state = result.state;
+    moves.push(result.record);
+  });
+
+  const won = variant === 'spider' ? spider.isWon(state) : klondike.isWon(state);
+  const recording = {
+    variant,
+    options,
+    deal,
+    moves,
+    result: {
+      won,
+      moves: /^\d+$/.test(tags.Moves ?? '') ? Number(tags.Moves) : moves.length,
+      time: /^\d+$/.test(tags.Time ?? '') ? Number(tags.Time) : 0
+    }
+  };
+  const date = tags.Date && Date.parse(tags.Date);
+  if (date) recording.date = date;
+  return recording;
+};
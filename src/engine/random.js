@@ -0,0 +1,44 @@
+// Seedable random numbers and deal numbers, shared by every game variant.
+//
+// A deal number picks one shuffle of a variant's fresh deck (createDeck,
+// createSpiderDeck). Players share deal numbers to play the same game, so they have to
+// mean the same deal in every version: the generator (mulberry32), the shuffle below
+// and the fresh deck orders must never change.
+
+export const MAX_DEAL_NUMBER = 0xffffffff;
+
+// Random numbers in [0, 1), the same sequence for the same 32-bit seed
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Fisher-Yates, back to front
+export const shuffleWithRandom = (items, random) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+export const shuffleDeckForNumber = (deck, number) => shuffleWithRandom(deck, createRandom(number));
+
+export const isDealNumber = (number) => Number.isInteger(number) && number >= 1 && number <= MAX_DEAL_NUMBER;
+
+export const randomDealNumber = () => 1 + Math.floor(Math.random() * MAX_DEAL_NUMBER);
+
+// A deal number as a player might type it ("#1,234", " 1234 "), or null if it isn't one
+export const parseDealNumber = (text) => {
+  const digits = String(text).trim().replace(/^#/, '').replace(/[\s,]/g, '');
+  if (!/^\d+$/.test(digits)) return null;
+  const number = Number(digits);
+  return isDealNumber(number) ? number : null;
+};
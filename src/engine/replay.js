@@ -0,0 +1,56 @@
+// Game recordings - the deal plus the moves played, enough to rebuild every position
+// of a game.
+//
+// A recording is { variant, options, deal, moves, result, date }:
+//   variant  'klondike' | 'spider'
+//   options  { drawCount } or { suitCount }
+//   deal     { number } for a numbered deal (see random.js), { deck: ['10♥', ...] } for a
+//            fixed card order, or { seed } for a shuffle from before deal numbers
+//   moves    the game's move records (see klondike.js and spider.js), oldest first
+//   result   { won, moves, time } as the player saw them
+//   date     when the game finished (ms since epoch)
+import { createDeck, shuffleDeckWithSeed } from './cards';
+import { shuffleDeckForNumber } from './random';
+import * as klondike from './klondike';
+import * as spider from './spider';
+
+const VARIANTS = {
+  klondike: {
+    freshDeck: () => createDeck(),
+    createGame: klondike.createGame,
+    replay: klondike.replayRecord
+  },
+  spider: {
+    freshDeck: ({ suitCount }) => spider.createSpiderDeck(suitCount),
+    createGame: spider.createGame,
+    replay: (state, record) => spider.applyMove(state, spider.recordToMove(record))
+  }
+};
+
+const cardCode = (card) => `${card.rank}${card.suit}`;
+
+export const encodeDeck = (deck) => deck.map(cardCode);
+
+// The shuffled deck a deal stands for. Fixed card orders take their cards from a fresh
+// deck of the variant, so ids come out the same as in the original game.
+export const deckForDeal = (variant, options, deal) => {
+  const fresh = VARIANTS[variant].freshDeck(options);
+  if (deal.number !== undefined) return shuffleDeckForNumber(fresh, deal.number);
+  if (!deal.deck) return shuffleDeckWithSeed(fresh, deal.seed);
+
+  return deal.deck.map(code => {
+    const index = fresh.findIndex(card => cardCode(card) === code);
+    if (index === -1) throw new Error(`Card ${code} is not in a ${variant} deck`);
+    return fresh.splice(index, 1)[0];
+  });
+};
+
+// Every position of a recorded game, from the deal to the last move
+export const recordingStates = ({ variant, options, deal, moves }) => {
+  const { createGame, replay } = VARIANTS[variant];
+  const states = [createGame(deckForDeal(variant, options, deal), options)];
+  for (const record of moves) {
+    states.push(replay(states[states.length - 1], record));
+  }
+  return states;
+};
@@ -0,0 +1,310 @@
+// Spider rules engine - pure functions, no React.
+//
+// A game state is { tableau, stock, completed, suitCount }. `completed` holds the
+// K-to-A runs that have been cleared off the tableau (8 of them wins the game).
+// States are never mutated; every function returns a new state.
+//
+// Moves:
+//   { type: 'move', pileIndex, cardIndex, targetIndex } - move cards[cardIndex..] to another pile
+//   { type: 'deal' }                                    - deal one stock card onto every pile
+//
+// executeMove also returns a small record of what the move changed (flipped cards,
+// cleared runs) so undoMove can step back without keeping whole snapshots.
+import { SUIT_COLORS, RANKS, flipTopCard, unflipTopCard } from './cards';
+
+export const TABLEAU_PILES = 10;
+export const SUITS_TO_COMPLETE = 8;
+
+// Create deck based on suit count (1, 2, or 4 suits)
+export const createSpiderDeck = (suitCount) => {
+  const deck = [];
+  let suitsToUse;
+
+  if (suitCount === 1) {
+    suitsToUse = ['♠', '♠', '♠', '♠']; // All spades
+  } else if (suitCount === 2) {
+    suitsToUse = ['♠', '♥', '♠', '♥']; // Spades and hearts
+  } else {
+    suitsToUse = ['♠', '♥', '♦', '♣']; // All suits
+  }
+
+  // Create 2 decks (8 complete suits)
+  for (let d = 0; d < 2; d++) {
+    for (const suit of suitsToUse) {
+      for (let i = 0; i < RANKS.length; i++) {
+        deck.push({
+          suit,
+          rank: RANKS[i],
+          value: i + 1,
+          color: SUIT_COLORS[suit],
+          id: `${suit}-${RANKS[i]}-${d}-${deck.length}`
+        });
+      }
+    }
+  }
+  return deck;
+};
+
+export const createEmptyGame = (suitCount = 1) => ({
+  tableau: Array.from({ length: TABLEAU_PILES }, () => []),
+  stock: [],
+  completed: [],
+  suitCount
+});
+
+// Deal: first 4 piles get 6 cards, last 6 piles get 5 cards (54 total), the rest is stock
+export const createGame = (deck, { suitCount = 1 } = {}) => {
+  const tableau = Array.from({ length: TABLEAU_PILES }, () => []);
+  let deckIndex = 0;
+
+  for (let pile = 0; pile < TABLEAU_PILES; pile++) {
+    const cardCount = pile < 4 ? 6 : 5;
+    for (let i = 0; i < cardCount; i++) {
+      tableau[pile].push({ ...deck[deckIndex], faceUp: i === cardCount - 1 });
+      deckIndex++;
+    }
+  }
+
+  return {
+    ...createEmptyGame(suitCount),
+    tableau,
+    stock: deck.slice(deckIndex).map(c => ({ ...c, faceUp: false }))
+  };
+};
+
+// Check if a sequence of cards is valid (same suit, descending)
+export const isValidSequence = (cards) => {
+  for (let i = 0; i < cards.length - 1; i++) {
+    if (cards[i].suit !== cards[i + 1].suit) return false;
+    if (cards[i].value !== cards[i + 1].value + 1) return false;
+  }
+  return true;
+};
+
+// Check if we can move cards to a pile (any card may go on an empty pile)
+export const canMoveToTableau = (cards, targetPile) => {
+  if (targetPile.length === 0) return true;
+  const topCard = targetPile[targetPile.length - 1];
+  return topCard.faceUp && topCard.value === cards[0].value + 1;
+};
+
+// How many consecutive same-suit descending cards sit on top of the pile
+export const getChainLength = (pile) => {
+  let length = 0;
+  for (let i = pile.length - 1; i >= 0; i--) {
+    const card = pile[i];
+    if (!card.faceUp) break;
+    if (length > 0) {
+      const prevCard = pile[i + 1];
+      if (card.suit !== prevCard.suit || card.value !== prevCard.value + 1) break;
+    }
+    length++;
+  }
+  return length;
+};
+
+// True when the top 13 cards of the pile are a face-up K-to-A run of one suit
+export const hasCompletedSuit = (pile) => {
+  if (pile.length < 13) return false;
+  const last13 = pile.slice(-13);
+  return last13[0].rank === 'K' && last13.every(c => c.faceUp) && isValidSequence(last13);
+};
+
+// Cards a move would pick up (empty when they can't be picked up together)
+export const getMovingCards = (state, move) => {
+  const pile = state.tableau[move.pileIndex];
+  if (!pile || !pile[move.cardIndex]?.faceUp) return [];
+  const cards = pile.slice(move.cardIndex);
+  return isValidSequence(cards) ? cards : [];
+};
+
+export const canDeal = (state) => (
+  state.stock.length > 0 && state.tableau.every(pile => pile.length > 0)
+);
+
+export const isLegalMove = (state, move) => {
+  if (move.type === 'deal') return canDeal(state);
+  if (move.pileIndex === move.targetIndex) return false;
+  const cards = getMovingCards(state, move);
+  const target = state.tableau[move.targetIndex];
+  return cards.length > 0 && !!target && canMoveToTableau(cards, target);
+};
+
+// Clear a finished run off the given pile, if there is one. Returns the entry for the move record.
+const clearCompletedSuit = (tableau, completed, pileIndex) => {
+  const pile = tableau[pileIndex];
+  if (!hasCompletedSuit(pile)) return null;
+
+  const remaining = pile.slice(0, -13);
+  tableau[pileIndex] = flipTopCard(remaining);
+  completed.push(pile.slice(-13));
+  return { pileIndex, flipped: tableau[pileIndex] !== remaining };
+};
+
+// Apply a move, returning { state, record }, or null if the move is illegal
+export const executeMove = (state, move) => {
+  if (!isLegalMove(state, move)) return null;
+
+  const tableau = [...state.tableau];
+  const completed = [...state.completed];
+
+  if (move.type === 'deal') {
+    const stock = [...state.stock];
+    const count = Math.min(TABLEAU_PILES, stock.length);
+    for (let i = 0; i < count; i++) {
+      tableau[i] = [...tableau[i], { ...stock.pop(), faceUp: true }];
+    }
+
+    const cleared = [];
+    for (let i = 0; i < TABLEAU_PILES; i++) {
+      const entry = clearCompletedSuit(tableau, completed, i);
+      if (entry) cleared.push(entry);
+    }
+
+    return {
+      state: { ...state, tableau, stock, completed },
+      record: { type: 'deal', count, cleared }
+    };
+  }
+
+  const { pileIndex, cardIndex, targetIndex } = move;
+  const cards = tableau[pileIndex].slice(cardIndex);
+  const remaining = tableau[pileIndex].slice(0, cardIndex);
+  tableau[pileIndex] = flipTopCard(remaining);
+  tableau[targetIndex] = [...tableau[targetIndex], ...cards];
+  const entry = clearCompletedSuit(tableau, completed, targetIndex);
+
+  return {
+    state: { ...state, tableau, completed },
+    record: {
+      type: 'move',
+      pileIndex,
+      cardIndex,
+      targetIndex,
+      count: cards.length,
+      flipped: tableau[pileIndex] !== remaining,
+      cleared: entry ? [entry] : []
+    }
+  };
+};
+
+// Apply a move and return the next state. Illegal moves return `state` unchanged.
+export const applyMove = (state, move) => {
+  const result = executeMove(state, move);
+  return result ? result.state : state;
+};
+
+// Step back over a move using the record executeMove returned for it
+export const undoMove = (state, record) => {
+  const tableau = [...state.tableau];
+  const completed = [...state.completed];
+
+  // Put cleared runs back, newest first
+  for (let i = record.cleared.length - 1; i >= 0; i--) {
+    const { pileIndex, flipped } = record.cleared[i];
+    const pile = flipped ? unflipTopCard(tableau[pileIndex]) : tableau[pileIndex];
+    tableau[pileIndex] = [...pile, ...completed.pop()];
+  }
+
+  if (record.type === 'deal') {
+    const stock = [...state.stock];
+    for (let i = record.count - 1; i >= 0; i--) {
+      const pile = tableau[i];
+      stock.push({ ...pile[pile.length - 1], faceUp: false });
+      tableau[i] = pile.slice(0, -1);
+    }
+    return { ...state, tableau, stock, completed };
+  }
+
+  const { pileIndex, targetIndex, count, flipped } = record;
+  const cards = tableau[targetIndex].slice(-count);
+  tableau[targetIndex] = tableau[targetIndex].slice(0, -count);
+  const source = flipped ? unflipTopCard(tableau[pileIndex]) : tableau[pileIndex];
+  tableau[pileIndex] = [...source, ...cards];
+  return { ...state, tableau, completed };
+};
+
+// The move a record was made from, for redoing it
+export const recordToMove = (record) => {
+  if (record.type === 'deal') return { type: 'deal' };
+  const { pileIndex, cardIndex, targetIndex } = record;
+  return { type: 'move', pileIndex, cardIndex, targetIndex };
+};
+
+// Every legal move: card moves (longest runs first within each pile), then dealing
+export const legalMoves = (state) => {
+  const result = [];
+
+  state.tableau.forEach((pile, pileIndex) => {
+    const chain = getChainLength(pile);
+    for (let cardIndex = pile.length - chain; cardIndex < pile.length; cardIndex++) {
+      for (let targetIndex = 0; targetIndex < TABLEAU_PILES; targetIndex++) {
+        const move = { type: 'move', pileIndex, cardIndex, targetIndex };
+        if (isLegalMove(state, move)) result.push(move);
+      }
+    }
+  });
+
+  if (canDeal(state)) result.push({ type: 'deal' });
+  return result;
+};
+
+export const countCompletedSuits = (state) => state.completed.length;
+
+export const isWon = (state) => state.completed.length === SUITS_TO_COMPLETE;
+
+// Heuristic score for moving cards onto a pile: any card beats an empty pile,
+// and a same-suit card beats that, more so the longer its run
+const scoreTarget = (cards, targetPile) => {
+  if (targetPile.length === 0) return 0;
+  const topCard = targetPile[targetPile.length - 1];
+  if (topCard.suit === cards[0].suit) return 300 + getChainLength(targetPile);
+  return 100;
+};
+
+// Best pile for a double-clicked run, or null if it can't go anywhere
+export const findBestTarget = (state, pileIndex, cardIndex) => {
+  let bestTarget = null;
+  let bestScore = -1;
+
+  for (let targetIndex = 0; targetIndex < TABLEAU_PILES; targetIndex++) {
+    const move = { type: 'move', pileIndex, cardIndex, targetIndex };
+    if (!isLegalMove(state, move)) continue;
+    const score = scoreTarget(getMovingCards(state, move), state.tableau[targetIndex]);
+    if (score > bestScore) {
+      bestScore = score;
+      bestTarget = targetIndex;
+    }
+  }
+
+  return bestTarget;
+};
+
+// Single-ply hint: the highest scoring card move, ignoring cards already sitting on their run
+export const findBestMove = (state) => {
+  let bestMove = null;
+  let bestScore = -1;
+
+  for (const move of legalMoves(state)) {
+    if (move.type !== 'move') continue;
+    const sourcePile = state.tableau[move.pileIndex];
+    const card = sourcePile[move.cardIndex];
+
+    // Skip if card is already connected (same suit sequence with card below)
+    const cardBelow = sourcePile[move.cardIndex - 1];
+    if (cardBelow && cardBelow.faceUp && cardBelow.suit === card.suit && cardBelow.value === card.value + 1) {
+      continue;
+    }
+
+    let score = scoreTarget(getMovingCards(state, move), state.tableau[move.targetIndex]);
+    // Prefer moves that reveal hidden cards
+    if (cardBelow && !cardBelow.faceUp) score += 50;
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestMove = move;
+    }
+  }
+
+  return bestMove;
+};
@@ -0,0 +1,300 @@
+// Spider solver - best-first search over engine states.
+//
+// Like the Klondike solver it sees the face-down cards and the stock order, so
+// "solvable" means a winning line exists for this deal. Only one empty column is
+// tried per move and whole piles never move onto an empty column. By default the
+// search also skips moves that rarely matter (splitting a run unless it builds a
+// longer one, moving a card off its natural partner onto a different suit);
+// `exhaustive: true` keeps them, which is what "this deal is lost" relies on.
+// "unknown" means a search limit was hit first.
+import { SUITS } from './cards';
+import {
+  createGame, createSpiderDeck, applyMove, canDeal, getChainLength, isWon, TABLEAU_PILES
+} from './spider';
+
+export const SOLVER_DEFAULTS = {
+  maxStates: 100000,
+  maxDepth: 1000,
+  exhaustive: false
+};
+
+// One character per card; the two copies of a card are interchangeable
+const cardCode = (card) => String.fromCharCode(48 + SUITS.indexOf(card.suit) * 13 + card.value);
+
+// Face-down cards and the stock never change order, so counting them is enough
+const stateKey = (state) => {
+  let key = '';
+  for (const pile of state.tableau) {
+    for (const card of pile) key += card.faceUp ? cardCode(card) : '#';
+    key += '/';
+  }
+  return key + state.stock.length;
+};
+
+// Candidate moves, most promising first
+const candidateMoves = (state, exhaustive) => {
+  const { tableau } = state;
+  const firstEmpty = tableau.findIndex(pile => pile.length === 0);
+  const scored = [];
+
+  tableau.forEach((pile, pileIndex) => {
+    const chain = getChainLength(pile);
+    const start = pile.length - chain;
+
+    for (let cardIndex = start; cardIndex < pile.length; cardIndex++) {
+      const card = pile[cardIndex];
+      const below = pile[cardIndex - 1];
+      const wholeChain = cardIndex === start;
+      const reveals = wholeChain && below && !below.faceUp;
+      const sitsOnNatural = below && below.faceUp && below.value === card.value + 1;
+
+      for (let targetIndex = 0; targetIndex < TABLEAU_PILES; targetIndex++) {
+        if (targetIndex === pileIndex) continue;
+        const target = tableau[targetIndex];
+        let score;
+
+        if (target.length === 0) {
+          if (targetIndex !== firstEmpty || cardIndex === 0) continue;
+          score = reveals ? 150 : 0;
+        } else {
+          const top = target[target.length - 1];
+          if (top.value !== card.value + 1) continue;
+          const sameSuit = top.suit === card.suit;
+          const targetChain = getChainLength(target);
+          if (!exhaustive) {
+            // Splitting a run only helps if it builds a longer one; a card already on a
+            // natural partner only moves to join its own suit
+            if (!wholeChain && !(sameSuit && targetChain + pile.length - cardIndex > chain)) continue;
+            if (sitsOnNatural && !sameSuit) continue;
+          }
+          score = sameSuit ? 300 + targetChain : 100;
+          if (reveals) score += 200;
+          if (cardIndex === 0) score += 150;
+        }
+
+        scored.push({ move: { type: 'move', pileIndex, cardIndex, targetIndex }, score });
+      }
+    }
+  });
+
+  scored.sort((a, b) => b.score - a.score);
+  const moves = scored.map(({ move }) => move);
+  if (canDeal(state)) moves.push({ type: 'deal' });
+  return moves;
+};
+
+// How promising a position looks: finished runs, uncovered cards, free columns and
+// long same-suit runs (squared, so growing a run beats starting a new one), less
+// a little for every break between cards that don't follow each other
+const evaluate = (state) => {
+  let score = state.completed.length * 1000;
+  for (const pile of state.tableau) {
+    if (pile.length === 0) {
+      score += 50;
+      continue;
+    }
+    let run = 1;
+    for (let i = 0; i < pile.length; i++) {
+      const card = pile[i];
+      if (!card.faceUp) {
+        score -= 15;
+        continue;
+      }
+      const next = pile[i + 1];
+      if (next && next.value === card.value - 1 && next.suit === card.suit) {
+        run++;
+        continue;
+      }
+      if (next) score += next.value === card.value - 1 ? 1 : -8;
+      score += run * run * 3;
+      run = 1;
+    }
+  }
+  return score;
+};
+
+// Binary max-heap on node.score
+const push = (heap, node) => {
+  heap.push(node);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent].score >= heap[i].score) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+};
+
+const pop = (heap) => {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const left = i * 2 + 1;
+      const right = left + 1;
+      let largest = i;
+      if (left < heap.length && heap[left].score > heap[largest].score) largest = left;
+      if (right < heap.length && heap[right].score > heap[largest].score) largest = right;
+      if (largest === i) break;
+      [heap[largest], heap[i]] = [heap[i], heap[largest]];
+      i = largest;
+    }
+  }
+  return top;
+};
+
+const pathTo = (node) => {
+  const moves = [];
+  for (let n = node; n.parent; n = n.parent) moves.push(n.move);
+  return moves.reverse();
+};
+
+// Best-first search, always expanding the most promising position seen so far.
+// `expand(node)` returns the child nodes ({ state, move, ...extra }) to consider, and
+// positions in `avoid` are never entered. Returns { result, node, best, statesSearched }:
+// node is the winning node when solvable, best the highest scoring position reached
+// other than the root (null if there were no moves at all).
+const bestFirst = (root, expand, { maxStates, maxDepth }, avoid = []) => {
+  const visited = new Set([...avoid.map(stateKey), stateKey(root.state)]);
+  const heap = [];
+  const start = { ...root, parent: null, move: null, depth: 0, score: evaluate(root.state) };
+  let best = null;
+  let hitLimit = false;
+  push(heap, start);
+
+  while (heap.length > 0) {
+    const node = pop(heap);
+    if (isWon(node.state)) return { result: 'solvable', node, best: node, statesSearched: visited.size };
+    if (node !== start && (!best || node.score > best.score)) best = node;
+    if (node.depth >= maxDepth) {
+      hitLimit = true;
+      continue;
+    }
+
+    for (const child of expand(node)) {
+      const key = stateKey(child.state);
+      if (visited.has(key)) continue;
+      if (visited.size >= maxStates) {
+        return { result: 'unknown', node: null, best, statesSearched: visited.size };
+      }
+      visited.add(key);
+      push(heap, { ...child, parent: node, depth: node.depth + 1, score: evaluate(child.state) });
+    }
+  }
+
+  return { result: hitLimit ? 'unknown' : 'unsolvable', node: null, best, statesSearched: visited.size };
+};
+
+const searchFrom = (initialState, { history, ...options }) => {
+  const { exhaustive, ...limits } = { ...SOLVER_DEFAULTS, ...options };
+  const expand = ({ state }) => candidateMoves(state, exhaustive).map(move => ({ state: applyMove(state, move), move }));
+  return bestFirst({ state: initialState }, expand, limits, history);
+};
+
+// Solve from any position. Returns { result: 'solvable' | 'unsolvable' | 'unknown', moves, statesSearched }
+export const solveGame = (initialState, options = {}) => {
+  const { result, node, statesSearched } = searchFrom(initialState, { ...options, history: [] });
+  return { result, moves: node ? pathTo(node) : [], statesSearched };
+};
+
+// Solve a fresh deal of the given (shuffled) deck
+export const solveDeal = (deck, { suitCount = 1, ...options } = {}) => (
+  solveGame(createGame(deck, { suitCount }), options)
+);
+
+// A short plan for the player: the start of a winning line if the search finds one,
+// otherwise the way to the most promising position it reached, never going back to a
+// position in `history` (earlier states of the game). The plan stops at the first deal
+// or the first move that needs a card the player can't see yet.
+// Returns { moves, result } with result as in solveGame; moves is empty when there's
+// nothing left to try.
+export const findHintLine = (state, { maxLength = 4, history = [], ...options } = {}) => {
+  const { result, node, best } = searchFrom(state, { ...options, history });
+  const target = node || best;
+  const visible = new Set(state.tableau.flat().filter(card => card.faceUp).map(card => card.id));
+  const moves = [];
+  let current = state;
+
+  for (const move of target ? pathTo(target) : []) {
+    if (moves.length === maxLength) break;
+    if (move.type === 'move') {
+      const pile = current.tableau[move.targetIndex];
+      const top = pile[pile.length - 1];
+      if (!visible.has(current.tableau[move.pileIndex][move.cardIndex].id)) break;
+      if (top && !visible.has(top.id)) break;
+    }
+    moves.push(move);
+    if (move.type === 'deal') break;
+    current = applyMove(current, move);
+  }
+  return { moves, result };
+};
+
+// Winnable deals by lazy dealing: every face-down and stock card starts as a blank
+// placeholder and only gets a real card (drawn from what's left) when it turns face
+// up. For cards turned over in the tableau the search keeps the best fit of a few
+// random draws, which steers it towards a deal it can win (such deals lean a little
+// easier than a plain shuffle). The cards it picked are written back into a deck,
+// and every deck comes with the winning line that proves it.
+const placeholder = (slot) => ({ id: `slot-${slot}`, slot, suit: null, rank: null, value: 0, faceUp: false });
+
+// Give every face-up placeholder a card from the pool: the best fit (by evaluate) of
+// `choices` random draws. Returns { state, pool, assigned }.
+const assignRevealed = (state, pool, choices, random) => {
+  let current = state;
+  let remaining = pool;
+  const assigned = [];
+
+  current.tableau.forEach((pile, pileIndex) => {
+    pile.forEach((card, cardIndex) => {
+      if (!card.faceUp || card.suit !== null) return;
+      let best = null;
+      for (let i = 0; i < Math.min(choices, remaining.length); i++) {
+        const poolIndex = Math.floor(random() * remaining.length);
+        const tableau = [...current.tableau];
+        tableau[pileIndex] = [...tableau[pileIndex]];
+        tableau[pileIndex][cardIndex] = { ...remaining[poolIndex], faceUp: true };
+        const candidate = { ...current, tableau };
+        const score = evaluate(candidate);
+        if (!best || score > best.score) best = { state: candidate, poolIndex, score };
+      }
+      assigned.push({ slot: card.slot, card: remaining[best.poolIndex] });
+      remaining = remaining.filter((_, i) => i !== best.poolIndex);
+      current = best.state;
+    });
+  });
+  return { state: current, pool: remaining, assigned };
+};
+
+export const generateWinnableDeal = (suitCount, { choices = 3, random = Math.random, ...options } = {}) => {
+  const cards = createSpiderDeck(suitCount);
+  const blank = createGame(cards.map((_, slot) => placeholder(slot)), { suitCount });
+  const root = assignRevealed(blank, cards, choices, random);
+
+  const { exhaustive, ...limits } = { ...SOLVER_DEFAULTS, ...options };
+  const expand = ({ state, pool }) => candidateMoves(state, exhaustive).map(move => {
+    const next = applyMove(state, move);
+    // Dealt cards stay random; only cards turned over in the tableau are picked
+    return { ...assignRevealed(next, pool, move.type === 'deal' ? 1 : choices, random), move };
+  });
+
+  const { node } = bestFirst(root, expand, limits);
+  if (!node) return null;
+
+  const deck = new Array(cards.length);
+  for (let n = node; n; n = n.parent) {
+    n.assigned.forEach(({ slot, card }) => { deck[slot] = card; });
+  }
+  return { deck, moves: pathTo(node) };
+};
+
+// A few rounds of lazy dealing. Returns { deck, moves } or null.
+export const findWinnableDeal = (suitCount, { attempts = 4, ...options } = {}) => {
+  for (let i = 0; i < attempts; i++) {
+    const found = generateWinnableDeal(suitCount, options);
+    if (found) return found;
+  }
+  return null;
+};
@@ -1,6 +1,7 @@
 import { initializeApp } from 'firebase/app';
-import { getFirestore, collection, addDoc, getDocs, doc, setDoc, getDoc, query, orderBy, updateDoc, increment } from 'firebase/firestore';
+import { getFirestore, collection, addDoc, getDocs, doc, setDoc, getDoc, query, orderBy, updateDoc, increment, where } from 'firebase/firestore';
 import { getAnalytics } from 'firebase/analytics';
+import { getItem, setItem } from './storage/db';
 
 // Firebase configuration
 const firebaseConfig = {
@@ -31,10 +32,10 @@ const ADMIN_DEVICE_IDS = [
 
 // Generate or retrieve unique device ID
 const getDeviceId = () => {
-  let deviceId = localStorage.getItem('solitaire_deviceId');
+  let deviceId = getItem('solitaire_deviceId');
   if (!deviceId) {
     deviceId = 'device_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-    localStorage.setItem('solitaire_deviceId', deviceId);
+    setItem('solitaire_deviceId', deviceId);
   }
   return deviceId;
 };
@@ -157,9 +158,7 @@ export const submitRating = async (rating, message, playerName = '') => {
   } catch (error) {
     console.warn('Failed to submit rating:', error);
     // Fallback to local storage
-    const localRatings = JSON.parse(localStorage.getItem('solitaire_ratings') || '[]');
-    localRatings.push(ratingData);
-    localStorage.setItem('solitaire_ratings', JSON.stringify(localRatings));
+    setItem('solitaire_ratings', [...getItem('solitaire_ratings', []), ratingData]);
     return { success: true, source: 'local' };
   }
 };
@@ -177,7 +176,7 @@ export const getAllRatings = async () => {
   } catch (error) {
     console.warn('Failed to fetch ratings:', error);
     // Fallback to local storage
-    return JSON.parse(localStorage.getItem('solitaire_ratings') || '[]');
+    return getItem('solitaire_ratings', []);
   }
 };
 
@@ -226,6 +225,23 @@ export const getUserStats = async () => {
   }
 };
 
+// Leaderboard backend (see storage/leaderboard.js) on the 'leaderboards' collection,
+// one document per result. Boards are sorted on the device, so no composite index is needed.
+export const firestoreLeaderboard = {
+  name: 'firestore',
+  submit: async (result) => {
+    await addDoc(collection(db, 'leaderboards'), { ...result, deviceId: getDeviceId() });
+  },
+  list: async (board) => {
+    const snapshot = await getDocs(query(collection(db, 'leaderboards'), where('board', '==', board)));
+    const results = [];
+    snapshot.forEach(doc => {
+      results.push(doc.data());
+    });
+    return results;
+  }
+};
+
 // Check if Firebase is properly configured
 export const isFirebaseConfigured = () => {
   return db !== null;
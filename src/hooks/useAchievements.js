@@ -0,0 +1,79 @@
+// Achievements shared by both games, stored as { unlocked, progress }:
+//   unlocked  { [id]: when it was unlocked (ms since epoch; 0 if from before dates were kept) }
+//   progress  { [id]: best progress so far }, for achievements with a target
+//
+// Games report events with record(event) and every achievement of that game is checked
+// against it (see data/achievements.js). New unlocks queue up and are toasted one at a time.
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getItem, setItem } from '../storage/db';
+import { ACHIEVEMENTS, achievementProgress, achievementTarget } from '../data/achievements';
+
+const STORAGE_KEY = 'solitaire_achievements';
+const TOAST_DELAY = 1500;
+const TOAST_DURATION = 3500;
+
+// Achievements used to be saved (and exported) as { [id]: true/false }
+const normalize = (data) => {
+  if (!data) return { unlocked: {}, progress: {} };
+  if (data.unlocked) return { unlocked: data.unlocked, progress: data.progress || {} };
+  return {
+    unlocked: Object.fromEntries(Object.keys(data).filter(id => data[id] === true).map(id => [id, 0])),
+    progress: {}
+  };
+};
+
+export const isUnlocked = (achievements, id) => achievements.unlocked[id] !== undefined;
+
+export const useAchievements = () => {
+  const [achievements, setAchievements] = useState(() => normalize(getItem(STORAGE_KEY)));
+  const [queue, setQueue] = useState([]);
+  const toast = queue[0] || null;
+  // Unlocks already toasted (or restored), so only new ones are announced
+  const announced = useRef(achievements.unlocked);
+
+  useEffect(() => {
+    setItem(STORAGE_KEY, achievements);
+    const fresh = ACHIEVEMENTS.filter(a => isUnlocked(achievements, a.id) && announced.current[a.id] === undefined);
+    announced.current = achievements.unlocked;
+    if (fresh.length > 0) setTimeout(() => setQueue(prev => [...prev, ...fresh]), TOAST_DELAY);
+  }, [achievements]);
+
+  useEffect(() => {
+    if (!toast) return;
+    const timeout = setTimeout(() => setQueue(prev => prev.slice(1)), TOAST_DURATION);
+    return () => clearTimeout(timeout);
+  }, [toast]);
+
+  // Checked against the latest achievements, not this render's, so a restore just before
+  // (e.g. reset all data, then deal) isn't undone
+  const record = useCallback((event) => {
+    const now = Date.now();
+    setAchievements(prev => {
+      const progress = { ...prev.progress };
+      const fresh = [];
+      ACHIEVEMENTS
+        .filter(a => a.game === event.variant && !isUnlocked(prev, a.id))
+        .forEach(a => {
+          const value = achievementProgress(a, event);
+          if (a.target) progress[a.id] = Math.max(progress[a.id] || 0, value);
+          if (value >= achievementTarget(a)) fresh.push(a);
+        });
+
+      const progressed = Object.keys(progress).some(id => progress[id] !== prev.progress[id]);
+      if (fresh.length === 0 && !progressed) return prev;
+      return {
+        unlocked: { ...prev.unlocked, ...Object.fromEntries(fresh.map(a => [a.id, now])) },
+        progress
+      };
+    });
+  }, []);
+
+  // Replace everything, e.g. from a data import; null clears all achievements
+  const restore = useCallback((data) => {
+    const restored = normalize(data);
+    announced.current = restored.unlocked;
+    setAchievements(restored);
+  }, []);
+
+  return { achievements, record, restore, toast };
+};
@@ -0,0 +1,15 @@
+// Messages for screen readers. Render `announcement` in an aria-live region; each
+// announce() call is read out once, even when it repeats the previous message.
+import { useState, useCallback } from 'react';
+
+export const useAnnouncer = () => {
+  const [announcement, setAnnouncement] = useState('');
+
+  // Live regions only speak when their text changes, so a repeat gets a trailing
+  // non-breaking space toggled on or off
+  const announce = useCallback((message) => {
+    setAnnouncement(prev => (prev === message ? `${message}\u00a0` : message));
+  }, []);
+
+  return [announcement, announce];
+};
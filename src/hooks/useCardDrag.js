@@ -0,0 +1,105 @@
+// Pointer-events drag and drop for cards - the same code path for mouse, touch and pen.
+//
+// A press only turns into a drag once the pointer has moved a few pixels, so taps,
+// clicks and double-clicks keep working as before. Drop zones are elements marked
+// with data-drop-target (and data-drop-index); `drag.over` is the zone under the
+// pointer. On release over a zone, onDrop(origin, over) is called; if it returns
+// false (illegal move) or the stack is let go anywhere else, it snaps back.
+import { useState, useRef, useEffect, useCallback } from 'react';
+
+const DRAG_THRESHOLD = 6;
+const SNAP_BACK_MS = 180;
+
+const findDropZone = (x, y) => {
+  const el = document.elementFromPoint(x, y)?.closest('[data-drop-target]');
+  if (!el) return null;
+  return { target: el.dataset.dropTarget, targetIndex: Number(el.dataset.dropIndex) };
+};
+
+// The click that follows the pointerup of a drag shouldn't also select or move cards
+const swallowNextClick = () => {
+  const swallow = (e) => {
+    e.stopPropagation();
+    e.preventDefault();
+  };
+  window.addEventListener('click', swallow, { capture: true, once: true });
+  setTimeout(() => window.removeEventListener('click', swallow, { capture: true }), 0);
+};
+
+export const useCardDrag = (onDrop) => {
+  // { id, origin, cards, x, y, width, over, returning } while a stack is being dragged
+  const [drag, setDrag] = useState(null);
+  const pressRef = useRef(null);
+  const nextIdRef = useRef(0);
+  const onDropRef = useRef(onDrop);
+
+  useEffect(() => {
+    onDropRef.current = onDrop;
+  });
+
+  // Call from onPointerDown on the grabbed card; `cards` is the stack that would move
+  const startDrag = useCallback((e, origin, cards) => {
+    if (!e.isPrimary || e.button !== 0 || cards.length === 0) return;
+    pressRef.current = {
+      id: ++nextIdRef.current,
+      pointerId: e.pointerId,
+      startX: e.clientX,
+      startY: e.clientY,
+      rect: e.currentTarget.getBoundingClientRect(),
+      origin,
+      cards,
+      active: false
+    };
+  }, []);
+
+  useEffect(() => {
+    const handleMove = (e) => {
+      const press = pressRef.current;
+      if (!press || e.pointerId !== press.pointerId) return;
+      if (!press.active) {
+        if (Math.hypot(e.clientX - press.startX, e.clientY - press.startY) < DRAG_THRESHOLD) return;
+        press.active = true;
+      }
+      e.preventDefault();
+      setDrag({
+        id: press.id,
+        origin: press.origin,
+        cards: press.cards,
+        x: press.rect.left + e.clientX - press.startX,
+        y: press.rect.top + e.clientY - press.startY,
+        width: press.rect.width,
+        over: findDropZone(e.clientX, e.clientY),
+        returning: false
+      });
+    };
+
+    const handleUp = (e) => {
+      const press = pressRef.current;
+      if (!press || e.pointerId !== press.pointerId) return;
+      pressRef.current = null;
+      if (!press.active) return;
+
+      swallowNextClick();
+      const over = e.type === 'pointerup' ? findDropZone(e.clientX, e.clientY) : null;
+      if (over && onDropRef.current(press.origin, over) !== false) {
+        setDrag(null);
+        return;
+      }
+
+      // Snap back to where the stack was picked up
+      setDrag(prev => prev && { ...prev, x: press.rect.left, y: press.rect.top, over: null, returning: true });
+      setTimeout(() => setDrag(prev => (prev?.id === press.id ? null : prev)), SNAP_BACK_MS);
+    };
+
+    window.addEventListener('pointermove', handleMove, { passive: false });
+    window.addEventListener('pointerup', handleUp);
+    window.addEventListener('pointercancel', handleUp);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      window.removeEventListener('pointercancel', handleUp);
+    };
+  }, []);
+
+  return { drag, startDrag };
+};
@@ -0,0 +1,70 @@
+// Modal dialogs: focus moves into the dialog when it opens, Tab and Shift+Tab cycle
+// through its controls, Escape closes it, and focus goes back to where it was on
+// close. Attach the returned ref to the dialog element (give it tabIndex={-1} so it
+// can take focus itself when it has no controls). With dialogs stacked, only the
+// most recently opened one handles keys.
+import { useRef, useEffect } from 'react';
+
+const FOCUSABLE = [
+  'button:not([disabled])',
+  'a[href]',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+const openTraps = [];
+
+export const useFocusTrap = (active, onClose) => {
+  const ref = useRef(null);
+  const onCloseRef = useRef(onClose);
+
+  useEffect(() => {
+    onCloseRef.current = onClose;
+  });
+
+  useEffect(() => {
+    const container = ref.current;
+    if (!active || !container) return;
+    const previous = document.activeElement;
+    const focusable = () => [...container.querySelectorAll(FOCUSABLE)];
+    openTraps.push(container);
+    (focusable()[0] || container).focus();
+
+    const handleKeyDown = (e) => {
+      if (openTraps[openTraps.length - 1] !== container) return;
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        onCloseRef.current?.();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+
+      const items = focusable();
+      if (items.length === 0) {
+        e.preventDefault();
+        return;
+      }
+      const first = items[0];
+      const last = items[items.length - 1];
+      const inside = container.contains(document.activeElement);
+      if (e.shiftKey && (!inside || document.activeElement === first)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      openTraps.splice(openTraps.indexOf(container), 1);
+      if (previous && document.contains(previous)) previous.focus();
+    };
+  }, [active]);
+
+  return ref;
+};
@@ -0,0 +1,85 @@
+// Keyboard play shared by both games.
+//
+// Arrow keys move the focus cursor, Enter/Space picks up or drops at the cursor and
+// Escape lets go. Letter shortcuts: D draws (or deals), H asks for a hint, N starts a
+// new game; Ctrl+Z (Cmd+Z) undoes, Ctrl+Shift+Z or Ctrl+Y redoes. Keys are ignored
+// while `enabled` is false (a modal is open) and while typing in a form field.
+// `keyboardActive` turns on with the first key and off with the next pointer press,
+// so the focus ring only shows for keyboard players.
+import { useState, useRef, useEffect } from 'react';
+
+const ARROWS = {
+  ArrowLeft: 'left',
+  ArrowRight: 'right',
+  ArrowUp: 'up',
+  ArrowDown: 'down'
+};
+
+const SHORTCUTS = {
+  d: 'onDraw',
+  h: 'onHint',
+  n: 'onNewGame'
+};
+
+const isTyping = (el) => (
+  !!el && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName))
+);
+
+export const useKeyboardControls = (enabled, handlers) => {
+  const [keyboardActive, setKeyboardActive] = useState(false);
+  const handlersRef = useRef(handlers);
+  const enabledRef = useRef(enabled);
+
+  useEffect(() => {
+    handlersRef.current = handlers;
+    enabledRef.current = enabled;
+  });
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!enabledRef.current || e.defaultPrevented || isTyping(e.target)) return;
+      const { onMove, onSelect, onCancel, onUndo, onRedo, ...shortcuts } = handlersRef.current;
+      const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+
+      if (e.ctrlKey || e.metaKey) {
+        if (e.altKey) return;
+        if (key === 'z' && !e.shiftKey) {
+          e.preventDefault();
+          onUndo?.();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+          e.preventDefault();
+          onRedo?.();
+        }
+        return;
+      }
+      if (e.altKey) return;
+
+      if (ARROWS[key]) {
+        e.preventDefault();
+        setKeyboardActive(true);
+        onMove?.(ARROWS[key]);
+      } else if (key === 'Enter' || key === ' ') {
+        // A focused button keeps its own Enter/Space
+        if (e.target.closest?.('button, a')) return;
+        e.preventDefault();
+        setKeyboardActive(true);
+        if (!e.repeat) onSelect?.();
+      } else if (key === 'Escape') {
+        onCancel?.();
+      } else if (SHORTCUTS[key] && !e.repeat) {
+        shortcuts[SHORTCUTS[key]]?.();
+      }
+    };
+
+    const handlePointerDown = () => setKeyboardActive(false);
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('pointerdown', handlePointerDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('pointerdown', handlePointerDown);
+    };
+  }, []);
+
+  return keyboardActive;
+};
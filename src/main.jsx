@@ -2,9 +2,20 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { initStorage } from './storage/db'
+import { initProfiles } from './storage/profiles'
+import { setLeaderboardBackend } from './storage/leaderboard'
+import { firestoreLeaderboard } from './firebase'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+// Leaderboards stay on this device unless the build asks for the shared Firestore ones
+if (import.meta.env.VITE_LEADERBOARD === 'firestore') setLeaderboardBackend(firestoreLeaderboard)
+
+// Saved data is read into memory before the first render (see storage/db.js)
+initStorage().then(() => {
+  initProfiles()
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <App />
+    </StrictMode>,
+  )
+})
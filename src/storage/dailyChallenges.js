@@ -0,0 +1,63 @@
+// Daily challenge history, keyed by day (YYYYMMDD, which is also the day's deal number):
+// { [day]: { live, archive } }. Each side is { won, bestTime, bestMoves } and only
+// exists once that day has been played that way:
+//   live      played on the day itself - these are the results that count for streaks
+//   archive   the day's deal played again later from the calendar
+//
+// Every challenge keeps its own history: 'klondike', and one per Spider suit count
+// ('spider-1', 'spider-2', 'spider-4') since each of those has a daily deal of its own.
+import { getItem, setItem } from './db';
+
+export const spiderChallenge = (suitCount) => `spider-${suitCount}`;
+
+const historyKey = (challenge) => (
+  challenge === 'klondike' ? 'solitaire_dailyHistory' : `spider_dailyHistory_${challenge.split('-')[1]}`
+);
+
+export const dayKey = (date = new Date()) => (
+  date.getFullYear() * 10000 + (date.getMonth() + 1) * 100 + date.getDate()
+);
+
+export const dayFromKey = (day) => new Date(Math.floor(day / 10000), Math.floor(day / 100) % 100 - 1, day % 100);
+
+export const loadDailyHistory = (challenge) => getItem(historyKey(challenge), {});
+
+const updateDay = (challenge, day, side, update) => {
+  const history = loadDailyHistory(challenge);
+  const entry = history[day] || {};
+  const updated = { ...history, [day]: { ...entry, [side]: update(entry[side] || { won: false, bestTime: null, bestMoves: null }) } };
+  setItem(historyKey(challenge), updated);
+  return updated;
+};
+
+// A daily game was dealt; until it's won the day counts as lost
+export const markDailyPlayed = (challenge, day, archive) => updateDay(challenge, day, archive ? 'archive' : 'live', result => result);
+
+export const recordDailyWin = (challenge, day, archive, { time, moves }) => (
+  updateDay(challenge, day, archive ? 'archive' : 'live', result => ({
+    won: true,
+    bestTime: result.bestTime === null ? time : Math.min(result.bestTime, time),
+    bestMoves: result.bestMoves === null ? moves : Math.min(result.bestMoves, moves)
+  }))
+);
+
+// 'won', 'lost' or 'unplayed' going by the live result; 'archive' if the day was only
+// ever won from the calendar afterwards
+export const dayStatus = (entry) => {
+  if (entry?.live?.won) return 'won';
+  if (entry?.archive?.won) return 'archive';
+  if (entry?.live) return 'lost';
+  return 'unplayed';
+};
+
+// Days in a row won live, ending today - or yesterday, while today is still to play
+export const dailyStreak = (history, today = dayKey()) => {
+  const date = dayFromKey(today);
+  if (!history[today]?.live?.won) date.setDate(date.getDate() - 1);
+  let streak = 0;
+  while (history[dayKey(date)]?.live?.won) {
+    streak++;
+    date.setDate(date.getDate() - 1);
+  }
+  return streak;
+};
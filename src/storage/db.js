@@ -0,0 +1,181 @@
+// Persistent storage for both games, backed by IndexedDB.
+//
+// Everything lives in one key-value object store. initStorage() reads it all into
+// memory before the app renders, so components can read synchronously (in useState
+// initializers); writes update memory straight away and reach IndexedDB in the
+// background. Values are stored as they are - objects, numbers, booleans - not as
+// JSON strings, and custom card images no longer count against localStorage's quota.
+//
+// Where IndexedDB can't be opened (some private browsing modes) the same API falls
+// back to localStorage, keeping the keys and formats the games always used there.
+//
+// Data belongs to the active player profile (see profiles.js): every key except
+// DEVICE_KEYS is stored under the profile's prefix, so getItem('solitaire_stats') reads
+// the stats of whoever is playing. The first profile keeps the plain keys, which makes
+// data from before profiles its data.
+//
+// Schema changes go in MIGRATIONS: entry i upgrades the database from version i to
+// i + 1 inside IndexedDB's upgrade transaction, so it runs exactly once per browser.
+const DB_NAME = 'solitaire';
+const STORE = 'kv';
+
+// Keys that were plain strings in localStorage; everything else was JSON, a number or a boolean
+const STRING_KEYS = new Set([
+  'solitaire_cardBack', 'solitaire_customBack', 'solitaire_customFace',
+  'solitaire_playerName', 'solitaire_gameType', 'solitaire_deviceId'
+]);
+
+// Shared by every profile on this device
+const DEVICE_KEYS = new Set([
+  'solitaire_profiles', 'solitaire_activeProfile', 'solitaire_deviceId', 'solitaire_admin',
+  'solitaire_hasRated', 'solitaire_ratings', 'solitaire_seenInstallPrompt', 'solitaire_leaderboards'
+]);
+
+export const DEFAULT_PROFILE = 'default';
+
+const PROFILE_KEY = /^profile:([^:]+):(.*)$/;
+
+const profilePrefix = (profile) => (profile === DEFAULT_PROFILE ? '' : `profile:${profile}:`);
+
+// The profile a stored key belongs to and its key within that profile; device keys have no profile
+const splitKey = (stored) => {
+  const match = PROFILE_KEY.exec(stored);
+  if (match) return { profile: match[1], key: match[2] };
+  return { profile: DEVICE_KEYS.has(stored) ? null : DEFAULT_PROFILE, key: stored };
+};
+
+const isGameKey = (key) => key.startsWith('solitaire_') || key.startsWith('spider_');
+
+const isAppKey = (stored) => isGameKey(splitKey(stored).key);
+
+const parseLegacyValue = (key, text) => {
+  if (STRING_KEYS.has(splitKey(key).key)) return text;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+const legacyKeys = () => Object.keys(localStorage).filter(isAppKey);
+
+const MIGRATIONS = [
+  // 1: the key-value store, filled from the localStorage keys the games used before
+  (db, tx) => {
+    db.createObjectStore(STORE);
+    const store = tx.objectStore(STORE);
+    legacyKeys().forEach(key => store.put(parseLegacyValue(key, localStorage.getItem(key)), key));
+  }
+];
+
+const DB_VERSION = MIGRATIONS.length;
+
+const cache = new Map();
+let db = null;
+let activeProfile = DEFAULT_PROFILE;
+
+const storedKey = (key, profile = activeProfile) => (DEVICE_KEYS.has(key) ? key : profilePrefix(profile) + key);
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  let migratedFromLocalStorage = false;
+
+  request.onupgradeneeded = (e) => {
+    migratedFromLocalStorage = e.oldVersion === 0;
+    MIGRATIONS.slice(e.oldVersion).forEach(migrate => migrate(request.result, request.transaction));
+  };
+  request.onsuccess = () => {
+    // Only drop the old keys once the upgrade that copied them has committed
+    if (migratedFromLocalStorage) legacyKeys().forEach(key => localStorage.removeItem(key));
+    resolve(request.result);
+  };
+  request.onerror = () => reject(request.error);
+  request.onblocked = () => reject(new Error('Storage upgrade blocked by another tab'));
+});
+
+const readAll = (database) => new Promise((resolve, reject) => {
+  const request = database.transaction(STORE).objectStore(STORE).openCursor();
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) {
+      resolve();
+      return;
+    }
+    cache.set(cursor.key, cursor.value);
+    cursor.continue();
+  };
+  request.onerror = () => reject(request.error);
+});
+
+const loadLocalStorage = () => {
+  legacyKeys().forEach(key => cache.set(key, parseLegacyValue(key, localStorage.getItem(key))));
+};
+
+// Load everything into memory. Call once, before rendering.
+export const initStorage = async () => {
+  try {
+    if (typeof indexedDB === 'undefined') throw new Error('IndexedDB is not available');
+    const database = await openDatabase();
+    await readAll(database);
+    db = database;
+  } catch (e) {
+    console.warn('Falling back to localStorage:', e);
+    cache.clear();
+    loadLocalStorage();
+  }
+};
+
+const persist = (key, value) => {
+  if (!db) {
+    if (value === undefined) localStorage.removeItem(key);
+    else localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+    return;
+  }
+  const tx = db.transaction(STORE, 'readwrite');
+  const store = tx.objectStore(STORE);
+  if (value === undefined) store.delete(key);
+  else store.put(value, key);
+  tx.onerror = () => console.warn(`Failed to save ${key}:`, tx.error);
+};
+
+const write = (stored, value) => {
+  if (value === undefined) cache.delete(stored);
+  else cache.set(stored, value);
+  try {
+    persist(stored, value);
+  } catch (e) {
+    console.warn(`Failed to ${value === undefined ? 'remove' : 'save'} ${stored}:`, e);
+  }
+};
+
+export const getItem = (key, fallback = null) => {
+  const stored = storedKey(key);
+  return cache.has(stored) ? cache.get(stored) : fallback;
+};
+
+export const setItem = (key, value) => write(storedKey(key), value);
+
+export const removeItem = (key) => write(storedKey(key), undefined);
+
+// Whose data getItem and friends read and write from now on
+export const setActiveProfile = (profile) => {
+  activeProfile = profile;
+};
+
+// Everything a profile has stored, { [key]: value }, for exporting it
+export const getProfileData = (profile) => Object.fromEntries(
+  [...cache.entries()]
+    .map(([stored, value]) => [splitKey(stored), value])
+    .filter(([{ profile: owner }]) => owner === profile)
+    .map(([{ key }, value]) => [key, value])
+);
+
+export const setProfileData = (profile, data) => {
+  Object.entries(data)
+    .filter(([key]) => isGameKey(key) && !DEVICE_KEYS.has(key))
+    .forEach(([key, value]) => write(storedKey(key, profile), value));
+};
+
+export const removeProfileData = (profile) => {
+  Object.keys(getProfileData(profile)).forEach(key => write(storedKey(key, profile), undefined));
+};
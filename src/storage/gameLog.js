@@ -0,0 +1,22 @@
+// Every finished game, oldest first, for the stats dashboard. Shared by both variants.
+//
+// An entry is { variant, drawCount | suitCount, vegas, zen, daily, dealNumber, result,
+// moves, time, score, date }:
+//   dealNumber  the deal number, or null for fixed card orders (winnable Spider deals).
+//               Entries from before deal numbers have the old shuffle seed instead.
+//   result      'won', 'lost' (given up, or left with no way to win) or 'abandoned'
+//               (left unfinished and later dropped from the saved games)
+//   score       Vegas-style score for Klondike, null for Spider
+//   date        when the game ended (ms since epoch)
+import { getItem, setItem } from './db';
+
+const MAX_ENTRIES = 5000;
+
+export const loadGameLog = () => getItem('solitaire_gameLog', []);
+
+// Adds an entry, dated now, and returns the updated log
+export const logGame = (entry) => {
+  const log = [...loadGameLog(), { ...entry, date: Date.now() }].slice(-MAX_ENTRIES);
+  setItem('solitaire_gameLog', log);
+  return log;
+};
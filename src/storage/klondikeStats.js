@@ -0,0 +1,67 @@
+// Klondike statistics, kept per ruleset so a draw-1 best time isn't compared with
+// draw-3 games. Stored as { [ruleset]: record }, where a record is
+// { gamesPlayed, gamesWon, bestMoves, bestTime, streak }.
+//
+// A ruleset is the draw count plus whether the game was a daily challenge or played
+// for Vegas score: 'draw1', 'draw3-vegas', 'daily-draw1' and so on. Stats from before
+// rulesets were tracked live in 'legacy', since their games can't be told apart.
+import { getItem, setItem, removeItem } from './db';
+
+const STATS_KEY = 'solitaire_rulesetStats';
+
+export const EMPTY_STATS = { gamesPlayed: 0, gamesWon: 0, bestMoves: null, bestTime: null, streak: 0 };
+
+const PART_LABELS = { daily: 'Daily', draw1: 'Draw 1', draw3: 'Draw 3', vegas: 'Vegas' };
+
+export const rulesetKey = ({ drawCount, vegas, daily }) => (
+  [daily && 'daily', `draw${drawCount}`, vegas && 'vegas'].filter(Boolean).join('-')
+);
+
+// The draw count a ruleset was played with, or null for 'legacy'
+export const rulesetDrawCount = (key) => {
+  const match = /draw(\d)/.exec(key);
+  return match ? Number(match[1]) : null;
+};
+
+export const rulesetLabel = (key) => (
+  key === 'legacy' ? 'Earlier games' : key.split('-').map(part => PART_LABELS[part] || part).join(' · ')
+);
+
+// Stats in the old single-record format, as a legacy bucket
+export const legacyStats = (stats, streak = 0) => ({ ...EMPTY_STATS, ...stats, streak });
+
+// The old single record (and its streak) moves into the legacy bucket
+const migrateLegacyStats = () => {
+  const stats = getItem('solitaire_stats');
+  if (!stats) return null;
+  const legacy = legacyStats(stats, getItem('solitaire_winStreak', 0));
+  removeItem('solitaire_stats');
+  removeItem('solitaire_winStreak');
+  return legacy;
+};
+
+export const loadRulesetStats = () => {
+  const stats = getItem(STATS_KEY, {});
+  const legacy = migrateLegacyStats();
+  return legacy ? saveRulesetStats({ legacy, ...stats }) : stats;
+};
+
+export const saveRulesetStats = (stats) => {
+  setItem(STATS_KEY, stats);
+  return stats;
+};
+
+export const statsFor = (stats, key) => ({ ...EMPTY_STATS, ...stats[key] });
+
+// Apply update to one ruleset's record, returning the new set of stats
+export const updateRuleset = (stats, key, update) => ({ ...stats, [key]: update(statsFor(stats, key)) });
+
+const lower = (a, b) => (a === null ? b : b === null ? a : Math.min(a, b));
+
+// Every ruleset added up, for lifetime counts such as achievements
+export const totalStats = (stats) => Object.values(stats).reduce((total, s) => ({
+  gamesPlayed: total.gamesPlayed + s.gamesPlayed,
+  gamesWon: total.gamesWon + s.gamesWon,
+  bestMoves: lower(total.bestMoves, s.bestMoves),
+  bestTime: lower(total.bestTime, s.bestTime)
+}), { gamesPlayed: 0, gamesWon: 0, bestMoves: null, bestTime: null });
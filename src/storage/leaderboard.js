@@ -0,0 +1,72 @@
+// Leaderboards per deal and per daily challenge, for both variants.
+//
+// A board is keyed by variant, rules and deal: 'klondike-draw3-deal-3141592653', or
+// 'spider-2suit-daily-20261019' for a day's live daily challenge. A result is
+// { board, player, time, moves, score, date } (score is null for Spider) and boards rank
+// each player's best: quickest time, then fewest moves.
+//
+// Where results are kept is up to the backend, { name, submit(result), list(board) }, both
+// async. This device's own board is the default; setLeaderboardBackend plugs in another
+// one with the same interface, e.g. firestoreLeaderboard from firebase.js.
+import { getItem, setItem } from './db';
+
+const MAX_RESULTS_PER_BOARD = 100;
+
+// Stand-in for a server: every board in one stored object, { [board]: results }
+export const localLeaderboard = {
+  name: 'local',
+  submit: async (result) => {
+    const boards = getItem('solitaire_leaderboards', {});
+    const results = [...(boards[result.board] || []), result].slice(-MAX_RESULTS_PER_BOARD);
+    setItem('solitaire_leaderboards', { ...boards, [result.board]: results });
+  },
+  list: async (board) => getItem('solitaire_leaderboards', {})[board] || []
+};
+
+let backend = localLeaderboard;
+
+export const setLeaderboardBackend = (next) => {
+  backend = next;
+};
+
+export const leaderboardBackendName = () => backend.name;
+
+// The board a game counts toward, or null for deals without a number (fixed card
+// orders and deals from before deal numbers). Daily games only count on the daily
+// board on the day itself; replayed later they're just that deal.
+export const boardFor = ({ variant, options, deal, daily }) => {
+  if (deal?.number === undefined) return null;
+  const rules = variant === 'spider' ? `${options.suitCount}suit` : `draw${options.drawCount}`;
+  return `${variant}-${rules}-${daily ? 'daily' : 'deal'}-${deal.number}`;
+};
+
+const BOARD_PATTERN = /^(klondike|spider)-(?:draw(\d)|(\d)suit)-(deal|daily)-(\d+)$/;
+
+// { variant, drawCount | suitCount, daily, number } back from a board key
+export const parseBoard = (board) => {
+  const match = BOARD_PATTERN.exec(board);
+  if (!match) return null;
+  const [, variant, drawCount, suitCount, kind, number] = match;
+  return {
+    variant,
+    ...(variant === 'spider' ? { suitCount: Number(suitCount) } : { drawCount: Number(drawCount) }),
+    daily: kind === 'daily',
+    number: Number(number)
+  };
+};
+
+const better = (a, b) => a.time - b.time || a.moves - b.moves || a.date - b.date;
+
+// Each player's best result, best first
+export const rankResults = (results) => {
+  const best = new Map();
+  results.forEach(result => {
+    const current = best.get(result.player);
+    if (!current || better(result, current) < 0) best.set(result.player, result);
+  });
+  return [...best.values()].sort(better);
+};
+
+export const submitResult = (result) => backend.submit({ ...result, date: result.date ?? Date.now() });
+
+export const loadLeaderboard = async (board) => rankResults(await backend.list(board));
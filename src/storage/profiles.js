@@ -0,0 +1,103 @@
+// Player profiles, so a family can share one device: each profile has its own name,
+// stats, achievements, preferences and saved games (db.js keeps their keys apart).
+//
+// A profile is { id, name, created }. The list and which profile is playing belong to
+// the device; a profile's name doubles as its player name ('solitaire_playerName'), the
+// name its leaderboard results and shared links go out under.
+//
+// The first profile, DEFAULT_PROFILE, is the one data from before profiles belongs to.
+import { getItem, setItem, DEFAULT_PROFILE, setActiveProfile, getProfileData, setProfileData, removeProfileData } from './db';
+
+const PROFILE_FILE_VERSION = 1;
+export const MAX_PROFILES = 8;
+
+export const loadProfiles = () => getItem('solitaire_profiles') || [
+  { id: DEFAULT_PROFILE, name: getProfileData(DEFAULT_PROFILE).solitaire_playerName || '', created: null }
+];
+
+const saveProfiles = (profiles) => {
+  setItem('solitaire_profiles', profiles);
+  return profiles;
+};
+
+export const activeProfileId = () => getItem('solitaire_activeProfile', DEFAULT_PROFILE);
+
+// Unnamed profiles go by their place in the list
+export const profileName = (profile, profiles = loadProfiles()) => (
+  profile.name.trim() || `Player ${profiles.findIndex(p => p.id === profile.id) + 1}`
+);
+
+// The name results go out under; unique on this device, so leaderboards can tell players apart
+export const activeProfileName = () => {
+  const profiles = loadProfiles();
+  const profile = profiles.find(p => p.id === activeProfileId()) || profiles[0];
+  return profileName(profile, profiles);
+};
+
+// Pick up the profile that was playing last. Call once, after initStorage().
+export const initProfiles = () => {
+  const id = activeProfileId();
+  setActiveProfile(loadProfiles().some(p => p.id === id) ? id : DEFAULT_PROFILE);
+};
+
+export const switchProfile = (id) => {
+  setItem('solitaire_activeProfile', id);
+  setActiveProfile(id);
+};
+
+const newProfileId = () => `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// A name no other profile goes by, adding " 2", " 3"... if need be
+const uniqueName = (name, profiles, except = null) => {
+  const taken = new Set(profiles.filter(p => p.id !== except).map(p => profileName(p, profiles).toLowerCase()));
+  if (!name || !taken.has(name.toLowerCase())) return name;
+  let n = 2;
+  while (taken.has(`${name} ${n}`.toLowerCase())) n++;
+  return `${name} ${n}`;
+};
+
+export const createProfile = (name, data = {}) => {
+  const profiles = loadProfiles();
+  if (profiles.length >= MAX_PROFILES) throw new Error(`A device can have up to ${MAX_PROFILES} players`);
+  const profile = { id: newProfileId(), name: uniqueName(name.trim(), profiles), created: Date.now() };
+  setProfileData(profile.id, { ...data, solitaire_playerName: profile.name });
+  saveProfiles([...profiles, profile]);
+  return profile;
+};
+
+// Returns the name given, which has a number added if another profile already has it
+export const renameProfile = (id, name) => {
+  const profiles = loadProfiles();
+  const unique = uniqueName(name.trim(), profiles, id);
+  setProfileData(id, { solitaire_playerName: unique });
+  saveProfiles(profiles.map(p => (p.id === id ? { ...p, name: unique } : p)));
+  return unique;
+};
+
+// Deletes the profile and everything it saved. The profile playing can't be deleted.
+export const deleteProfile = (id) => {
+  if (id === activeProfileId()) throw new Error("Switch to another player before deleting this one");
+  removeProfileData(id);
+  return saveProfiles(loadProfiles().filter(p => p.id !== id));
+};
+
+// One profile's data as a file to back up or move to another device
+export const exportProfile = (id) => {
+  const profile = loadProfiles().find(p => p.id === id);
+  return {
+    kind: 'solitaire-plus-profile',
+    version: PROFILE_FILE_VERSION,
+    exportDate: new Date().toISOString(),
+    profile: { name: profile.name, created: profile.created },
+    data: getProfileData(id)
+  };
+};
+
+// A profile file becomes a new profile on this device, never overwriting one
+export const importProfile = (file) => {
+  if (file?.kind !== 'solitaire-plus-profile' || typeof file.data !== 'object' || !file.profile) {
+    throw new Error('Not a player profile file');
+  }
+  if (file.version > PROFILE_FILE_VERSION) throw new Error('This profile file is from a newer version of the app');
+  return createProfile(file.profile.name || '', file.data);
+};
@@ -0,0 +1,15 @@
+// Recordings of won games (see engine/replay.js), newest first, one list per variant
+import { getItem, setItem } from './db';
+
+const MAX_REPLAYS = 20;
+
+const storageKey = (variant) => (variant === 'spider' ? 'spider_replays' : 'solitaire_replays');
+
+export const loadReplays = (variant) => getItem(storageKey(variant), []);
+
+// Adds a recording and returns the updated list
+export const saveReplay = (recording) => {
+  const replays = [recording, ...loadReplays(recording.variant)].slice(0, MAX_REPLAYS);
+  setItem(storageKey(recording.variant), replays);
+  return replays;
+};
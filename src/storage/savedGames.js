@@ -0,0 +1,113 @@
+// Games in progress, several per variant, so one can be paused while another is played.
+//
+// A slot is { id, variant, name, options, daily, progress, moves, time, date, log, save }:
+//   id        the game's id (when it was dealt)
+//   name      shown in the continue list; players can rename a slot
+//   options   { drawCount } or { suitCount }
+//   progress  { done, total } - cards on the foundations (Klondike) or suits cleared (Spider)
+//   date      when the game was last played (ms since epoch)
+//   log       the game's game-log entry so far (see gameLog.js), logged as abandoned
+//             if the slot is dropped before the game is finished
+//   save      the game's own compressed save, restored by the game component
+//
+// Each variant also remembers its current slot, which is picked up again on load.
+import { getItem, setItem, removeItem } from './db';
+import { logGame } from './gameLog';
+
+const MAX_SLOTS = 10;
+
+const slotsKey = (variant) => (variant === 'spider' ? 'spider_saveSlots' : 'solitaire_saveSlots');
+const currentKey = (variant) => (variant === 'spider' ? 'spider_currentSlot' : 'solitaire_currentSlot');
+const legacyKey = (variant) => (variant === 'spider' ? 'spider_savedGame' : 'solitaire_savedGame');
+
+const logAbandoned = (slot) => {
+  if (slot.log) logGame({ ...slot.log, result: 'abandoned' });
+};
+
+const writeSlots = (variant, slots) => {
+  setItem(slotsKey(variant), slots);
+  return slots;
+};
+
+// Games saved before slots existed become a slot of their own
+const migrateLegacySave = (variant) => {
+  const save = getItem(legacyKey(variant));
+  if (!save) return null;
+  removeItem(legacyKey(variant));
+
+  try {
+    const id = save.id || Date.now();
+    setItem(currentKey(variant), id);
+    return {
+      id,
+      variant,
+      name: 'Saved game',
+      options: variant === 'spider' ? { suitCount: save.sc } : { drawCount: save.dc },
+      daily: !!save.daily,
+      progress: variant === 'spider'
+        ? { done: save.c.length, total: 8 }
+        : { done: save.f.reduce((sum, pile) => sum + pile.length, 0), total: 52 },
+      moves: save.m,
+      time: save.tm,
+      date: Date.now(),
+      save
+    };
+  } catch {
+    return null;
+  }
+};
+
+export const getCurrentSlotId = (variant) => getItem(currentKey(variant));
+
+// Which slot the variant opens with next time; null starts a fresh deal
+export const setCurrentSlotId = (variant, id) => {
+  if (id === null) removeItem(currentKey(variant));
+  else setItem(currentKey(variant), id);
+};
+
+// Slots for one variant, most recently played first
+export const loadSlots = (variant) => {
+  const slots = getItem(slotsKey(variant), []);
+  const legacy = migrateLegacySave(variant);
+  return legacy ? writeSlots(variant, [legacy, ...slots]) : slots;
+};
+
+// Slots for both variants, most recently played first
+export const loadAllSlots = () => (
+  [...loadSlots('klondike'), ...loadSlots('spider')].sort((a, b) => b.date - a.date)
+);
+
+// The slot the variant left off with, if it's still there
+export const loadCurrentSlot = (variant) => {
+  const slots = loadSlots(variant);
+  const id = getCurrentSlotId(variant);
+  return slots.find(slot => slot.id === id) || null;
+};
+
+// Add or update a slot and make it the variant's current one. A renamed slot keeps its name.
+export const saveSlot = (slot) => {
+  const slots = loadSlots(slot.variant);
+  const existing = slots.find(s => s.id === slot.id);
+  const updated = { ...slot, name: existing?.name || slot.name, date: Date.now() };
+  setItem(currentKey(slot.variant), slot.id);
+  const kept = [updated, ...slots.filter(s => s.id !== slot.id)];
+  kept.slice(MAX_SLOTS).forEach(logAbandoned);
+  return writeSlots(slot.variant, kept.slice(0, MAX_SLOTS));
+};
+
+export const renameSlot = (variant, id, name) => (
+  writeSlots(variant, loadSlots(variant).map(slot => (slot.id === id ? { ...slot, name } : slot)))
+);
+
+// Remove a finished game's slot
+export const deleteSlot = (variant, id) => {
+  if (getCurrentSlotId(variant) === id) setCurrentSlotId(variant, null);
+  return writeSlots(variant, loadSlots(variant).filter(slot => slot.id !== id));
+};
+
+// The player gave up on a saved game: remove it and log it as abandoned
+export const abandonSlot = (variant, id) => {
+  const slot = loadSlots(variant).find(s => s.id === id);
+  if (slot) logAbandoned(slot);
+  return deleteSlot(variant, id);
+};
@@ -0,0 +1,21 @@
+// Runs solver searches off the main thread so the board stays responsive
+import { solveDeal, solveGame, findBestHint } from '../engine/klondikeSolver';
+import { solveGame as solveSpiderGame, findHintLine, findWinnableDeal } from '../engine/spiderSolver';
+
+const TASKS = {
+  klondikeDeal: ({ deck, drawCount, options }) => solveDeal(deck, { drawCount, ...options }),
+  klondikeGame: ({ state, options }) => solveGame(state, options),
+  klondikeHint: ({ state, history, options }) => findBestHint(state, { history, ...options }),
+  spiderGame: ({ state, options }) => solveSpiderGame(state, options),
+  spiderHint: ({ state, history, options }) => findHintLine(state, { history, ...options }),
+  spiderWinnableDeal: ({ suitCount, options }) => findWinnableDeal(suitCount, options)
+};
+
+self.onmessage = (e) => {
+  const { id, task, payload } = e.data;
+  try {
+    self.postMessage({ id, result: TASKS[task](payload) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,123 @@
+// Promise API over the solver worker. One worker is shared and searches run one at a time.
+import { createDeck } from '../engine/cards';
+import { randomDealNumber, shuffleDeckForNumber } from '../engine/random';
+
+let worker = null;
+let nextId = 0;
+const pending = new Map();
+
+const rejectAll = (error) => {
+  pending.forEach(({ reject }) => reject(error));
+  pending.clear();
+};
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('./solver.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (e) => {
+      const { id, result, error } = e.data;
+      const request = pending.get(id);
+      if (!request) return;
+      pending.delete(id);
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(result);
+      }
+    };
+    worker.onerror = (e) => {
+      rejectAll(new Error(e.message || 'Solver worker failed'));
+      worker.terminate();
+      worker = null;
+    };
+  }
+  return worker;
+};
+
+const runTask = (task, payload) => new Promise((resolve, reject) => {
+  const id = ++nextId;
+  pending.set(id, { resolve, reject });
+  getWorker().postMessage({ id, task, payload });
+});
+
+// Background checks that only matter for the latest position, by name: while one is on
+// the worker, a newer request replaces any still waiting and the replaced one resolves null
+const latest = new Map();
+
+const runLatest = (name, task, payload) => new Promise((resolve, reject) => {
+  const entry = latest.get(name) || { running: false, waiting: null };
+  latest.set(name, entry);
+  entry.waiting?.resolve(null);
+  entry.waiting = { task, payload, resolve, reject };
+
+  const next = () => {
+    if (entry.running || !entry.waiting) return;
+    const request = entry.waiting;
+    entry.waiting = null;
+    entry.running = true;
+    runTask(request.task, request.payload)
+      .then(request.resolve, request.reject)
+      .finally(() => {
+        entry.running = false;
+        next();
+      });
+  };
+  next();
+});
+
+// Stop whatever the worker is doing (e.g. the player started another game)
+export const cancelSolves = () => {
+  latest.forEach(entry => {
+    entry.waiting?.reject(new Error('Solve cancelled'));
+    entry.waiting = null;
+  });
+  if (!worker) return;
+  worker.terminate();
+  worker = null;
+  rejectAll(new Error('Solve cancelled'));
+};
+
+export const solveKlondikeDeal = (deck, drawCount, options = {}) => (
+  runTask('klondikeDeal', { deck, drawCount, options })
+);
+
+export const solveKlondikeGame = (state, options = {}) => (
+  runTask('klondikeGame', { state, options })
+);
+
+// Ranked hint for the current position; `history` is the earlier positions to avoid going back to
+export const findKlondikeHint = (state, history = [], options = {}) => (
+  runTask('klondikeHint', { state, history, options })
+);
+
+// Try random deal numbers until the solver proves one winnable. Resolves
+// { number, deck, moves } or null.
+export const findWinnableKlondikeDeal = async (drawCount, { attempts = 15, maxStates = 60000 } = {}) => {
+  for (let i = 0; i < attempts; i++) {
+    const number = randomDealNumber();
+    const deck = shuffleDeckForNumber(createDeck(), number);
+    const { result, moves } = await solveKlondikeDeal(deck, drawCount, { maxStates });
+    if (result === 'solvable') return { number, deck, moves };
+  }
+  return null;
+};
+
+export const solveSpiderGame = (state, options = {}) => (
+  runTask('spiderGame', { state, options })
+);
+
+// solveSpiderGame for the background "is this game lost?" check; resolves null if a
+// newer position was sent before this one got to the worker
+export const checkSpiderGame = (state, options = {}) => (
+  runLatest('spiderCheck', 'spiderGame', { state, options })
+);
+
+// A few moves of the best line found from here; `history` is the earlier positions to avoid
+export const findSpiderHint = (state, history = [], options = {}) => (
+  runTask('spiderHint', { state, history, options })
+);
+
+// Resolves { deck, moves } or null
+export const findWinnableSpiderDeal = (suitCount, options = {}) => (
+  runTask('spiderWinnableDeal', { suitCount, options })
+);